@@ -0,0 +1,117 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyRenames, undoLastRenames } from '../src/main.js';
+
+const JOURNAL_FILE = '.hsa-expense-analyzer-renames.jsonl';
+
+describe('applyRenames', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2021-01-10 - doctor - $50.pdf'), 'a');
+    fs.writeFileSync(path.join(tempDir, '2021-1-11 - dentist - $20.00.pdf'), 'b');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should rename files and write a journal entry', () => {
+    const { applied, skipped } = applyRenames(
+      tempDir,
+      [{ from: '2021-01-10 - doctor - $50.pdf', to: '2021-01-10 - doctor - $50.00.pdf' }],
+      'fix'
+    );
+
+    expect(applied).toHaveLength(1);
+    expect(skipped).toHaveLength(0);
+    expect(fs.existsSync(path.join(tempDir, '2021-01-10 - doctor - $50.00.pdf'))).toBe(true);
+
+    const journal = fs.readFileSync(path.join(tempDir, JOURNAL_FILE), 'utf-8').trim().split('\n');
+    expect(journal).toHaveLength(1);
+    expect(JSON.parse(journal[0])).toMatchObject({
+      command: 'fix',
+      renames: [{ from: '2021-01-10 - doctor - $50.pdf', to: '2021-01-10 - doctor - $50.00.pdf' }]
+    });
+  });
+
+  test('should refuse to overwrite existing files', () => {
+    const { applied, skipped } = applyRenames(
+      tempDir,
+      [{ from: '2021-01-10 - doctor - $50.pdf', to: '2021-1-11 - dentist - $20.00.pdf' }],
+      'fix'
+    );
+
+    expect(applied).toHaveLength(0);
+    expect(skipped[0].reason).toBe('Target file already exists');
+    expect(fs.readFileSync(path.join(tempDir, '2021-1-11 - dentist - $20.00.pdf'), 'utf-8')).toBe('b');
+    expect(fs.existsSync(path.join(tempDir, JOURNAL_FILE))).toBe(false);
+  });
+
+  test('should skip files that no longer exist', () => {
+    const { applied, skipped } = applyRenames(tempDir, [{ from: 'missing.pdf', to: 'other.pdf' }], 'fix');
+    expect(applied).toHaveLength(0);
+    expect(skipped).toHaveLength(1);
+  });
+
+  test('should not rename anything when the journal is corrupt', () => {
+    fs.writeFileSync(path.join(tempDir, JOURNAL_FILE), '{"command":"fix","renames":[]}\n{"command":\n');
+    expect(() =>
+      applyRenames(tempDir, [{ from: '2021-01-10 - doctor - $50.pdf', to: '2021-01-10 - doctor - $50.00.pdf' }], 'fix')
+    ).toThrow(`${JOURNAL_FILE} line 2 is not a valid batch of renames`);
+    expect(fs.existsSync(path.join(tempDir, '2021-01-10 - doctor - $50.pdf'))).toBe(true);
+  });
+});
+
+describe('undoLastRenames', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, 'a.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, 'b.pdf'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should return null when there is nothing to undo', () => {
+    expect(undoLastRenames(tempDir)).toBeNull();
+  });
+
+  test('should throw on a journal line that is not a batch of renames', () => {
+    fs.writeFileSync(path.join(tempDir, JOURNAL_FILE), '{"command":"fix"}\n');
+    expect(() => undoLastRenames(tempDir)).toThrow(`${JOURNAL_FILE} line 1 is not a valid batch of renames`);
+  });
+
+  test('should revert the most recent batch only', () => {
+    applyRenames(tempDir, [{ from: 'a.pdf', to: 'a2.pdf' }], 'fix');
+    applyRenames(tempDir, [{ from: 'b.pdf', to: 'b2.pdf' }], 'fix');
+
+    const result = undoLastRenames(tempDir);
+    expect(result.restored).toEqual([{ from: 'b.pdf', to: 'b2.pdf' }]);
+    expect(fs.existsSync(path.join(tempDir, 'b.pdf'))).toBe(true);
+    expect(fs.existsSync(path.join(tempDir, 'a2.pdf'))).toBe(true);
+
+    undoLastRenames(tempDir);
+    expect(fs.existsSync(path.join(tempDir, 'a.pdf'))).toBe(true);
+    expect(fs.existsSync(path.join(tempDir, JOURNAL_FILE))).toBe(false);
+  });
+
+  test('should not overwrite a file that took the original name', () => {
+    applyRenames(tempDir, [{ from: 'a.pdf', to: 'a2.pdf' }], 'fix');
+    fs.writeFileSync(path.join(tempDir, 'a.pdf'), 'new');
+
+    const result = undoLastRenames(tempDir);
+    expect(result.restored).toHaveLength(0);
+    expect(result.skipped).toHaveLength(1);
+    expect(fs.readFileSync(path.join(tempDir, 'a.pdf'), 'utf-8')).toBe('new');
+
+    // The batch stays in the journal so it can be retried
+    fs.rmSync(path.join(tempDir, 'a.pdf'));
+    expect(undoLastRenames(tempDir).restored).toHaveLength(1);
+  });
+});
@@ -0,0 +1,147 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildContributionLedger,
+  buildContributionResultObject,
+  compileReceiptFilters,
+  getTotalsByYear
+} from '../src/main.js';
+
+describe('buildContributionLedger', () => {
+  const contributions = [
+    { year: '2023', source: 'self', amount: 3000 },
+    { year: '2023', source: 'employer', amount: 1000 },
+    { year: '2024', source: 'self', amount: 2000.5 },
+    { year: '2024', source: 'self', amount: 100.25 }
+  ];
+
+  test('should sum self and employer contributions per year', () => {
+    const ledger = buildContributionLedger(contributions);
+    expect(ledger['2023']).toMatchObject({ self: 3000, employer: 1000, total: 4000, coverage: 'self-only' });
+    expect(ledger['2024']).toMatchObject({ self: 2100.75, employer: 0, total: 2100.75 });
+  });
+
+  test('should compare each year with the bundled IRS limit', () => {
+    const ledger = buildContributionLedger(contributions);
+    expect(ledger['2023']).toMatchObject({ limit: 3850, remaining: 0, excess: 150 });
+    expect(ledger['2024']).toMatchObject({ limit: 4150, remaining: 2049.25, excess: 0 });
+  });
+
+  test('should use family coverage and the catch-up amount from the given year', () => {
+    const ledger = buildContributionLedger(contributions, { coverage: 'family', catchUpFrom: 2024 });
+    expect(ledger['2023']).toMatchObject({ coverage: 'family', limit: 7750 });
+    expect(ledger['2024']).toMatchObject({ limit: 9300 });
+  });
+
+  test('should let a ledger row set the coverage for its year', () => {
+    const ledger = buildContributionLedger([
+      ...contributions,
+      { year: '2024', source: 'self', amount: 0, coverage: 'family' }
+    ]);
+    expect(ledger['2023'].coverage).toBe('self-only');
+    expect(ledger['2024']).toMatchObject({ coverage: 'family', limit: 8300 });
+  });
+
+  test('should use overridden limits and leave unknown years without a limit', () => {
+    const ledger = buildContributionLedger(
+      [
+        { year: '2024', source: 'self', amount: 4000 },
+        { year: '2099', source: 'self', amount: 100 }
+      ],
+      { limits: { 2024: { selfOnly: 3900 } } }
+    );
+    expect(ledger['2024']).toMatchObject({ limit: 3900, excess: 100 });
+    expect(ledger['2099']).toMatchObject({ limit: null, remaining: null, excess: null });
+  });
+});
+
+describe('buildContributionResultObject', () => {
+  test('should format each year with the remaining room or the excess', () => {
+    const ledger = buildContributionLedger([
+      { year: '2023', source: 'self', amount: 4000 },
+      { year: '2024', source: 'employer', amount: 500 },
+      { year: '2099', source: 'self', amount: 100 }
+    ]);
+    expect(buildContributionResultObject(ledger)).toEqual({
+      2023: {
+        self: '$4,000.00',
+        employer: '$0.00',
+        total: '$4,000.00',
+        limit: '$3,850.00 (self-only)',
+        excess: '$150.00'
+      },
+      2024: {
+        self: '$0.00',
+        employer: '$500.00',
+        total: '$500.00',
+        limit: '$4,150.00 (self-only)',
+        remaining: '$3,650.00'
+      },
+      2099: { self: '$100.00', employer: '$0.00', total: '$100.00', limit: 'unknown' }
+    });
+    expect(buildContributionResultObject({})).toBeNull();
+  });
+});
+
+describe('contributions in getTotalsByYear', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should read contributions.csv and contribution files, keeping them out of the receipts', () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'contributions.csv'),
+      'Year,Self,Employer,Coverage\n2024,"$3,000.00",500,family\n\n2024,bad,0\n24,1,1\n2025,1,1,spouse\n'
+    );
+    fs.writeFileSync(path.join(tempDir, '2024-06-30 - employer deposit - $250.00.contribution.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-07-01 - bob doctor - $45.00.pdf'), '');
+
+    const totals = getTotalsByYear(tempDir, { contributionSettings: { coverage: 'self-only' } });
+
+    expect(totals.contributions).toEqual({
+      2024: { self: 3000, employer: 750, total: 3750, coverage: 'family', limit: 8300, remaining: 4550, excess: 0 }
+    });
+    expect(totals.contributionErrors).toEqual([
+      { line: 4, error: 'Self and Employer should be amounts like 1500.00' },
+      { line: 5, error: 'Year "24" should be yyyy format' },
+      { line: 6, error: 'Coverage "spouse" should be self-only or family' }
+    ]);
+    expect(totals.receipts.map(receipt => receipt.fileName)).toEqual(['2024-07-01 - bob doctor - $45.00.pdf']);
+    expect(totals.invalidFiles).toEqual([]);
+  });
+
+  test('should report a ledger without the required columns', () => {
+    fs.writeFileSync(path.join(tempDir, 'contributions.csv'), 'Year,Amount\n2024,100\n');
+    const totals = getTotalsByYear(tempDir);
+    expect(totals.contributions).toEqual({});
+    expect(totals.contributionErrors).toEqual([
+      { line: 1, error: 'Header should have Year, Self and Employer columns (missing Self, Employer)' }
+    ]);
+  });
+
+  test('should only keep the years of the date filters', () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'contributions.csv'),
+      'Year,Self,Employer\n2022,1000,0\n2023,2000,0\n2024,3000,0\n'
+    );
+    fs.writeFileSync(path.join(tempDir, '2024-06-30 - employer deposit - $250.00.contribution.pdf'), '');
+    const contributionYears = filters =>
+      Object.keys(getTotalsByYear(tempDir, { filters: compileReceiptFilters(filters) }).contributions);
+
+    expect(contributionYears({ years: [2023] })).toEqual(['2023']);
+    expect(contributionYears({ from: '2023-07', to: '2024-02-15' })).toEqual(['2023', '2024']);
+    expect(contributionYears({ to: '2022' })).toEqual(['2022']);
+    // The other filters only apply to receipts
+    expect(contributionYears({ persons: ['bob'], status: 'reimbursed' })).toEqual(['2022', '2023', '2024']);
+    expect(
+      getTotalsByYear(tempDir, { filters: compileReceiptFilters({ years: [2024] }) }).contributions[2024].total
+    ).toBe(3250);
+  });
+});
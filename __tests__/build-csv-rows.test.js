@@ -0,0 +1,134 @@
+import { buildReceiptRows, buildTotalsRows } from '../src/main.js';
+
+describe('buildReceiptRows', () => {
+  const receipts = [
+    {
+      fileName: '2022-02-01 - bob doctor - $50.00.reimbursed.pdf',
+      relativePath: '2022/2022-02-01 - bob doctor - $50.00.reimbursed.pdf',
+      folder: '2022',
+      date: '2022-02-01',
+      year: '2022',
+      description: 'bob doctor',
+      category: 'bob',
+      tags: ['urgent', 'followup'],
+      amount: 50,
+      currency: 'USD',
+      originalAmount: 50,
+      exchangeRate: 1,
+      isReimbursement: true,
+      reimbursedAmount: 20,
+      reimbursementDate: '2024-03-01'
+    },
+    {
+      fileName: '2021-01-01 - jane dentist - $45.50.pdf',
+      relativePath: '2021-01-01 - jane dentist - $45.50.pdf',
+      folder: '',
+      date: '2021-01-01',
+      year: '2021',
+      description: 'jane dentist',
+      category: 'jane',
+      tags: [],
+      amount: 45.5,
+      currency: 'USD',
+      originalAmount: 45.5,
+      exchangeRate: 1,
+      isReimbursement: false,
+      reimbursedAmount: 0,
+      reimbursementDate: null
+    }
+  ];
+
+  test('should build one row per receipt sorted by date', () => {
+    const rows = buildReceiptRows(receipts);
+
+    expect(rows).toEqual([
+      {
+        date: '2021-01-01',
+        year: '2021',
+        description: 'jane dentist',
+        category: 'jane',
+        tags: '',
+        amount: '45.50',
+        reimbursed: 'no',
+        reimbursedAmount: '0.00',
+        reimbursementDate: '',
+        fileName: '2021-01-01 - jane dentist - $45.50.pdf',
+        relativePath: '2021-01-01 - jane dentist - $45.50.pdf',
+        currency: 'USD',
+        originalAmount: '45.50'
+      },
+      {
+        date: '2022-02-01',
+        year: '2022',
+        description: 'bob doctor',
+        category: 'bob',
+        tags: 'urgent followup',
+        amount: '50.00',
+        reimbursed: 'yes',
+        reimbursedAmount: '20.00',
+        reimbursementDate: '2024-03-01',
+        fileName: '2022-02-01 - bob doctor - $50.00.reimbursed.pdf',
+        relativePath: '2022/2022-02-01 - bob doctor - $50.00.reimbursed.pdf',
+        currency: 'USD',
+        originalAmount: '50.00'
+      }
+    ]);
+  });
+
+  test('should keep the original amount of foreign currency receipts next to the USD amount', () => {
+    const [row] = buildReceiptRows([
+      { ...receipts[1], fileName: '2021-01-01 - jane dentist - €42.00.pdf', currency: 'EUR', originalAmount: 42 }
+    ]);
+    expect(row).toMatchObject({ amount: '45.50', currency: 'EUR', originalAmount: '42.00' });
+  });
+
+  test('should not reorder the original receipts array', () => {
+    buildReceiptRows(receipts);
+    expect(receipts[0].date).toBe('2022-02-01');
+  });
+});
+
+describe('buildTotalsRows', () => {
+  test('should build one row per year and category plus a yearly total', () => {
+    const rows = buildTotalsRows({
+      2022: { bob: { expenses: 50, reimbursements: 50, count: 1 } },
+      2021: {
+        jane: { expenses: 30, reimbursements: 0, count: 1 },
+        bob: { expenses: 45.5, reimbursements: 10, count: 2 }
+      }
+    });
+
+    expect(rows).toEqual([
+      {
+        year: '2021',
+        category: 'bob',
+        expenses: '45.50',
+        reimbursements: '10.00',
+        reimburseable: '35.50',
+        receipts: 2
+      },
+      {
+        year: '2021',
+        category: 'jane',
+        expenses: '30.00',
+        reimbursements: '0.00',
+        reimburseable: '30.00',
+        receipts: 1
+      },
+      {
+        year: '2021',
+        category: 'All',
+        expenses: '75.50',
+        reimbursements: '10.00',
+        reimburseable: '65.50',
+        receipts: 3
+      },
+      { year: '2022', category: 'bob', expenses: '50.00', reimbursements: '50.00', reimburseable: '0.00', receipts: 1 },
+      { year: '2022', category: 'All', expenses: '50.00', reimbursements: '50.00', reimburseable: '0.00', receipts: 1 }
+    ]);
+  });
+
+  test('should return no rows when there are no categories', () => {
+    expect(buildTotalsRows({})).toEqual([]);
+  });
+});
@@ -0,0 +1,41 @@
+import { buildFixPlan } from '../src/main.js';
+
+describe('buildFixPlan', () => {
+  test('should split invalid files into renames and unfixable files', () => {
+    const { renames, conflicts, unfixable } = buildFixPlan([
+      { fileName: '2021-01-10 - doctor - $50.pdf', error: 'Amount "$50.pdf" should be a valid format like $50.00' },
+      { fileName: 'doctor.pdf', error: 'File name should have format "yyyy-mm-dd - description - $amount.ext"' }
+    ]);
+
+    expect(renames).toEqual([
+      {
+        from: '2021-01-10 - doctor - $50.pdf',
+        to: '2021-01-10 - doctor - $50.00.pdf',
+        error: 'Amount "$50.pdf" should be a valid format like $50.00'
+      }
+    ]);
+    expect(conflicts).toEqual([]);
+    expect(unfixable).toEqual([
+      { fileName: 'doctor.pdf', error: 'File name should have format "yyyy-mm-dd - description - $amount.ext"' }
+    ]);
+  });
+
+  test('should keep files in their subfolder', () => {
+    const { renames } = buildFixPlan([{ fileName: '2024/bob/2024-1-05 - bob - $5.00.pdf', error: 'Date' }]);
+    expect(renames[0].to).toBe('2024/bob/2024-01-05 - bob - $5.00.pdf');
+  });
+
+  test('should report suggestions that clash with existing files or other suggestions', () => {
+    const { renames, conflicts } = buildFixPlan(
+      [
+        { fileName: '2021-01-10 - doctor - $50.pdf', error: 'Amount' },
+        { fileName: '2021-01-10 - doctor - $50,00.pdf', error: 'Amount' },
+        { fileName: '2021-1-11 - doctor - $20.00.pdf', error: 'Date' }
+      ],
+      ['2021-01-11 - doctor - $20.00.pdf']
+    );
+
+    expect(renames.map(r => r.from)).toEqual(['2021-01-10 - doctor - $50.pdf']);
+    expect(conflicts.map(r => r.from)).toEqual(['2021-01-10 - doctor - $50,00.pdf', '2021-1-11 - doctor - $20.00.pdf']);
+  });
+});
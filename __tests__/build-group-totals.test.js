@@ -0,0 +1,111 @@
+import { buildGroupTotals, buildGroupTotalsRows } from '../src/main.js';
+
+describe('buildGroupTotals', () => {
+  const receipt = (year, person, type, amount, reimbursedAmount = 0) => ({
+    year,
+    person,
+    type,
+    folder: '',
+    amount,
+    isReimbursement: reimbursedAmount > 0,
+    reimbursedAmount
+  });
+  const receipts = [
+    receipt('2024', 'bob', 'dentist', 45.1),
+    receipt('2024', 'bob', 'dentist', 5.2, 5.2),
+    receipt('2024', 'bob', 'doctor', 30),
+    receipt('2024', 'jane', 'vision', 20, 10),
+    receipt('2023', 'jane', 'vision', 15)
+  ];
+
+  test('should nest totals by each field with subtotals at every level', () => {
+    expect(buildGroupTotals(receipts, ['person', 'type'])).toEqual({
+      2023: {
+        jane: {
+          expenses: 15,
+          reimbursements: 0,
+          count: 1,
+          groups: { vision: { expenses: 15, reimbursements: 0, count: 1 } }
+        }
+      },
+      2024: {
+        bob: {
+          expenses: 80.3,
+          reimbursements: 5.2,
+          count: 3,
+          groups: {
+            dentist: { expenses: 50.3, reimbursements: 5.2, count: 2 },
+            doctor: { expenses: 30, reimbursements: 0, count: 1 }
+          }
+        },
+        jane: {
+          expenses: 20,
+          reimbursements: 10,
+          count: 1,
+          groups: { vision: { expenses: 20, reimbursements: 10, count: 1 } }
+        }
+      }
+    });
+  });
+
+  test('should name receipts in the top-level folder', () => {
+    expect(Object.keys(buildGroupTotals(receipts, ['folder'])['2024'])).toEqual(['(top level)']);
+  });
+});
+
+describe('buildGroupTotalsRows', () => {
+  test('should add an All row for each level', () => {
+    const groupTotals = {
+      2024: {
+        bob: {
+          expenses: 80,
+          reimbursements: 5,
+          count: 3,
+          groups: {
+            doctor: { expenses: 30, reimbursements: 0, count: 1 },
+            dentist: { expenses: 50, reimbursements: 5, count: 2 }
+          }
+        }
+      }
+    };
+
+    expect(buildGroupTotalsRows(groupTotals, ['person', 'type'])).toEqual([
+      {
+        year: '2024',
+        person: 'bob',
+        type: 'dentist',
+        expenses: '50.00',
+        reimbursements: '5.00',
+        reimburseable: '45.00',
+        receipts: 2
+      },
+      {
+        year: '2024',
+        person: 'bob',
+        type: 'doctor',
+        expenses: '30.00',
+        reimbursements: '0.00',
+        reimburseable: '30.00',
+        receipts: 1
+      },
+      {
+        year: '2024',
+        person: 'bob',
+        type: 'All',
+        expenses: '80.00',
+        reimbursements: '5.00',
+        reimburseable: '75.00',
+        receipts: 3
+      },
+      {
+        year: '2024',
+        person: 'All',
+        type: 'All',
+        expenses: '80.00',
+        reimbursements: '5.00',
+        reimburseable: '75.00',
+        receipts: 3
+      }
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+import { buildGrowthProjection } from '../src/main.js';
+
+const receipt = (date, amount, reimbursedAmount = 0) => ({ date, amount, reimbursedAmount });
+
+describe('buildGrowthProjection', () => {
+  const receipts = [receipt('2022-06-30', 100), receipt('2023-06-30', 300, 100), receipt('2023-07-01', 50, 50)];
+
+  test('should list the end of each past year, today and each projected year', () => {
+    const projection = buildGrowthProjection(receipts, { annualReturn: 10, horizon: 2, asOf: '2024-06-30' });
+
+    expect(projection.rows.map(({ year, date, projected }) => [year, date, projected])).toEqual([
+      ['2022', '2022-12-31', false],
+      ['2023', '2023-12-31', false],
+      ['2024', '2024-06-30', false],
+      ['2025', '2025-06-30', true],
+      ['2026', '2026-06-30', true]
+    ]);
+  });
+
+  test('should only grow the unreimbursed part of each receipt from its date', () => {
+    const projection = buildGrowthProjection(receipts, { annualReturn: 10, horizon: 2, asOf: '2024-06-30' });
+    const today = projection.rows[2];
+
+    expect(today).toMatchObject({ receipts: 2, deferred: 300 });
+    // 2 years for the first receipt and 1 year for the second (within a day, from leap years)
+    expect(today.value).toBeCloseTo(100 * 1.1 ** 2 + 200 * 1.1, 0);
+    expect(projection.deferred).toBe(300);
+    expect(projection.earnedGrowth).toBe(today.growth);
+    expect(projection.projected).toBe(projection.rows[4]);
+    expect(projection.projected.value).toBeCloseTo(100 * 1.1 ** 4 + 200 * 1.1 ** 3, 0);
+  });
+
+  test('should not grow anything at a 0% return', () => {
+    const projection = buildGrowthProjection(receipts, { annualReturn: 0, horizon: 1, asOf: '2024-06-30' });
+    expect(projection.rows.every(({ value, deferred, growth }) => value === deferred && growth === 0)).toBe(true);
+  });
+
+  test('should ignore reimbursed receipts and receipts dated after today', () => {
+    const projection = buildGrowthProjection([receipt('2024-01-01', 40, 40), receipt('2025-01-01', 60)], {
+      annualReturn: 7,
+      horizon: 5,
+      asOf: '2024-06-30'
+    });
+    expect(projection).toMatchObject({ rows: [], deferred: 0, earnedGrowth: 0, projected: null });
+  });
+
+  test('should keep Feb 29 anniversaries in non-leap years', () => {
+    const projection = buildGrowthProjection([receipt('2024-01-01', 10)], {
+      annualReturn: 5,
+      horizon: 1,
+      asOf: '2024-02-29'
+    });
+    expect(projection.rows.map(({ date }) => date)).toEqual(['2024-02-29', '2025-02-28']);
+  });
+});
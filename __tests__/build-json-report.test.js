@@ -0,0 +1,140 @@
+import { buildJsonReport, calculateSummaryStats } from '../src/main.js';
+
+describe('buildJsonReport', () => {
+  const totals = {
+    expensesByYear: { 2021: 75.0, 2022: 50.0 },
+    reimbursementsByYear: { 2021: 30.0, 2022: 0 },
+    receiptCounts: { 2021: 2, 2022: 1 },
+    invalidFiles: [
+      { fileName: 'bad.pdf', error: 'File name should have format "yyyy-mm-dd - description - $amount.ext"' }
+    ],
+    expensesByCategory: {
+      2021: {
+        jane: { expenses: 30.0, reimbursements: 30.0, count: 1 },
+        bob: { expenses: 45.0, reimbursements: 0, count: 1 }
+      },
+      2022: { bob: { expenses: 50.0, reimbursements: 0, count: 1 } }
+    },
+    receipts: [
+      {
+        fileName: '2021-01-01 - bob doctor - $45.00.pdf',
+        year: '2021',
+        person: 'bob',
+        amount: 45.0,
+        isReimbursement: false
+      },
+      {
+        fileName: '2021-02-15 - jane pharmacy - $30.00.reimbursed.pdf',
+        year: '2021',
+        person: 'jane',
+        amount: 30.0,
+        isReimbursement: true,
+        reimbursedAmount: 30.0
+      },
+      {
+        fileName: '2022-02-01 - bob doctor - $50.00.pdf',
+        year: '2022',
+        person: 'bob',
+        amount: 50.0,
+        isReimbursement: false
+      }
+    ]
+  };
+  const years = ['2021', '2022'];
+  const stats = calculateSummaryStats(
+    years,
+    totals.expensesByYear,
+    totals.reimbursementsByYear,
+    totals.receiptCounts,
+    totals.invalidFiles
+  );
+
+  test('should include a version and generator information', () => {
+    const report = buildJsonReport('receipts/', totals, stats);
+
+    expect(report.version).toBe(1);
+    expect(report.generator.name).toBe('@joshjohanning/hsa-expense-analyzer-cli');
+    expect(typeof report.generator.version).toBe('string');
+    expect(typeof report.generatedAt).toBe('string');
+    expect(report.directory).toBe('receipts/');
+  });
+
+  test('should use numeric amounts for yearly totals', () => {
+    const report = buildJsonReport('receipts/', totals, stats);
+
+    expect(report.years['2021']).toEqual({
+      expenses: 75,
+      reimbursements: 30,
+      reimburseable: 45,
+      refunds: 0,
+      receipts: 2,
+      byCategory: {
+        bob: { expenses: 45, reimbursements: 0, receipts: 1 },
+        jane: { expenses: 30, reimbursements: 30, receipts: 1 }
+      }
+    });
+    expect(Object.keys(report.years['2021'].byCategory)).toEqual(['bob', 'jane']);
+  });
+
+  test('should convert summary statistics to numbers', () => {
+    const report = buildJsonReport('receipts/', totals, stats);
+
+    expect(report.summary.totalFiles).toBe(4);
+    expect(report.summary.totalInvalidFiles).toBe(1);
+    expect(report.summary.invalidFilePercentage).toBe(25);
+    expect(report.summary.totalExpenses).toBe(125);
+    expect(report.summary.reimbursementRate).toBe(24);
+    expect(report.summary.avgExpensePerYear).toBe(62.5);
+    expect(report.summary.mostExpensiveYear).toBe('2021');
+  });
+
+  test('should include invalid files and every parsed receipt', () => {
+    const report = buildJsonReport('receipts/', totals, stats);
+
+    expect(report.invalidFiles).toEqual(totals.invalidFiles);
+    expect(report.receipts).toHaveLength(3);
+  });
+
+  test('should be serializable to JSON', () => {
+    const report = buildJsonReport('receipts/', totals, stats);
+    expect(JSON.parse(JSON.stringify(report))).toEqual(report);
+  });
+
+  test('should add numeric --group-by breakdowns', () => {
+    const report = buildJsonReport('receipts/', totals, stats, ['person']);
+    expect(report.years['2021'].byPerson).toEqual({
+      bob: { expenses: 45, reimbursements: 0, receipts: 1 },
+      jane: { expenses: 30, reimbursements: 30, receipts: 1 }
+    });
+    expect(buildJsonReport('receipts/', totals, stats).years['2021'].byPerson).toBeUndefined();
+  });
+
+  test('should add per-period totals for --period', () => {
+    const receipts = totals.receipts.map(receipt => ({
+      ...receipt,
+      date: `${receipt.year}-06-01`,
+      category: receipt.person,
+      reimbursedAmount: receipt.reimbursedAmount || 0
+    }));
+    const report = buildJsonReport('receipts/', { ...totals, receipts }, stats, [], 'quarter');
+
+    expect(report.period).toBe('quarter');
+    expect(Object.keys(report.periods)).toHaveLength(5);
+    expect(report.periods['2021-Q2']).toEqual({
+      expenses: 75,
+      reimbursements: 30,
+      reimburseable: 45,
+      refunds: 0,
+      receipts: 2
+    });
+    expect(report.periods['2021-Q3'].receipts).toBe(0);
+    expect(buildJsonReport('receipts/', totals, stats).periods).toBeUndefined();
+  });
+
+  test('should list the active filters', () => {
+    const report = buildJsonReport('receipts/', { ...totals, filters: ['year 2021'], filteredReceipts: 4 }, stats);
+    expect(report.filters).toEqual(['year 2021']);
+    expect(report.filteredReceipts).toBe(4);
+    expect(buildJsonReport('receipts/', totals, stats).filters).toBeUndefined();
+  });
+});
@@ -0,0 +1,80 @@
+import { buildLintReport, formatLintReport } from '../src/main.js';
+
+describe('buildLintReport', () => {
+  test('should collect invalid names, duplicate copies, integrity problems and ledger rows', () => {
+    const report = buildLintReport({
+      files: ['a.pdf', 'b.pdf', 'b (1).pdf', 'c.pdf', 'contributions.csv'],
+      invalidFiles: [{ fileName: 'a.pdf', code: 'INVALID_FORMAT', error: 'File name should have format' }],
+      duplicates: [{ reasons: ['sync copy'], files: ['b.pdf', 'b (1).pdf'] }],
+      integrityProblems: [{ fileName: 'c.pdf', error: 'PDF is truncated (no %%EOF marker)' }],
+      ledgerErrors: { 'contributions.csv': [{ line: 3, error: 'Year "20x4" should be yyyy format' }] }
+    });
+
+    expect(report.files).toHaveLength(5);
+    expect(report.problems).toEqual([
+      { path: 'a.pdf', rule: 'invalid-file-name', code: 'INVALID_FORMAT', message: 'File name should have format' },
+      { path: 'b (1).pdf', rule: 'duplicate-receipt', message: 'Possible duplicate of b.pdf (sync copy)' },
+      { path: 'c.pdf', rule: 'file-integrity', message: 'PDF is truncated (no %%EOF marker)' },
+      {
+        path: 'contributions.csv',
+        line: 3,
+        rule: 'invalid-ledger-row',
+        message: 'Year "20x4" should be yyyy format'
+      }
+    ]);
+  });
+
+  test('should have no problems for a clean folder', () => {
+    expect(buildLintReport({ files: ['a.pdf'] }).problems).toEqual([]);
+  });
+});
+
+describe('formatLintReport', () => {
+  const report = buildLintReport({
+    files: ['2024-01-02 - dr & co - $10.00.pdf', 'bad #1.pdf', 'contributions.csv'],
+    invalidFiles: [{ fileName: 'bad #1.pdf', code: 'INVALID_FORMAT', error: 'File name should have "format"' }],
+    integrityProblems: [{ fileName: 'bad #1.pdf', error: 'File is empty' }],
+    ledgerErrors: { 'contributions.csv': [{ line: 2, error: 'Self and Employer should be amounts' }] }
+  });
+
+  test('should write JUnit XML with a test case per file and escaped names', () => {
+    const xml = formatLintReport(report, 'junit', 'receipts/');
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+    expect(xml).toContain('<testsuites name="hsa-expense-analyzer lint" tests="3" failures="2" errors="0">');
+    expect(xml).toContain(
+      '<testcase name="2024-01-02 - dr &amp; co - $10.00.pdf" classname="receipts" file="receipts/2024-01-02 - dr &amp; co - $10.00.pdf"/>'
+    );
+    expect(xml).toContain(
+      '<failure type="invalid-file-name" message="File name should have &quot;format&quot; [invalid-file-name]">'
+    );
+    expect(xml).toContain('[invalid-file-name]\nFile is empty [file-integrity]</failure>');
+    expect(xml).toContain('line 2: Self and Employer should be amounts [invalid-ledger-row]');
+  });
+
+  test('should write SARIF with a result per problem', () => {
+    const sarif = JSON.parse(formatLintReport(report, 'sarif', 'receipts/'));
+    const [run] = sarif.runs;
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.name).toBe('hsa-expense-analyzer');
+    expect(run.tool.driver.rules.map(({ id }) => id)).toEqual([
+      'invalid-file-name',
+      'duplicate-receipt',
+      'file-integrity',
+      'invalid-ledger-row'
+    ]);
+    expect(run.results).toHaveLength(3);
+    expect(run.results[0]).toEqual({
+      ruleId: 'invalid-file-name',
+      level: 'error',
+      message: { text: 'File name should have "format"' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'receipts/bad%20%231.pdf' } } }],
+      properties: { code: 'INVALID_FORMAT' }
+    });
+    expect(run.results[2].locations[0].physicalLocation).toEqual({
+      artifactLocation: { uri: 'receipts/contributions.csv' },
+      region: { startLine: 2 }
+    });
+  });
+});
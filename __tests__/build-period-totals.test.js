@@ -0,0 +1,50 @@
+import { getPeriodKey, listPeriods, buildPeriodTotals } from '../src/main.js';
+
+describe('getPeriodKey', () => {
+  test('should return the month, quarter or year of a date', () => {
+    expect(getPeriodKey('2024-03-15', 'month')).toBe('2024-03');
+    expect(getPeriodKey('2024-03-15', 'quarter')).toBe('2024-Q1');
+    expect(getPeriodKey('2024-10-01', 'quarter')).toBe('2024-Q4');
+    expect(getPeriodKey('2024-03-15', 'year')).toBe('2024');
+  });
+});
+
+describe('listPeriods', () => {
+  test('should list every month across a year boundary', () => {
+    expect(listPeriods('2023-11', '2024-02', 'month')).toEqual(['2023-11', '2023-12', '2024-01', '2024-02']);
+  });
+
+  test('should list every quarter and year', () => {
+    expect(listPeriods('2023-Q4', '2024-Q2', 'quarter')).toEqual(['2023-Q4', '2024-Q1', '2024-Q2']);
+    expect(listPeriods('2021', '2023', 'year')).toEqual(['2021', '2022', '2023']);
+  });
+});
+
+describe('buildPeriodTotals', () => {
+  const receipt = (date, amount, reimbursedAmount = 0) => ({
+    date,
+    year: date.slice(0, 4),
+    category: 'bob',
+    amount,
+    isReimbursement: reimbursedAmount > 0,
+    reimbursedAmount,
+    reimbursementDate: null
+  });
+
+  test('should total receipts per month and include empty months', () => {
+    const receipts = [receipt('2024-01-05', 45), receipt('2024-01-20', 30, 30), receipt('2024-03-01', -10)];
+    const totals = buildPeriodTotals(receipts, 'month');
+
+    expect(totals.periods).toEqual(['2024-01', '2024-02', '2024-03']);
+    expect(totals.expensesByYear).toEqual({ '2024-01': 75, '2024-03': -10 });
+    expect(totals.reimbursementsByYear).toEqual({ '2024-01': 30, '2024-03': 0 });
+    expect(totals.receiptCounts).toEqual({ '2024-01': 2, '2024-03': 1 });
+    expect(totals.refundsByYear).toEqual({ '2024-03': 10 });
+    expect(totals.expensesByCategory['2024-01'].bob.count).toBe(2);
+    expect(totals.receipts[0].year).toBe('2024-01');
+  });
+
+  test('should return no periods without receipts', () => {
+    expect(buildPeriodTotals([], 'quarter').periods).toEqual([]);
+  });
+});
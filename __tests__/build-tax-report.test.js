@@ -0,0 +1,119 @@
+import { buildTaxReport, formatTaxReport } from '../src/main.js';
+
+const receipt = (date, amount, reimbursementDate, reimbursedAmount = amount) => ({
+  date,
+  year: date.slice(0, 4),
+  relativePath: `${date} - doctor - $${amount.toFixed(2)}.pdf`,
+  amount,
+  isReimbursement: reimbursementDate !== undefined,
+  reimbursedAmount: reimbursementDate !== undefined ? reimbursedAmount : 0,
+  reimbursementDate: reimbursementDate ?? null
+});
+
+describe('buildTaxReport', () => {
+  const receipts = [
+    receipt('2024-01-05', 65, '2024-03-01'),
+    receipt('2024-02-05', 40, '2024-03-01'),
+    receipt('2024-05-05', 200, '2024-06-01', 50),
+    receipt('2023-12-01', 30, '2024-01-10'),
+    receipt('2023-06-01', 80, '2023-07-01'),
+    receipt('2023-05-05', 10, null),
+    receipt('2024-08-01', 25)
+  ];
+
+  test('should derive one distribution per withdrawal date without a ledger', () => {
+    const report = buildTaxReport(2024, receipts);
+
+    expect(report.source).toBe('receipts');
+    expect(report.distributions.map(({ date, amount }) => [date, amount])).toEqual([
+      ['2024-01-10', 30],
+      ['2024-03-01', 105],
+      ['2024-06-01', 50]
+    ]);
+    expect(report.distributions[1].receipts).toHaveLength(2);
+    expect(report).toMatchObject({ totalDistributions: 185, qualifiedExpenses: 185, unsupportedDistributions: 0 });
+    expect(report.distributions.every(({ issues }) => issues.length === 0)).toBe(true);
+  });
+
+  test('should list reimbursed receipts without a withdrawal date', () => {
+    const report = buildTaxReport(2024, receipts);
+    expect(report.undatedReceipts.map(({ date }) => date)).toEqual(['2023-05-05']);
+    expect(buildTaxReport(2022, receipts).undatedReceipts).toEqual([]);
+  });
+
+  test('should flag ledger distributions without enough receipt backing', () => {
+    const report = buildTaxReport(2024, receipts, [
+      { date: '2024-03-01', amount: 125, description: 'Withdrawal' },
+      { date: '2024-06-01', amount: 40, description: '' },
+      { date: '2024-09-01', amount: 100, description: '' },
+      { date: '2023-07-01', amount: 80, description: '' }
+    ]);
+
+    expect(report.source).toBe('ledger');
+    expect(report.distributions.map(({ date, backing, shortfall }) => [date, backing, shortfall])).toEqual([
+      ['2024-03-01', 105, 20],
+      ['2024-06-01', 50, 0],
+      ['2024-09-01', 0, 100]
+    ]);
+    expect(report.distributions[0].issues).toEqual(['$20.00 is not backed by receipts']);
+    expect(report.distributions[1].issues).toEqual(['Receipts add up to $10.00 more than the distribution']);
+    expect(report.distributions[2].issues).toEqual([
+      'No receipts are marked as reimbursed on 2024-09-01',
+      '$100.00 is not backed by receipts'
+    ]);
+    expect(report).toMatchObject({ totalDistributions: 265, qualifiedExpenses: 145, unsupportedDistributions: 120 });
+    expect(report.unmatchedReceipts.map(({ reimbursementDate }) => reimbursementDate)).toEqual(['2024-01-10']);
+  });
+
+  test('should not count receipts dated after the distribution', () => {
+    const report = buildTaxReport(2024, [
+      receipt('2024-01-05', 65, '2024-03-01'),
+      receipt('2024-04-05', 20, '2024-03-01')
+    ]);
+
+    expect(report.distributions[0]).toMatchObject({ amount: 85, backing: 65, shortfall: 20 });
+    expect(report.distributions[0].issues).toEqual([
+      '2024-04-05 - doctor - $20.00.pdf is dated after the distribution',
+      '$20.00 is not backed by receipts'
+    ]);
+  });
+});
+
+describe('formatTaxReport', () => {
+  const report = buildTaxReport(
+    2024,
+    [receipt('2024-01-05', 65, '2024-03-01'), receipt('2023-05-05', 10, null)],
+    [{ date: '2024-03-01', amount: 80, description: 'Withdrawal' }]
+  );
+
+  test('should write a plain text report', () => {
+    const text = formatTaxReport(report);
+    expect(text).toContain('HSA Tax Report 2024\n===================');
+    expect(text).toMatch(/Total distributions \(line 14a\): +\$80\.00/);
+    expect(text).toMatch(/Qualified medical expenses paid with distributions \(line 15\): +\$65\.00/);
+    expect(text).toContain('2024-03-01 - $80.00 (Withdrawal)');
+    expect(text).toContain('  2024-01-05      $65.00  2024-01-05 - doctor - $65.00.pdf');
+    expect(text).toContain('WARNING: $15.00 is not backed by receipts');
+    expect(text).toContain('Reimbursed receipts without a withdrawal date');
+    expect(text.endsWith('.pdf\n')).toBe(true);
+  });
+
+  test('should write a Markdown report', () => {
+    const markdown = formatTaxReport(report, 'markdown');
+    expect(markdown).toContain('# HSA Tax Report 2024');
+    expect(markdown).toContain('| Total distributions (line 14a) | $80.00 |');
+    expect(markdown).toContain('### 2024-03-01 - $80.00 (Withdrawal)');
+    expect(markdown).toContain('| 2024-01-05 | 2024-01-05 - doctor - $65.00.pdf | $65.00 |');
+    expect(markdown).toContain('- **Warning:** $15.00 is not backed by receipts');
+  });
+
+  test('should escape | in the file names of the Markdown receipt table', () => {
+    const piped = { ...receipt('2024-01-05', 65, '2024-03-01'), relativePath: '2024-01-05 - a | b - $65.00.pdf' };
+    const markdown = formatTaxReport(buildTaxReport(2024, [piped]), 'markdown');
+    expect(markdown).toContain('| 2024-01-05 | 2024-01-05 - a \\| b - $65.00.pdf | $65.00 |');
+  });
+
+  test('should say when there are no distributions', () => {
+    expect(formatTaxReport(buildTaxReport(2020, []))).toContain('No distributions in 2020.');
+  });
+});
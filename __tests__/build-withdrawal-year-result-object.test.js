@@ -0,0 +1,19 @@
+import { buildWithdrawalYearResultObject } from '../src/main.js';
+
+describe('buildWithdrawalYearResultObject', () => {
+  test('should format reimbursements by withdrawal year with undated last', () => {
+    const result = buildWithdrawalYearResultObject({ undated: 10, 2025: 5.5, 2024: 50 });
+
+    expect(result).toEqual({ 2024: '$50.00', 2025: '$5.50', Undated: '$10.00' });
+    expect(Object.keys(result)).toEqual(['2024', '2025', 'Undated']);
+  });
+
+  test('should leave out Undated when every reimbursement has a date', () => {
+    expect(buildWithdrawalYearResultObject({ 2024: 50 })).toEqual({ 2024: '$50.00' });
+  });
+
+  test('should return null when no reimbursement has a date', () => {
+    expect(buildWithdrawalYearResultObject({ undated: 10 })).toBeNull();
+    expect(buildWithdrawalYearResultObject({})).toBeNull();
+  });
+});
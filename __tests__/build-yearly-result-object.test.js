@@ -154,4 +154,62 @@ describe('buildYearlyResultObject', () => {
 
     expect(result['2021'].byCategory).toBeUndefined();
   });
+
+  test('should show refunds only when there are some', () => {
+    const years = ['2021', '2022'];
+    const expensesByYear = { 2021: 80.0, 2022: 50.0 };
+    const reimbursementsByYear = { 2021: 0, 2022: 0 };
+    const receiptCounts = { 2021: 2, 2022: 1 };
+    const refundsByYear = { 2021: 20.0 };
+
+    const result = buildYearlyResultObject(
+      years,
+      expensesByYear,
+      reimbursementsByYear,
+      receiptCounts,
+      {},
+      refundsByYear
+    );
+
+    expect(result['2021'].refunds).toBe('$20.00');
+    expect(result['2022'].refunds).toBeUndefined();
+    expect(result['Total'].refunds).toBe('$20.00');
+  });
+
+  test('should put the minus sign before the dollar sign', () => {
+    const result = buildYearlyResultObject(['2021'], { 2021: -5.0 }, { 2021: 0 }, { 2021: 1 });
+    expect(result['2021'].expenses).toBe('-$5.00');
+  });
+
+  test('should add a nested --group-by breakdown', () => {
+    const groupTotals = {
+      fields: ['person', 'type'],
+      byYear: {
+        2021: {
+          jane: {
+            expenses: 10,
+            reimbursements: 0,
+            count: 1,
+            groups: { vision: { expenses: 10, reimbursements: 0, count: 1 } }
+          },
+          bob: {
+            expenses: 90,
+            reimbursements: 0,
+            count: 1,
+            groups: { dentist: { expenses: 90, reimbursements: 0, count: 1 } }
+          }
+        }
+      }
+    };
+
+    const result = buildYearlyResultObject(['2021'], { 2021: 100 }, { 2021: 0 }, { 2021: 2 }, {}, {}, groupTotals);
+
+    expect(Object.keys(result['2021'].byPerson)).toEqual(['bob', 'jane']);
+    expect(result['2021'].byPerson.bob).toEqual({
+      expenses: '$90.00',
+      reimbursements: '$0.00',
+      receipts: 1,
+      byType: { dentist: { expenses: '$90.00', reimbursements: '$0.00', receipts: 1 } }
+    });
+  });
 });
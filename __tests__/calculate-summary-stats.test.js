@@ -13,19 +13,19 @@ describe('calculateSummaryStats', () => {
     expect(stats.totalFiles).toBe(6); // 5 valid + 1 invalid
     expect(stats.totalValidFiles).toBe(5);
     expect(stats.totalInvalidFiles).toBe(1);
-    expect(stats.invalidFilePercentage).toBe('16.7');
+    expect(stats.invalidFilePercentage).toBe(16.7);
     expect(stats.totalExpenses).toBe(300.0);
     expect(stats.totalReimbursements).toBe(150.0);
     expect(stats.totalReimburseable).toBe(150.0);
-    expect(stats.reimbursementRate).toBe('50.0');
-    expect(stats.reimburseableRate).toBe('50.0');
-    expect(stats.avgExpensePerYear).toBe('150.00');
+    expect(stats.reimbursementRate).toBe(50);
+    expect(stats.reimburseableRate).toBe(50);
+    expect(stats.avgExpensePerYear).toBe(150);
     expect(stats.avgReceiptsPerYear).toBe(3); // Round 2.5 to 3
     expect(stats.mostExpensiveYear).toBe('2022');
     expect(stats.mostExpensiveYearAmount).toBe(200.0);
     expect(stats.mostExpensiveYearReceipts).toBe(3);
-    expect(stats.expensePercentage).toBe('66.7');
-    expect(stats.receiptPercentage).toBe('60.0');
+    expect(stats.expensePercentage).toBe(66.7);
+    expect(stats.receiptPercentage).toBe(60);
   });
 
   test('should handle empty years array', () => {
@@ -55,10 +55,10 @@ describe('calculateSummaryStats', () => {
 
     expect(stats.totalExpenses).toBe(500.0);
     expect(stats.totalReimbursements).toBe(0);
-    expect(stats.reimbursementRate).toBe('0.0');
-    expect(stats.avgExpensePerYear).toBe('500.00');
+    expect(stats.reimbursementRate).toBe(0);
+    expect(stats.avgExpensePerYear).toBe(500);
     expect(stats.mostExpensiveYear).toBe('2023');
-    expect(stats.expensePercentage).toBe('100.0');
+    expect(stats.expensePercentage).toBe(100);
   });
 
   test('should calculate percentages correctly when totals are zero', () => {
@@ -0,0 +1,57 @@
+import { compileFileNamePattern } from '../src/main.js';
+
+describe('compileFileNamePattern', () => {
+  test('should compile a pattern with a custom date format', () => {
+    const pattern = compileFileNamePattern({
+      format: '{date}_{description}_{amount}{reimbursed}.{ext}',
+      dateFormat: 'yyyymmdd'
+    });
+
+    expect(pattern.format).toBe('{date}_{description}_{amount}{reimbursed}.{ext}');
+    expect(pattern.dateFormat).toBe('yyyymmdd');
+    expect(pattern.regex.test('20230115_pharmacy_45.00.pdf')).toBe(true);
+    expect(pattern.regex.test('2023-01-15_pharmacy_45.00.pdf')).toBe(false);
+  });
+
+  test('should default to the yyyy-mm-dd date format', () => {
+    const pattern = compileFileNamePattern({ format: '{date} {description} {amount}.{ext}' });
+    expect(pattern.dateFormat).toBe('yyyy-mm-dd');
+    expect(pattern.regex.test('2023-01-15 doctor 45.00.pdf')).toBe(true);
+  });
+
+  test('should treat literal text in the format as plain text', () => {
+    const pattern = compileFileNamePattern({ format: '{date} (x) ${amount}.{ext}', dateFormat: 'm.d.yyyy' });
+    expect(pattern.regex.test('1.5.2023 (x) $45.pdf')).toBe(true);
+    expect(pattern.regex.test('1x5x2023 (x) $45.pdf')).toBe(false);
+  });
+
+  test('should reject a missing or non-string format', () => {
+    expect(() => compileFileNamePattern({})).toThrow('Pattern must have a "format" string');
+    expect(() => compileFileNamePattern(null)).toThrow('Pattern must have a "format" string');
+  });
+
+  test('should reject patterns without the required fields', () => {
+    expect(() => compileFileNamePattern({ format: '{date}_{description}.{ext}' })).toThrow(
+      'is missing the {amount} field'
+    );
+    expect(() => compileFileNamePattern({ format: '{date}_{amount}' })).toThrow('is missing the {ext} field');
+  });
+
+  test('should reject unknown and repeated fields', () => {
+    expect(() => compileFileNamePattern({ format: '{date}_{person}_{amount}.{ext}' })).toThrow(
+      'has unknown field {person}'
+    );
+    expect(() => compileFileNamePattern({ format: '{date}_{amount}_{amount}.{ext}' })).toThrow(
+      'uses {amount} more than once'
+    );
+  });
+
+  test('should reject invalid date formats', () => {
+    expect(() => compileFileNamePattern({ format: '{date}_{amount}.{ext}', dateFormat: 'yy-mm-dd' })).toThrow(
+      'may only contain yyyy, mm, dd, m, d and separators'
+    );
+    expect(() => compileFileNamePattern({ format: '{date}_{amount}.{ext}', dateFormat: 'yyyy-mm' })).toThrow(
+      'must contain the day exactly once'
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { compileReceiptFilters } from '../src/main.js';
+
+const receipts = [
+  {
+    date: '2023-12-31',
+    year: '2023',
+    description: 'bob dentist',
+    category: 'bob',
+    person: 'bob',
+    amount: 120,
+    isReimbursement: true
+  },
+  {
+    date: '2024-03-05',
+    year: '2024',
+    description: 'jane pharmacy',
+    category: 'jane',
+    person: 'jane',
+    amount: 15,
+    isReimbursement: false
+  },
+  {
+    date: '2024-04-01',
+    year: '2024',
+    description: 'Bob eye exam',
+    category: 'Bob',
+    person: 'Bob',
+    amount: -20,
+    isReimbursement: false
+  }
+];
+
+const select = filters => receipts.filter(compileReceiptFilters(filters).test).map(receipt => receipt.date);
+
+describe('compileReceiptFilters', () => {
+  test('should include every receipt without filters', () => {
+    const { test, labels } = compileReceiptFilters();
+    expect(receipts.every(test)).toBe(true);
+    expect(labels).toEqual([]);
+  });
+
+  test('should treat --from and --to as inclusive date prefixes', () => {
+    expect(select({ from: '2024' })).toEqual(['2024-03-05', '2024-04-01']);
+    expect(select({ to: '2024-03' })).toEqual(['2023-12-31', '2024-03-05']);
+    expect(select({ from: '2023-12-31', to: '2024-03-05' })).toEqual(['2023-12-31', '2024-03-05']);
+  });
+
+  test('should filter by year, category and person (case-insensitive)', () => {
+    expect(select({ years: ['2023'] })).toEqual(['2023-12-31']);
+    expect(select({ categories: ['BOB'] })).toEqual(['2023-12-31', '2024-04-01']);
+    expect(select({ persons: ['jane', 'bob'], years: ['2024'] })).toEqual(['2024-03-05', '2024-04-01']);
+  });
+
+  test('should match the description against a case-insensitive regex', () => {
+    expect(select({ match: 'dent|EYE' })).toEqual(['2023-12-31', '2024-04-01']);
+  });
+
+  test('should filter by amount range, including refunds', () => {
+    expect(select({ minAmount: 15 })).toEqual(['2023-12-31', '2024-03-05']);
+    expect(select({ maxAmount: 0 })).toEqual(['2024-04-01']);
+  });
+
+  test('should filter by reimbursement status', () => {
+    expect(select({ status: 'reimbursed' })).toEqual(['2023-12-31']);
+    expect(select({ status: 'unreimbursed' })).toEqual(['2024-03-05', '2024-04-01']);
+  });
+
+  test('should describe the active filters', () => {
+    const { labels } = compileReceiptFilters({
+      from: '2024-01',
+      years: ['2024'],
+      persons: ['bob'],
+      match: 'dent',
+      minAmount: 10,
+      status: 'unreimbursed'
+    });
+    expect(labels).toEqual([
+      'from 2024-01',
+      'year 2024',
+      'person bob',
+      'description /dent/',
+      'amount >= $10.00',
+      'unreimbursed'
+    ]);
+  });
+
+  test('should reject invalid dates, regexes and amounts', () => {
+    expect(() => compileReceiptFilters({ from: '2024-3-1' })).toThrow('--from must be a date');
+    expect(() => compileReceiptFilters({ to: 'March' })).toThrow('--to must be a date');
+    expect(() => compileReceiptFilters({ match: '(' })).toThrow('--match is not a valid regular expression');
+    expect(() => compileReceiptFilters({ maxAmount: NaN })).toThrow('--max-amount must be a number');
+  });
+});
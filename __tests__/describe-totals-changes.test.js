@@ -0,0 +1,34 @@
+import { describeTotalsChanges } from '../src/main.js';
+
+describe('describeTotalsChanges', () => {
+  const totals = (expenses, reimbursements, receipts) => ({
+    expensesByYear: { 2024: expenses },
+    reimbursementsByYear: { 2024: reimbursements },
+    receiptCounts: { 2024: receipts },
+    expensesByCategory: { 2024: { bob: { expenses, reimbursements, count: receipts } } }
+  });
+
+  test('should return no changes for identical totals', () => {
+    expect(describeTotalsChanges(totals(45, 0, 1), totals(45, 0, 1))).toEqual([]);
+  });
+
+  test('should describe year and category changes', () => {
+    expect(describeTotalsChanges(totals(45, 0, 1), totals(65.5, 20, 2))).toEqual([
+      { year: '2024', category: null, expenses: 20.5, reimbursements: 20, receipts: 1 },
+      { year: '2024', category: 'bob', expenses: 20.5, reimbursements: 20, receipts: 1 }
+    ]);
+  });
+
+  test('should describe years that were added or removed', () => {
+    const empty = { expensesByYear: {}, reimbursementsByYear: {}, receiptCounts: {}, expensesByCategory: {} };
+
+    expect(describeTotalsChanges(empty, totals(45, 0, 1))[0]).toEqual({
+      year: '2024',
+      category: null,
+      expenses: 45,
+      reimbursements: 0,
+      receipts: 1
+    });
+    expect(describeTotalsChanges(totals(45, 0, 1), empty)[0]).toMatchObject({ expenses: -45, receipts: -1 });
+  });
+});
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTotalsState, getTotalsByYear, parseFileName, updateTotals } from '../src/main.js';
+
+const RATES = { EUR: { 2024: 1.08, '2024-03': 1.1, '2024-03-15': 1.09 }, GBP: { 2024: 1.25 }, JPY: { 2024: 0.0067 } };
+
+describe('parseFileName with foreign currencies', () => {
+  test('should convert amounts written with a currency symbol or code to USD', () => {
+    expect(parseFileName('2024-01-10 - clinic - €100.00.pdf', [], RATES)).toMatchObject({
+      isValid: true,
+      amount: 108,
+      currency: 'EUR',
+      originalAmount: 100,
+      exchangeRate: 1.08
+    });
+    expect(parseFileName('2024-05-01 - pharmacy - GBP 20.00.pdf', [], RATES)).toMatchObject({ amount: 25 });
+    expect(parseFileName('2024-05-01 - pharmacy - GBP20.00.pdf', [], RATES)).toMatchObject({ amount: 25 });
+    expect(parseFileName('2024-05-01 - clinic - ¥5000.00.jpg', [], RATES)).toMatchObject({ amount: 33.5 });
+  });
+
+  test('should use the most specific rate for the date', () => {
+    expect(parseFileName('2024-03-15 - clinic - €100.00.pdf', [], RATES).exchangeRate).toBe(1.09);
+    expect(parseFileName('2024-03-16 - clinic - €100.00.pdf', [], RATES).exchangeRate).toBe(1.1);
+    expect(parseFileName('2024-04-01 - clinic - €100.00.pdf', [], RATES).exchangeRate).toBe(1.08);
+  });
+
+  test('should leave dollar amounts without currency details', () => {
+    const result = parseFileName('2024-01-10 - clinic - USD 50.00.pdf', [], RATES);
+    expect(result).toMatchObject({ isValid: true, amount: 50 });
+    expect(result.currency).toBeUndefined();
+    expect(parseFileName('2024-01-10 - clinic - $50.00.pdf').currency).toBeUndefined();
+  });
+
+  test('should convert refunds and compare partial reimbursements in dollars', () => {
+    expect(parseFileName('2024-01-10 - clinic - -€10.00.pdf', [], RATES)).toMatchObject({
+      amount: -10.8,
+      originalAmount: -10
+    });
+    expect(parseFileName('2024-01-10 - clinic - €100.00.reimbursed.pdf', [], RATES).reimbursedAmount).toBe(108);
+    expect(parseFileName('2024-01-10 - clinic - €100.00.reimbursed-$105.00.pdf', [], RATES)).toMatchObject({
+      isValid: true,
+      reimbursedAmount: 105
+    });
+    expect(parseFileName('2024-01-10 - clinic - €100.00.reimbursed-$110.00.pdf', [], RATES).code).toBe(
+      'REIMBURSED_AMOUNT_TOO_HIGH'
+    );
+  });
+
+  test('should reject a foreign currency amount without a rate for its date', () => {
+    const result = parseFileName('2021-01-15 - doctor - €50.00.pdf', [], RATES);
+    expect(result).toMatchObject({ isValid: false, code: 'MISSING_EXCHANGE_RATE' });
+    expect(result.error).toBe('No EUR exchange rate for 2021-01-15 (add one to exchange-rates.csv)');
+    expect(parseFileName('2024-01-15 - doctor - CHF 50.00.pdf', [], RATES).code).toBe('MISSING_EXCHANGE_RATE');
+  });
+
+  test('should not need a rate for a zero amount', () => {
+    expect(parseFileName('2024-01-15 - eob - €0.00.pdf')).toMatchObject({ isValid: true, amount: 0 });
+  });
+});
+
+describe('exchange rates in getTotalsByYear', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should read exchange-rates.csv and keep the totals in dollars', () => {
+    fs.writeFileSync(
+      path.join(tempDir, 'exchange-rates.csv'),
+      'Currency,Date,Rate\nEUR,2024,1.08\n€,2024-03-15,1.09\nUSD,2024,1\nEUR,24,1\nGBP,2024,-1\nEUR,2024,1.1\n'
+    );
+    fs.writeFileSync(path.join(tempDir, '2024-03-15 - clinic - €100.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-04-01 - doctor - $20.00.pdf'), '');
+
+    const totals = getTotalsByYear(tempDir);
+
+    expect(totals.exchangeRates).toEqual({ EUR: { 2024: 1.08, '2024-03-15': 1.09 } });
+    expect(totals.exchangeRateErrors).toEqual([
+      { line: 4, error: 'Currency "USD" should be a code like EUR' },
+      { line: 5, error: 'Date "24" should be yyyy, yyyy-mm or yyyy-mm-dd format' },
+      { line: 6, error: 'Rate "-1" should be a positive number of dollars like 1.08' },
+      { line: 7, error: 'Duplicate EUR rate for 2024' }
+    ]);
+    expect(totals.expensesByYear).toEqual({ 2024: 129 });
+    expect(totals.receipts.map(({ currency, originalAmount, amount }) => [currency, originalAmount, amount])).toEqual([
+      ['EUR', 100, 109],
+      ['USD', 20, 20]
+    ]);
+    expect(totals.invalidFiles).toEqual([]);
+  });
+
+  test('should parse foreign currency receipts again when the rates change', () => {
+    const state = createTotalsState();
+    fs.writeFileSync(path.join(tempDir, '2024-03-15 - clinic - €100.00.pdf'), '');
+
+    expect(updateTotals(tempDir, state).totals.invalidFiles).toHaveLength(1);
+
+    fs.writeFileSync(path.join(tempDir, 'exchange-rates.csv'), 'Currency,Date,Rate\nEUR,2024,1.08\n');
+    const { added, totals } = updateTotals(tempDir, state);
+    expect(added).toEqual([]);
+    expect(totals.invalidFiles).toEqual([]);
+    expect(totals.expensesByYear).toEqual({ 2024: 108 });
+  });
+});
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { findDuplicates } from '../src/main.js';
+
+describe('findDuplicates', () => {
+  let tempDir;
+
+  const receipt = (relativePath, content, overrides = {}) => {
+    fs.writeFileSync(path.join(tempDir, relativePath), content);
+    return {
+      relativePath,
+      date: '2024-01-01',
+      amount: 45.0,
+      description: 'bob doctor',
+      isReimbursement: false,
+      isSyncCopy: false,
+      ...overrides
+    };
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should group files with identical content', () => {
+    const receipts = [
+      receipt('b.pdf', 'same', { date: '2024-01-01' }),
+      receipt('a.pdf', 'same', { date: '2024-05-01', amount: 10.0, description: 'scan' })
+    ];
+
+    expect(findDuplicates(tempDir, receipts)).toEqual([{ reasons: ['identical content'], files: ['a.pdf', 'b.pdf'] }]);
+  });
+
+  test('should not treat empty files as identical content', () => {
+    const receipts = [receipt('a.pdf', ''), receipt('b.pdf', '', { date: '2024-02-01' })];
+    expect(findDuplicates(tempDir, receipts)).toEqual([]);
+  });
+
+  test('should skip files that cannot be read instead of failing', () => {
+    const receipts = [receipt('a.pdf', 'same'), receipt('b.pdf', 'same', { date: '2024-02-01' })];
+    fs.symlinkSync(path.join(tempDir, 'missing.pdf'), path.join(tempDir, 'c.pdf'));
+    receipts.push({ ...receipts[0], relativePath: 'c.pdf', date: '2024-03-01' });
+
+    expect(findDuplicates(tempDir, receipts)).toEqual([{ reasons: ['identical content'], files: ['a.pdf', 'b.pdf'] }]);
+  });
+
+  test('should group same date and amount with similar descriptions', () => {
+    const receipts = [
+      receipt('a.pdf', 'a', { description: 'jane eye' }),
+      receipt('b.pdf', 'b', { description: 'jane eye exam' }),
+      receipt('c.pdf', 'c', { description: 'bob eye' })
+    ];
+
+    expect(findDuplicates(tempDir, receipts)).toEqual([
+      { reasons: ['same date, amount and similar description'], files: ['a.pdf', 'b.pdf'] }
+    ]);
+  });
+
+  test('should not group different amounts or dates', () => {
+    const receipts = [
+      receipt('a.pdf', 'a'),
+      receipt('b.pdf', 'b', { amount: 46.0 }),
+      receipt('c.pdf', 'c', { date: '2024-01-02' })
+    ];
+    expect(findDuplicates(tempDir, receipts)).toEqual([]);
+  });
+
+  test('should flag sync copies and keep the original first', () => {
+    const receipts = [receipt('a (1).pdf', 'a', { isSyncCopy: true }), receipt('a.pdf', 'b')];
+    expect(findDuplicates(tempDir, receipts)).toEqual([{ reasons: ['sync copy'], files: ['a.pdf', 'a (1).pdf'] }]);
+  });
+
+  test('should keep the reimbursed copy first', () => {
+    const receipts = [receipt('a.pdf', 'a'), receipt('b.pdf', 'a', { isReimbursement: true })];
+    expect(findDuplicates(tempDir, receipts)[0].files).toEqual(['b.pdf', 'a.pdf']);
+  });
+});
@@ -0,0 +1,31 @@
+import { buildYearlyResultObject, formatAmount, setLocale } from '../src/main.js';
+
+describe('formatAmount', () => {
+  afterEach(() => {
+    setLocale();
+  });
+
+  test('should format dollars with thousands separators and the minus sign before the $', () => {
+    expect(formatAmount(1234567.891)).toBe('$1,234,567.89');
+    expect(formatAmount(-25)).toBe('-$25.00');
+    expect(formatAmount(-0)).toBe('$0.00');
+  });
+
+  test('should format other currencies', () => {
+    expect(formatAmount(100, 'EUR')).toBe('€100.00');
+    expect(formatAmount(5000, 'JPY')).toBe('¥5,000');
+  });
+
+  test('should use the locale set with setLocale', () => {
+    setLocale('de-DE');
+    expect(formatAmount(1234.5)).toBe('1.234,50\u00a0$');
+    expect(buildYearlyResultObject(['2024'], { 2024: 12000 }, { 2024: 0 }, { 2024: 3 })['2024'].expenses).toBe(
+      '12.000,00\u00a0$'
+    );
+  });
+
+  test('should reject locales Intl does not support', () => {
+    expect(() => setLocale('en_US')).toThrow('Locale "en_US" is not supported');
+    expect(formatAmount(1)).toBe('$1.00');
+  });
+});
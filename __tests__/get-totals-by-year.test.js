@@ -1,4 +1,4 @@
-import { getTotalsByYear } from '../src/main.js';
+import { getTotalsByYear, compileFileNamePattern } from '../src/main.js';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -147,4 +147,188 @@ describe('getTotalsByYear', () => {
       fs.rmSync(tempDir, { recursive: true });
     }
   });
+
+  test('should include receipts from subfolders with relative paths when recursive', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.mkdirSync(path.join(tempDir, '2024', 'bob'), { recursive: true });
+    fs.writeFileSync(path.join(tempDir, '2024-01-01 - jane doctor - $10.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024', 'bob', '2024-02-01 - bob dentist - $20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024', 'bob', 'bad-name.pdf'), '');
+
+    try {
+      const flat = getTotalsByYear(tempDir);
+      expect(flat.expensesByYear['2024']).toBe(10.0);
+
+      const result = getTotalsByYear(tempDir, { recursive: true });
+      expect(result.expensesByYear['2024']).toBe(30.0);
+      expect(result.receipts.find(r => r.fileName.includes('bob dentist'))).toMatchObject({
+        relativePath: '2024/bob/2024-02-01 - bob dentist - $20.00.pdf',
+        folder: '2024/bob'
+      });
+      expect(result.invalidFiles.map(f => f.fileName)).toEqual(['2024/bob/bad-name.pdf']);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should parse file names with custom patterns', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '20230115_pharmacy_45.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2023-02-01 - doctor - $5.00.pdf'), '');
+
+    try {
+      const patterns = [
+        compileFileNamePattern({ format: '{date}_{description}_{amount}.{ext}', dateFormat: 'yyyymmdd' })
+      ];
+
+      expect(getTotalsByYear(tempDir).invalidFiles).toHaveLength(1);
+
+      const result = getTotalsByYear(tempDir, { patterns });
+      expect(result.invalidFiles).toHaveLength(0);
+      expect(result.expensesByYear['2023']).toBe(50.0);
+      expect(result.expensesByCategory['2023']['pharmacy'].expenses).toBe(45.0);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should count partial reimbursements and group them by withdrawal year', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2022-01-01 - bob doctor - $50.00.reimbursed-2024-03-01-$20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2022-02-01 - bob dentist - $30.00.reimbursed-2024-05-01.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2023-01-01 - jane vision - $10.00.reimbursed.pdf'), '');
+
+    try {
+      const result = getTotalsByYear(tempDir);
+
+      expect(result.expensesByYear['2022']).toBe(80.0);
+      expect(result.reimbursementsByYear['2022']).toBe(50.0);
+      expect(result.expensesByCategory['2022']['bob'].reimbursements).toBe(50.0);
+      expect(result.reimbursementsByWithdrawalYear).toEqual({ 2024: 50.0, undated: 10.0 });
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should subtract refunds and list $0.00 documents as informational', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2024-01-01 - bob pharmacy - $50.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-02-01 - bob pharmacy - -$20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-03-01 - jane eob - $0.00.pdf'), '');
+
+    try {
+      const result = getTotalsByYear(tempDir);
+
+      expect(result.expensesByYear['2024']).toBe(30.0);
+      expect(result.refundsByYear['2024']).toBe(20.0);
+      expect(result.receiptCounts['2024']).toBe(2);
+      expect(result.expensesByCategory['2024']['bob'].expenses).toBe(30.0);
+      expect(result.informationalFiles).toEqual([
+        { fileName: '2024-03-01 - jane eob - $0.00.pdf', date: '2024-03-01', description: 'jane eob' }
+      ]);
+      expect(result.invalidFiles).toHaveLength(0);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should report duplicates and only exclude them when asked', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2024-01-01 - bob doctor - $45.00.pdf'), 'a');
+    fs.writeFileSync(path.join(tempDir, '2024-01-01 - bob doctor - $45.00 (1).pdf'), 'a');
+    fs.writeFileSync(path.join(tempDir, '2024-02-01 - jane pharmacy - $10.00.pdf'), 'b');
+
+    try {
+      const result = getTotalsByYear(tempDir);
+      expect(result.invalidFiles).toHaveLength(0);
+      expect(result.expensesByYear['2024']).toBe(100.0);
+      expect(result.duplicates).toEqual([
+        {
+          reasons: ['identical content', 'sync copy'],
+          files: ['2024-01-01 - bob doctor - $45.00.pdf', '2024-01-01 - bob doctor - $45.00 (1).pdf']
+        }
+      ]);
+
+      const excluded = getTotalsByYear(tempDir, { excludeDuplicates: true });
+      expect(excluded.expensesByYear['2024']).toBe(55.0);
+      expect(excluded.receiptCounts['2024']).toBe(2);
+      expect(excluded.excludedDuplicates).toBe(1);
+      expect(excluded.receipts.map(r => r.fileName)).not.toContain('2024-01-01 - bob doctor - $45.00 (1).pdf');
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should group by resolved categories and keep tags', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+    const { compileCategoryRules } = await import('../src/main.js');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2024-01-01 - Robert doctor - $45.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-02-01 - bob dentist #ortho - $20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-03-01 - Dr Smith - $30.00.pdf'), '');
+
+    try {
+      const categoryRules = compileCategoryRules({
+        aliases: { robert: 'bob' },
+        rules: [{ pattern: '^dr smith', category: 'jane' }]
+      });
+      const result = getTotalsByYear(tempDir, { categoryRules });
+
+      expect(Object.keys(result.expensesByCategory['2024']).sort()).toEqual(['bob', 'jane']);
+      expect(result.expensesByCategory['2024']['bob'].expenses).toBe(65.0);
+      const tagged = result.receipts.find(receipt => receipt.tags.length > 0);
+      expect(tagged).toMatchObject({ description: 'bob dentist', tags: ['ortho'] });
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
+
+  test('should leave filtered-out receipts out of all totals', async () => {
+    const fs = (await import('fs')).default;
+    const os = (await import('os')).default;
+    const path = (await import('path')).default;
+    const { compileReceiptFilters } = await import('../src/main.js');
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.writeFileSync(path.join(tempDir, '2023-06-01 - bob doctor - $45.00.reimbursed-2024-01-10.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-02-01 - bob dentist - $20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024-03-01 - jane rx - $30.00.reimbursed.pdf'), '');
+
+    try {
+      const filters = compileReceiptFilters({ persons: ['bob'] });
+      const result = getTotalsByYear(tempDir, { filters });
+
+      expect(result.expensesByYear).toEqual({ 2023: 45.0, 2024: 20.0 });
+      expect(result.reimbursementsByYear).toEqual({ 2023: 45.0, 2024: 0 });
+      expect(result.reimbursementsByWithdrawalYear).toEqual({ 2024: 45.0 });
+      expect(result.receipts.map(receipt => receipt.person)).toEqual(['bob', 'bob']);
+      expect(result.filters).toEqual(['person bob']);
+      expect(result.filteredReceipts).toBe(1);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true });
+    }
+  });
 });
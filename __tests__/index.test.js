@@ -0,0 +1,199 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as library from '../src/index.js';
+
+const { analyze, parseReceiptFileName, AnalyzerError } = library;
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+describe('library entry point', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    for (const fileName of [
+      '2023-01-01 - bob doctor #urgent - $45.00.pdf',
+      '2024-02-01 - jane pharmacy - $30.00.reimbursed-2024-03-01.pdf',
+      '2024-02-15 - jane pharmacy - -$5.00.pdf',
+      '2024-03-01 - eob - $0.00.pdf',
+      '2024-13-01 - bad date - $10.00.pdf',
+      'notes.txt'
+    ]) {
+      fs.writeFileSync(path.join(tempDir, fileName), '');
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should return typed receipts and numeric totals', () => {
+    const result = analyze(tempDir);
+
+    expect(result.receipts).toHaveLength(3);
+    expect(result.receipts[0]).toEqual({
+      fileName: '2023-01-01 - bob doctor #urgent - $45.00.pdf',
+      path: '2023-01-01 - bob doctor #urgent - $45.00.pdf',
+      folder: '',
+      date: '2023-01-01',
+      year: 2023,
+      description: 'bob doctor',
+      category: 'bob',
+      person: 'bob',
+      type: 'doctor',
+      tags: ['urgent'],
+      amount: 45,
+      currency: 'USD',
+      originalAmount: 45,
+      exchangeRate: 1,
+      isRefund: false,
+      isReimbursed: false,
+      reimbursedAmount: 0,
+      reimbursementDate: null
+    });
+    expect(result.receipts[2]).toMatchObject({ amount: -5, isRefund: true });
+    expect(result.years['2024']).toMatchObject({ expenses: 25, reimbursements: 30, refunds: 5, receipts: 2 });
+    expect(result.summary).toMatchObject({ totalExpenses: 70, reimbursementRate: 42.9, mostExpensiveYear: '2023' });
+    expect(result.reimbursementsByWithdrawalYear).toEqual({ 2024: 30 });
+    expect(result.informationalFiles).toEqual([
+      { path: '2024-03-01 - eob - $0.00.pdf', date: '2024-03-01', description: 'eob' }
+    ]);
+  });
+
+  test('should report invalid files with error codes', () => {
+    const { invalidFiles } = analyze(tempDir);
+    expect(invalidFiles).toEqual([
+      { path: '2024-13-01 - bad date - $10.00.pdf', code: 'INVALID_DATE', message: expect.any(String) },
+      { path: 'notes.txt', code: 'INVALID_FORMAT', message: expect.any(String) }
+    ]);
+  });
+
+  test('should only report error codes declared in index.d.ts', () => {
+    const declarations = fs.readFileSync(path.join(__dirname, '../src/index.d.ts'), 'utf-8');
+    const declaredCodes = declarations
+      .match(/export type FileErrorCode =([^;]+);/)[1]
+      .match(/'[A-Z_]+'/g)
+      .map(code => code.slice(1, -1));
+    const { invalidFiles } = analyze(path.join(__dirname, '../test-data'));
+
+    expect(invalidFiles.length).toBeGreaterThan(0);
+    for (const { code } of invalidFiles) {
+      expect(declaredCodes).toContain(code);
+    }
+  });
+
+  test('should apply filters, grouping and periods', () => {
+    const result = analyze(tempDir, { filters: { persons: ['jane'] }, groupBy: ['person'], period: 'quarter' });
+    expect(result.receipts.map(receipt => receipt.person)).toEqual(['jane', 'jane']);
+    expect(result.filters).toEqual(['person jane']);
+    expect(result.years['2024'].byPerson.jane.expenses).toBe(25);
+    expect(Object.keys(result.periods)).toEqual(['2024-Q1']);
+  });
+
+  test('should apply the year filters to the contributions', () => {
+    fs.writeFileSync(path.join(tempDir, 'contributions.csv'), 'Year,Self,Employer\n2023,1000,0\n2024,2000,500\n');
+    expect(Object.keys(analyze(tempDir).contributions)).toEqual(['2023', '2024']);
+    expect(analyze(tempDir, { filters: { years: [2024] } }).contributions).toEqual({
+      2024: expect.objectContaining({ self: 2000, employer: 500, total: 2500 })
+    });
+  });
+
+  const catchError = callback => {
+    try {
+      callback();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  test('should throw AnalyzerError with a code for invalid options', () => {
+    const error = catchError(() => analyze(tempDir, { maxDepth: -1, groupBy: ['color'], filters: { from: 'May' } }));
+    expect(error).toBeInstanceOf(AnalyzerError);
+    expect(error.code).toBe('INVALID_OPTIONS');
+    expect(error.details).toHaveLength(3);
+  });
+
+  test('should name the options as they are passed in error messages', () => {
+    const error = catchError(() =>
+      analyze(tempDir, {
+        maxDepth: -1,
+        excludeDuplicates: 'yes',
+        groupBy: ['color'],
+        catchUpFrom: 2030.5,
+        contributionLimits: { 2030: { family: -1 } },
+        filters: { from: 'May', minAmount: NaN }
+      })
+    );
+    expect(error.message).toBe('Invalid options: "maxDepth" should be a non-negative integer');
+    expect(error.details).toEqual([
+      '"maxDepth" should be a non-negative integer',
+      '"excludeDuplicates" should be a boolean',
+      '"groupBy" should only contain "category", "person", "type", "folder"',
+      '"catchUpFrom" should be a year (e.g., 2030)',
+      '"contributionLimits.2030.family" should be a non-negative number',
+      '"filters.from" must be a date like 2024, 2024-03 or 2024-03-15, got "May"'
+    ]);
+    expect(catchError(() => analyze(tempDir, { filters: { minAmount: NaN } })).details).toEqual([
+      '"filters.minAmount" must be a number'
+    ]);
+  });
+
+  test('should check the types of the filters', () => {
+    const error = catchError(() => analyze(tempDir, { filters: { years: '2024', minAmount: '10', color: 'red' } }));
+    expect(error).toBeInstanceOf(AnalyzerError);
+    expect(error.code).toBe('INVALID_OPTIONS');
+    expect(error.message).toBe('Invalid options: "filters.years" should be an array of years');
+    expect(error.details).toEqual([
+      '"filters.years" should be an array of years',
+      '"filters.minAmount" should be a number',
+      'Unknown filter "color" (expected one of: from, to, years, categories, persons, match, minAmount, maxAmount, status)'
+    ]);
+    expect(catchError(() => analyze(tempDir, { filters: ['2024'] })).details).toEqual([
+      '"filters" should be an object'
+    ]);
+  });
+
+  test('should analyze a folder with a broken symlink named like a receipt', () => {
+    fs.symlinkSync(path.join(tempDir, 'missing.pdf'), path.join(tempDir, '2024-04-01 - jane dentist - $20.00.pdf'));
+    expect(analyze(tempDir).summary.totalExpenses).toBe(90);
+  });
+
+  test('should throw DIRECTORY_UNREADABLE instead of exiting for a missing directory', () => {
+    const exit = process.exit;
+    process.exit = () => {
+      throw new Error('process.exit should not be called');
+    };
+    try {
+      const error = catchError(() => analyze(path.join(tempDir, 'missing')));
+      expect(error).toBeInstanceOf(AnalyzerError);
+      expect(error.code).toBe('DIRECTORY_UNREADABLE');
+    } finally {
+      process.exit = exit;
+    }
+  });
+
+  test('should parse a single file name', () => {
+    expect(parseReceiptFileName('2024-02-01 - jane pharmacy - $30.00.reimbursed.pdf')).toMatchObject({
+      kind: 'receipt',
+      receipt: { year: 2024, amount: 30, isReimbursed: true, reimbursedAmount: 30 }
+    });
+    expect(parseReceiptFileName('2024-02-01 - jane - $30.pdf')).toEqual({
+      kind: 'invalid',
+      error: { path: '2024-02-01 - jane - $30.pdf', code: 'INVALID_AMOUNT', message: expect.any(String) }
+    });
+    expect(parseReceiptFileName('2024-06-30 - employer - $500.00.contribution.pdf')).toMatchObject({
+      kind: 'contribution',
+      source: 'employer',
+      amount: 500
+    });
+  });
+
+  test('should declare every export in index.d.ts', () => {
+    const declarations = fs.readFileSync(path.join(__dirname, '../src/index.d.ts'), 'utf-8');
+    for (const name of Object.keys(library)) {
+      expect(declarations).toMatch(new RegExp(`export (function|class) ${name}\\b`));
+    }
+  });
+});
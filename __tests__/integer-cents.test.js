@@ -0,0 +1,184 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  buildJsonReport,
+  buildPeriodTotals,
+  buildYearlyResultObject,
+  calculateSummaryStats,
+  createTotalsState,
+  formatPercentage,
+  getTotalsByYear,
+  parseFileName,
+  setLocale,
+  sumAmounts,
+  toCents,
+  toDollars,
+  updateTotals
+} from '../src/main.js';
+
+// 0.1 + 0.2 is 0.30000000000000004 in floating point, so naive sums of these drift after enough receipts
+const AMOUNTS = ['0.10', '0.20', '0.01'];
+const RECEIPTS_PER_AMOUNT = 1000;
+
+describe('toCents and sumAmounts', () => {
+  test('should convert dollars to whole cents and back', () => {
+    expect(toCents(19.99)).toBe(1999);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-10.8)).toBe(-1080);
+    expect(toCents(0.1 + 0.2)).toBe(30);
+    expect(toDollars(1999)).toBe(19.99);
+  });
+
+  test('should add amounts exactly', () => {
+    expect(sumAmounts([0.1, 0.2])).toBe(0.3);
+    expect(sumAmounts(Array(10000).fill(0.01))).toBe(100);
+    expect(sumAmounts(Array(10000).fill(19.99))).toBe(199900);
+    expect(sumAmounts([])).toBe(0);
+  });
+
+  test('should round converted amounts half away from zero', () => {
+    const rates = { EUR: { 2024: 1.0875 } };
+    // 2.00 × 1.0875 is 2.175, which is 217.49999999999997 cents in floating point
+    expect(parseFileName('2024-01-10 - clinic - €2.00.pdf', [], rates).amount).toBe(2.18);
+    expect(parseFileName('2024-01-10 - clinic - -€2.00.pdf', [], rates).amount).toBe(-2.18);
+  });
+});
+
+describe('formatPercentage', () => {
+  afterEach(() => {
+    setLocale();
+  });
+
+  test('should format one decimal in the output locale', () => {
+    expect(formatPercentage(30.8)).toBe('30.8%');
+    expect(formatPercentage(0)).toBe('0.0%');
+    setLocale('de-DE');
+    expect(formatPercentage(30.8)).toBe('30,8\u00a0%');
+  });
+});
+
+describe('totals in integer cents', () => {
+  let tempDir;
+  const fileNames = [];
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    for (const [index, amount] of AMOUNTS.entries()) {
+      for (let i = 0; i < RECEIPTS_PER_AMOUNT; i++) {
+        // The $0.10 receipts are reimbursed, spread over every day of 2023 and 2024
+        const day = new Date(Date.UTC(2023, 0, 1 + ((i * 3 + index) % 730))).toISOString().slice(0, 10);
+        const marker = amount === '0.10' ? '.reimbursed' : '';
+        const fileName = `${day} - bob item ${index}-${i} - $${amount}${marker}.pdf`;
+        fs.writeFileSync(path.join(tempDir, fileName), '');
+        fileNames.push(fileName);
+      }
+    }
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should add up thousands of receipts to the exact cent', () => {
+    const totals = getTotalsByYear(tempDir);
+    const years = Object.keys(totals.expensesByYear).sort();
+    const expenses = years.map(year => totals.expensesByYear[year]);
+    const reimbursements = years.map(year => totals.reimbursementsByYear[year]);
+
+    expect(totals.receipts).toHaveLength(3000);
+    expect(sumAmounts(expenses)).toBe(310);
+    expect(sumAmounts(reimbursements)).toBe(100);
+    for (const year of years) {
+      expect(totals.expensesByYear[year]).toBe(toDollars(toCents(totals.expensesByYear[year])));
+      expect(totals.expensesByCategory[year].bob.expenses).toBe(totals.expensesByYear[year]);
+    }
+
+    const stats = calculateSummaryStats(
+      years,
+      totals.expensesByYear,
+      totals.reimbursementsByYear,
+      totals.receiptCounts,
+      totals.invalidFiles
+    );
+    expect(stats).toMatchObject({
+      totalExpenses: 310,
+      totalReimbursements: 100,
+      totalReimburseable: 210,
+      avgExpensePerYear: 155,
+      reimbursementRate: 32.3,
+      reimburseableRate: 67.7
+    });
+
+    const result = buildYearlyResultObject(
+      years,
+      totals.expensesByYear,
+      totals.reimbursementsByYear,
+      totals.receiptCounts
+    );
+    expect(result.Total).toEqual({ expenses: '$310.00', reimbursements: '$100.00', receipts: 3000 });
+
+    const report = buildJsonReport(tempDir, totals, stats, [], 'month');
+    expect(sumAmounts(Object.values(report.periods).map(period => period.expenses))).toBe(310);
+    expect(sumAmounts(Object.values(report.periods).map(period => period.reimburseable))).toBe(210);
+  });
+
+  test('should not drift when receipts are added and removed over and over', () => {
+    const state = createTotalsState();
+    const initial = updateTotals(tempDir, state).totals;
+    const excluded = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+
+    try {
+      for (let round = 0; round < 3; round++) {
+        // Move two thirds of the receipts out of the folder and back again
+        const moved = fileNames.filter((_, i) => i % 3 !== round);
+        for (const fileName of moved) {
+          fs.renameSync(path.join(tempDir, fileName), path.join(excluded, fileName));
+        }
+        updateTotals(tempDir, state);
+        for (const fileName of moved) {
+          fs.renameSync(path.join(excluded, fileName), path.join(tempDir, fileName));
+        }
+        expect(updateTotals(tempDir, state).totals.expensesByYear).toEqual(initial.expensesByYear);
+      }
+
+      for (const fileName of fileNames) {
+        fs.renameSync(path.join(tempDir, fileName), path.join(excluded, fileName));
+      }
+      const { totals } = updateTotals(tempDir, state);
+      expect(totals.expensesByYear).toEqual({});
+      expect(totals.expensesByCategory).toEqual({});
+      expect(totals.reimbursementsByWithdrawalYear).toEqual({});
+    } finally {
+      for (const fileName of fs.readdirSync(excluded)) {
+        fs.renameSync(path.join(excluded, fileName), path.join(tempDir, fileName));
+      }
+      fs.rmSync(excluded, { recursive: true });
+    }
+  });
+
+  test('should keep period totals exact for refunds and partial reimbursements', () => {
+    const receipts = [];
+    for (let i = 0; i < 10000; i++) {
+      const date = `2024-${String((i % 12) + 1).padStart(2, '0')}-15`;
+      const amount = i % 4 === 0 ? -0.07 : 19.99;
+      receipts.push({
+        date,
+        year: '2024',
+        category: 'bob',
+        amount,
+        isReimbursement: amount > 0 && i % 2 === 1,
+        reimbursedAmount: amount > 0 && i % 2 === 1 ? 0.33 : 0,
+        reimbursementDate: null
+      });
+    }
+
+    const totals = buildPeriodTotals(receipts, 'year');
+
+    // 7,500 × $19.99 - 2,500 × $0.07 and 5,000 × $0.33
+    expect(totals.expensesByYear).toEqual({ 2024: 149750 });
+    expect(totals.refundsByYear).toEqual({ 2024: 175 });
+    expect(totals.reimbursementsByYear).toEqual({ 2024: 1650 });
+    expect(totals.reimbursementsByWithdrawalYear).toEqual({ undated: 1650 });
+  });
+});
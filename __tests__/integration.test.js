@@ -1,4 +1,6 @@
-import { execSync } from 'child_process';
+import { execSync, spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -102,4 +104,273 @@ describe('hsa-expense-analyzer-cli', () => {
     expect(output).toContain('Reimbursements by year');
     expect(output).toContain('Expenses vs Reimbursements by year');
   });
+
+  test('should write a single JSON document with --format json', () => {
+    const jsonOutput = execSync('node src/main.js --dirPath=test-data/ --format json', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    const report = JSON.parse(jsonOutput);
+
+    expect(report.version).toBe(1);
+    expect(report.summary.totalExpenses).toBe(Number(EXPECTED_TOTAL_EXPENSES));
+    expect(report.summary.totalReimbursements).toBe(Number(EXPECTED_TOTAL_REIMBURSEMENTS));
+    expect(report.receipts).toHaveLength(Number(EXPECTED_TOTAL_RECEIPTS));
+    expect(report.invalidFiles).toHaveLength(EXPECTED_INVALID_FILES);
+  });
+
+  test('should write errors to stderr and nothing to stdout with --format json', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, 'notes.txt'), '');
+      const result = spawnSync('node', ['src/main.js', `--dirPath=${receiptsDir}`, '--format', 'json'], {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(result.status).toBe(1);
+      expect(result.stdout).toBe('');
+      expect(result.stderr).toContain('No valid receipt files found in the specified directory');
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should stop watch mode with an error when the folder cannot be watched', () => {
+    const result = spawnSync('node', ['src/main.js', '--watch', '--dirPath=test-data/missing', '--no-color'], {
+      encoding: 'utf8',
+      cwd: rootDir,
+      timeout: 10000
+    });
+    expect(result.status).toBe(1);
+    expect(result.stderr).toContain('❌ Error: Cannot watch test-data/missing: ENOENT');
+    expect(result.stderr).not.toMatch(/^\s+at /m); // No stack trace
+  });
+
+  test('should export one CSV row per valid receipt', () => {
+    const csvOutput = execSync('node src/main.js export --dirPath=test-data/ --no-color', {
+      encoding: 'utf8',
+      cwd: rootDir,
+      stdio: ['pipe', 'pipe', 'ignore']
+    });
+    const lines = csvOutput.trim().split('\r\n');
+
+    expect(lines[0]).toBe(
+      'Date,Year,Description,Category,Tags,Amount,Reimbursed,Reimbursed Amount,Reimbursement Date,File Name,Path,Currency,Original Amount'
+    );
+    expect(lines).toHaveLength(Number(EXPECTED_TOTAL_RECEIPTS) + 1);
+  });
+
+  test('should use a home config written by config init, with flags taking precedence', () => {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    const env = { ...process.env, HOME: homeDir };
+
+    try {
+      execSync('node src/main.js config init --global --dirPath=test-data/', { cwd: rootDir, env });
+      const config = JSON.parse(fs.readFileSync(path.join(homeDir, '.hsarc.json'), 'utf-8'));
+      expect(config.dirPath).toBe(path.join(rootDir, 'test-data'));
+
+      fs.writeFileSync(path.join(homeDir, '.hsarc.json'), JSON.stringify({ ...config, format: 'json' }));
+      const jsonOutput = execSync('node src/main.js', { encoding: 'utf8', cwd: rootDir, env });
+      expect(JSON.parse(jsonOutput).summary.totalExpenses).toBe(Number(EXPECTED_TOTAL_EXPENSES));
+
+      const textOutput = execSync('node src/main.js --format text --no-color', { encoding: 'utf8', cwd: rootDir, env });
+      expect(textOutput).toContain('📊 Summary Statistics');
+    } finally {
+      fs.rmSync(homeDir, { recursive: true });
+    }
+  });
+
+  test('should state the active filters in the summary', () => {
+    const filtered = execSync('node src/main.js --dirPath=test-data/ --no-color --summary-only --status unreimbursed', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    expect(filtered).toMatch(/Filters: unreimbursed \(\d+ receipts excluded\)/);
+    expect(filtered).toContain('Total Reimbursements: $0.00');
+  });
+
+  test('should write a tax report for a year', () => {
+    const report = execSync('node src/main.js tax-report --dirPath=test-data/ --year 2022 --report-format markdown', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    expect(report).toContain('# HSA Tax Report 2022');
+    expect(report).toContain('| Total distributions (line 14a) |');
+  });
+
+  test('should match receipts from earlier years in the tax report', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, '2023-12-01 - doctor - $30.00.reimbursed-2024-01-10.pdf'), '');
+      const report = execSync(`node src/main.js tax-report --dirPath="${receiptsDir}" --year 2024 --no-color`, {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(report).toContain('2023-12-01 - doctor - $30.00.reimbursed-2024-01-10.pdf');
+      expect(report).toMatch(/Total distributions \(line 14a\): +\$30\.00/);
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should write a tax report with the format config key set for the analysis', () => {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    const env = { ...process.env, HOME: homeDir };
+    try {
+      fs.writeFileSync(path.join(homeDir, '.hsarc.json'), JSON.stringify({ format: 'json' }));
+      const report = execSync('node src/main.js tax-report --dirPath=test-data/ --year 2022 --no-color', {
+        encoding: 'utf8',
+        cwd: rootDir,
+        env
+      });
+      expect(report).toContain('HSA Tax Report 2022');
+    } finally {
+      fs.rmSync(homeDir, { recursive: true });
+    }
+  });
+
+  test('should project the growth of unreimbursed receipts', () => {
+    const projection = execSync('node src/main.js project --dirPath=test-data/ --no-color --return 5 --horizon 3', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    expect(projection).toContain('Shoebox growth at 5% a year');
+    expect(projection.match(/\(projected\)/g)).toHaveLength(3);
+    expect(projection).toMatch(/Growth Earned So Far: \$\d+\.\d{2}/);
+  });
+
+  test('should fail lint on invalid files and write a SARIF report', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    const sarifPath = path.join(outputDir, 'lint.sarif');
+    try {
+      expect(() =>
+        execSync(`node src/main.js lint --dirPath=test-data/ --report-format sarif --output "${sarifPath}"`, {
+          cwd: rootDir,
+          stdio: 'pipe'
+        })
+      ).toThrow(expect.objectContaining({ status: 1 }));
+
+      const [run] = JSON.parse(fs.readFileSync(sarifPath, 'utf8')).runs;
+      const invalidNames = run.results.filter(({ ruleId }) => ruleId === 'invalid-file-name');
+      expect(invalidNames).toHaveLength(EXPECTED_INVALID_FILES);
+      expect(invalidNames[0].locations[0].physicalLocation.artifactLocation.uri).toMatch(/^test-data\//);
+    } finally {
+      fs.rmSync(outputDir, { recursive: true });
+    }
+  });
+
+  test('should pass lint for a clean folder', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, '2024-01-02 - doctor - $10.00.pdf'), '%PDF-1.7\n%%EOF\n');
+      const lint = execSync(`node src/main.js lint --dirPath="${receiptsDir}" --no-color`, {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(lint).toContain('✅ No problems found in 1 files');
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should fail without renaming anything when the undo journal is corrupt', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, '2024-01-02 - doctor - $10.pdf'), '');
+      fs.writeFileSync(path.join(receiptsDir, '.hsa-expense-analyzer-renames.jsonl'), 'not json\n');
+      const fix = spawnSync(
+        'node',
+        ['src/main.js', 'fix', `--dirPath=${receiptsDir}`, '--apply', '--yes', '--no-color'],
+        {
+          encoding: 'utf8',
+          cwd: rootDir
+        }
+      );
+      expect(fix.status).toBe(1);
+      expect(fix.stderr).toContain('❌ Error: Cannot read rename journal');
+      expect(fix.stderr).not.toContain('    at ');
+      expect(fs.existsSync(path.join(receiptsDir, '2024-01-02 - doctor - $10.pdf'))).toBe(true);
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should report a subfolder once in a non-recursive lint and skip it in verify', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, '2024-01-02 - doctor - $10.00.pdf'), '%PDF-1.7\n%%EOF\n');
+      fs.mkdirSync(path.join(receiptsDir, '2023'));
+
+      const verify = spawnSync('node', ['src/main.js', 'verify', `--dirPath=${receiptsDir}`, '--no-color'], {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(verify.status).toBe(0);
+      expect(verify.stdout).toContain('✅ All 1 receipt files are complete documents');
+
+      const lint = spawnSync('node', ['src/main.js', 'lint', `--dirPath=${receiptsDir}`, '--no-color'], {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(lint.status).toBe(1);
+      expect(lint.stdout).toContain('[invalid-file-name]');
+      expect(lint.stdout).toContain('1 problems in 1 of 2 files');
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should lint with the format config key set for the analysis', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    try {
+      fs.writeFileSync(path.join(receiptsDir, '2024-01-02 - doctor - $10.00.pdf'), '%PDF-1.7\n%%EOF\n');
+      fs.writeFileSync(path.join(receiptsDir, '.hsarc.json'), JSON.stringify({ format: 'json' }));
+      const lint = execSync(`node src/main.js lint --dirPath="${receiptsDir}" --report-format junit`, {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+      expect(lint).toContain('<testsuites name="hsa-expense-analyzer lint" tests="1" failures="0" errors="0">');
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
+
+  test('should mark and unmark receipts named with a custom reimbursed marker', () => {
+    const receiptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    const run = args =>
+      spawnSync('node', ['src/main.js', ...args, `--dirPath=${receiptsDir}`, '--yes', '--no-color'], {
+        encoding: 'utf8',
+        cwd: rootDir
+      });
+    try {
+      const pattern = { format: '{date}_{description}_{amount}{reimbursed}.{ext}', dateFormat: 'yyyymmdd' };
+      fs.writeFileSync(
+        path.join(receiptsDir, '.hsarc.json'),
+        JSON.stringify({ patterns: [{ ...pattern, reimbursedMarker: '_paid' }] })
+      );
+      fs.writeFileSync(path.join(receiptsDir, '20230115_pharmacy_45.00.pdf'), '');
+      fs.writeFileSync(path.join(receiptsDir, '20230116_doctor_30.00_paid.pdf'), '');
+
+      expect(run(['mark-reimbursed', '--description', 'pharmacy']).status).toBe(0);
+      expect(run(['unmark', '--description', 'doctor']).status).toBe(0);
+      expect(fs.readdirSync(receiptsDir).sort()).toEqual([
+        '.hsa-expense-analyzer-renames.jsonl',
+        '.hsarc.json',
+        '20230115_pharmacy_45.00_paid.pdf',
+        '20230116_doctor_30.00.pdf'
+      ]);
+
+      // Without a {reimbursed} field the marker can't be added, which fails the command
+      fs.writeFileSync(
+        path.join(receiptsDir, '.hsarc.json'),
+        JSON.stringify({ patterns: [{ ...pattern, format: '{date}_{description}_{amount}.{ext}' }] })
+      );
+      const failed = run(['mark-reimbursed', '--description', 'doctor']);
+      expect(failed.status).toBe(1);
+      expect(failed.stdout).toContain('Skipped 20230116_doctor_30.00.pdf: Pattern');
+      expect(failed.stderr).toContain('The reimbursed marker of 1 receipts could not be updated');
+    } finally {
+      fs.rmSync(receiptsDir, { recursive: true });
+    }
+  });
 });
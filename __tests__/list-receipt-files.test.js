@@ -0,0 +1,106 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { listReceiptFiles, matchesGlob } from '../src/main.js';
+
+describe('listReceiptFiles', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    // receipts/
+    // ├── 2021-01-01 - bob doctor - $10.00.pdf
+    // ├── 2024/
+    // │   ├── bob/2024-02-01 - bob dentist - $20.00.pdf
+    // │   └── jane/2024-03-01 - jane vision - $30.00.pdf
+    // └── archive/2019-01-01 - old - $40.00.pdf
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    fs.mkdirSync(path.join(tempDir, '2024', 'bob'), { recursive: true });
+    fs.mkdirSync(path.join(tempDir, '2024', 'jane'), { recursive: true });
+    fs.mkdirSync(path.join(tempDir, 'archive'));
+    fs.writeFileSync(path.join(tempDir, '2021-01-01 - bob doctor - $10.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024', 'bob', '2024-02-01 - bob dentist - $20.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '2024', 'jane', '2024-03-01 - jane vision - $30.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, 'archive', '2019-01-01 - old - $40.00.pdf'), '');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should only list top-level entries when not recursive', () => {
+    const files = listReceiptFiles(tempDir);
+    expect(files.sort()).toEqual(['2021-01-01 - bob doctor - $10.00.pdf', '2024', 'archive']);
+  });
+
+  test('should list nested files with relative paths when recursive', () => {
+    const files = listReceiptFiles(tempDir, { recursive: true });
+    expect(files.sort()).toEqual([
+      '2021-01-01 - bob doctor - $10.00.pdf',
+      '2024/bob/2024-02-01 - bob dentist - $20.00.pdf',
+      '2024/jane/2024-03-01 - jane vision - $30.00.pdf',
+      'archive/2019-01-01 - old - $40.00.pdf'
+    ]);
+  });
+
+  test('should respect maxDepth', () => {
+    const depthZero = listReceiptFiles(tempDir, { recursive: true, maxDepth: 0 });
+    expect(depthZero).toEqual(['2021-01-01 - bob doctor - $10.00.pdf']);
+
+    const depthOne = listReceiptFiles(tempDir, { recursive: true, maxDepth: 1 });
+    expect(depthOne.sort()).toEqual(['2021-01-01 - bob doctor - $10.00.pdf', 'archive/2019-01-01 - old - $40.00.pdf']);
+  });
+
+  test('should skip excluded folders and files', () => {
+    const files = listReceiptFiles(tempDir, { recursive: true, exclude: ['archive', '2024/jane/**'] });
+    expect(files.sort()).toEqual([
+      '2021-01-01 - bob doctor - $10.00.pdf',
+      '2024/bob/2024-02-01 - bob dentist - $20.00.pdf'
+    ]);
+  });
+
+  test('should only keep included files', () => {
+    const files = listReceiptFiles(tempDir, { recursive: true, include: ['2024/**'] });
+    expect(files.sort()).toEqual([
+      '2024/bob/2024-02-01 - bob dentist - $20.00.pdf',
+      '2024/jane/2024-03-01 - jane vision - $30.00.pdf'
+    ]);
+  });
+
+  test('should not loop forever on symlinks pointing to a parent folder', () => {
+    fs.symlinkSync(tempDir, path.join(tempDir, '2024', 'bob', 'loop'), 'dir');
+
+    const files = listReceiptFiles(tempDir, { recursive: true });
+    expect(files).toHaveLength(4);
+  });
+
+  test('should ignore hidden files and folders', () => {
+    fs.mkdirSync(path.join(tempDir, '.git'));
+    fs.writeFileSync(path.join(tempDir, '.git', '2020-01-01 - hidden - $5.00.pdf'), '');
+    fs.writeFileSync(path.join(tempDir, '.DS_Store'), '');
+
+    const files = listReceiptFiles(tempDir, { recursive: true });
+    expect(files.some(file => file.includes('hidden') || file.includes('.DS_Store'))).toBe(false);
+  });
+});
+
+describe('matchesGlob', () => {
+  test('should match file names at any depth when pattern has no slash', () => {
+    expect(matchesGlob('2024/bob/receipt.pdf', '*.pdf')).toBe(true);
+    expect(matchesGlob('2024/bob/receipt.jpg', '*.pdf')).toBe(false);
+  });
+
+  test('should match full relative path when pattern has a slash', () => {
+    expect(matchesGlob('2024/bob/receipt.pdf', '2024/*/receipt.pdf')).toBe(true);
+    expect(matchesGlob('2024/bob/receipt.pdf', '2023/**')).toBe(false);
+  });
+
+  test('should let ** match zero or more folders', () => {
+    expect(matchesGlob('2024/receipt.pdf', '2024/**/receipt.pdf')).toBe(true);
+    expect(matchesGlob('2024/a/b/receipt.pdf', '2024/**/receipt.pdf')).toBe(true);
+  });
+
+  test('should treat ? as a single character and escape regex characters', () => {
+    expect(matchesGlob('2024-01-01 - doctor - $5.00.pdf', '2024-01-0? - doctor - $5.00.pdf')).toBe(true);
+    expect(matchesGlob('2024-01-01 - doctor - $5x00.pdf', '* - $5.00.pdf')).toBe(false);
+  });
+});
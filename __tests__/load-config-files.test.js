@@ -0,0 +1,63 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfigFiles } from '../src/main.js';
+
+describe('loadConfigFiles', () => {
+  let tempDir;
+  let homeDir;
+  let receiptsDir;
+
+  const writeConfig = (folder, config) => fs.writeFileSync(path.join(folder, '.hsarc.json'), JSON.stringify(config));
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    homeDir = path.join(tempDir, 'home');
+    receiptsDir = path.join(tempDir, 'receipts');
+    fs.mkdirSync(homeDir);
+    fs.mkdirSync(receiptsDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should return an empty config when there are no config files', () => {
+    expect(loadConfigFiles({ dirPath: receiptsDir }, homeDir)).toEqual({});
+  });
+
+  test('should let the receipts folder config override the home config', () => {
+    writeConfig(homeDir, { recursive: true, format: 'json' });
+    writeConfig(receiptsDir, { format: 'text' });
+
+    expect(loadConfigFiles({ dirPath: receiptsDir }, homeDir)).toEqual({ recursive: true, format: 'text' });
+  });
+
+  test('should find the receipts folder from dirPath in the home config', () => {
+    writeConfig(homeDir, { dirPath: '../receipts' });
+    writeConfig(receiptsDir, { recursive: true });
+
+    expect(loadConfigFiles({}, homeDir)).toEqual({ dirPath: receiptsDir, recursive: true });
+  });
+
+  test('should only read the --config file when given', () => {
+    writeConfig(homeDir, { recursive: true });
+    writeConfig(receiptsDir, { format: 'json' });
+    const configPath = path.join(tempDir, 'custom.json');
+    fs.writeFileSync(configPath, JSON.stringify({ exclude: ['archive'] }));
+
+    expect(loadConfigFiles({ dirPath: receiptsDir, config: configPath }, homeDir)).toEqual({ exclude: ['archive'] });
+  });
+
+  test('should name the file in validation errors', () => {
+    writeConfig(receiptsDir, { dirPath: '/elsewhere' });
+    expect(() => loadConfigFiles({ dirPath: receiptsDir }, homeDir)).toThrow(
+      `Invalid config file ${path.join(receiptsDir, '.hsarc.json')}`
+    );
+  });
+
+  test('should report JSON syntax errors', () => {
+    fs.writeFileSync(path.join(receiptsDir, '.hsarc.json'), '{ recursive: true }');
+    expect(() => loadConfigFiles({ dirPath: receiptsDir }, homeDir)).toThrow('Cannot read config file');
+  });
+});
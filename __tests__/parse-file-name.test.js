@@ -1,13 +1,16 @@
-import { parseFileName } from '../src/main.js';
+import { parseFileName, compileFileNamePattern } from '../src/main.js';
 
 describe('parseFileName', () => {
   test('should parse valid expense file', () => {
     const result = parseFileName('2021-01-15 - doctor - $50.00.pdf');
     expect(result).toEqual({
+      date: '2021-01-15',
       year: '2021',
       description: 'doctor',
       amount: 50.0,
       isReimbursement: false,
+      reimbursedAmount: 0,
+      reimbursementDate: null,
       isValid: true
     });
   });
@@ -15,10 +18,13 @@ describe('parseFileName', () => {
   test('should parse valid reimbursed expense file', () => {
     const result = parseFileName('2021-02-20 - pharmacy - $30.50.reimbursed.pdf');
     expect(result).toEqual({
+      date: '2021-02-20',
       year: '2021',
       description: 'pharmacy',
       amount: 30.5,
       isReimbursement: true,
+      reimbursedAmount: 30.5,
+      reimbursementDate: null,
       isValid: true
     });
   });
@@ -63,10 +69,22 @@ describe('parseFileName', () => {
     expect(result.error).toContain('should be a valid format like $50.00');
   });
 
-  test('should reject file with comma in amount', () => {
-    const result = parseFileName('2021-01-15 - doctor - $1,000.00.pdf');
-    expect(result.isValid).toBe(false);
-    expect(result.error).toContain('should be a valid format like $50.00');
+  test('should accept thousands separators in the amount', () => {
+    expect(parseFileName('2021-01-15 - doctor - $1,000.00.pdf')).toMatchObject({ isValid: true, amount: 1000 });
+    expect(parseFileName('2021-01-15 - surgery - $12,345,678.90.pdf')).toMatchObject({ amount: 12345678.9 });
+    expect(parseFileName('2021-01-15 - surgery - $2,500.00.reimbursed-$1,250.00.pdf')).toMatchObject({
+      isValid: true,
+      amount: 2500,
+      reimbursedAmount: 1250
+    });
+  });
+
+  test('should reject file with a comma that is not a thousands separator', () => {
+    for (const fileName of ['2021-01-15 - doctor - $50,00.pdf', '2021-01-15 - doctor - $1,00.00.pdf']) {
+      const result = parseFileName(fileName);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('should be a valid format like $50.00');
+    }
   });
 
   test('should reject file without extension', () => {
@@ -84,10 +102,13 @@ describe('parseFileName', () => {
   test('should parse large amounts correctly', () => {
     const result = parseFileName('2023-05-01 - surgery - $9999.99.pdf');
     expect(result).toEqual({
+      date: '2023-05-01',
       year: '2023',
       description: 'surgery',
       amount: 9999.99,
       isReimbursement: false,
+      reimbursedAmount: 0,
+      reimbursementDate: null,
       isValid: true
     });
   });
@@ -95,11 +116,144 @@ describe('parseFileName', () => {
   test('should parse reimbursed file with different extensions', () => {
     const result = parseFileName('2022-06-15 - glasses - $250.00.reimbursed.jpg');
     expect(result).toEqual({
+      date: '2022-06-15',
       year: '2022',
       description: 'glasses',
       amount: 250.0,
       isReimbursement: true,
+      reimbursedAmount: 250.0,
+      reimbursementDate: null,
       isValid: true
     });
   });
+
+  describe('with custom patterns', () => {
+    const patterns = [
+      compileFileNamePattern({ format: '{date}_{description}_{amount}{reimbursed}.{ext}', dateFormat: 'yyyymmdd' }),
+      compileFileNamePattern({ format: '{date} {description} ${amount}.{ext}', dateFormat: 'mm-dd-yyyy' })
+    ];
+
+    test('should parse names matching a custom pattern', () => {
+      expect(parseFileName('20230115_pharmacy_45.00.pdf', patterns)).toEqual({
+        date: '2023-01-15',
+        year: '2023',
+        description: 'pharmacy',
+        amount: 45.0,
+        isReimbursement: false,
+        reimbursedAmount: 0,
+        reimbursementDate: null,
+        isValid: true
+      });
+    });
+
+    test('should parse amounts without cents and other date formats', () => {
+      expect(parseFileName('01-15-2023 doctor $45.pdf', patterns)).toMatchObject({
+        date: '2023-01-15',
+        description: 'doctor',
+        amount: 45,
+        isValid: true
+      });
+    });
+
+    test('should detect the reimbursed marker', () => {
+      expect(parseFileName('20230115_pharmacy_45.00.reimbursed.pdf', patterns).isReimbursement).toBe(true);
+    });
+
+    test('should still parse the default format first', () => {
+      expect(parseFileName('2021-01-15 - doctor - $50.00.pdf', patterns).isValid).toBe(true);
+    });
+
+    test('should report invalid dates in a matching custom pattern', () => {
+      const result = parseFileName('20230230_pharmacy_45.00.pdf', patterns);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('valid yyyymmdd date');
+    });
+
+    test('should return the default error when no pattern matches', () => {
+      const result = parseFileName('pharmacy.pdf', patterns);
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('File name should have format');
+    });
+  });
+
+  describe('with reimbursement details', () => {
+    test('should parse a reimbursement date', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-2024-03-01.pdf');
+      expect(result).toMatchObject({
+        isValid: true,
+        isReimbursement: true,
+        reimbursedAmount: 50.0,
+        reimbursementDate: '2024-03-01'
+      });
+    });
+
+    test('should parse a partial reimbursement amount', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-$20.00.pdf');
+      expect(result).toMatchObject({ isValid: true, amount: 50.0, reimbursedAmount: 20.0, reimbursementDate: null });
+    });
+
+    test('should parse a reimbursement date and partial amount together', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-2024-03-01-$20.00.pdf');
+      expect(result).toMatchObject({ isValid: true, reimbursedAmount: 20.0, reimbursementDate: '2024-03-01' });
+    });
+
+    test('should reject a partial amount larger than the receipt', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-$60.00.pdf');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('should not be more than the receipt amount');
+    });
+
+    test('should reject an invalid reimbursement date', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-2024-02-30.pdf');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Reimbursement date "2024-02-30"');
+    });
+
+    test('should reject a malformed reimbursed marker', () => {
+      const result = parseFileName('2021-01-15 - doctor - $50.00.reimbursed-march.pdf');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain('Reimbursed marker should be');
+    });
+
+    test('should parse reimbursement details with custom patterns', () => {
+      const patterns = [
+        compileFileNamePattern({ format: '{date}_{amount}{reimbursed}.{ext}', dateFormat: 'yyyymmdd' })
+      ];
+      const result = parseFileName('20230115_45.00.reimbursed-2024-01-02-$5.00.pdf', patterns);
+      expect(result).toMatchObject({ isValid: true, reimbursedAmount: 5.0, reimbursementDate: '2024-01-02' });
+    });
+
+    test('should parse a refund written with a leading minus sign', () => {
+      const result = parseFileName('2021-01-15 - bob pharmacy - -$25.00.pdf');
+      expect(result).toMatchObject({ isValid: true, amount: -25.0, isReimbursement: false });
+    });
+
+    test('should parse a refund written with the refund marker', () => {
+      const result = parseFileName('2021-01-15 - bob pharmacy - $25.00.refund.pdf');
+      expect(result).toMatchObject({ isValid: true, amount: -25.0, description: 'bob pharmacy' });
+    });
+
+    test('should reject a refund marked as reimbursed', () => {
+      const result = parseFileName('2021-01-15 - bob pharmacy - $25.00.refund.reimbursed.pdf');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain(`Refunds can't be marked as reimbursed`);
+    });
+
+    test('should parse a zero amount', () => {
+      const result = parseFileName('2021-01-15 - bob eob - $0.00.pdf');
+      expect(result).toMatchObject({ isValid: true, amount: 0 });
+    });
+
+    test('should parse a contribution written with the contribution marker', () => {
+      const result = parseFileName('2024-06-30 - employer deposit - $500.00.contribution.pdf');
+      expect(result).toMatchObject({ isValid: true, amount: 500.0, isContribution: true, isReimbursement: false });
+      expect(parseFileName('2024-06-30 - bob doctor - $500.00.pdf').isContribution).toBeUndefined();
+    });
+
+    test('should reject a contribution marked as reimbursed', () => {
+      const result = parseFileName('2024-06-30 - deposit - $500.00.contribution.reimbursed.pdf');
+      expect(result.isValid).toBe(false);
+      expect(result.error).toContain(`Contributions can't be refunds or marked as reimbursed`);
+    });
+  });
 });
@@ -0,0 +1,112 @@
+import { planReimbursement } from '../src/main.js';
+
+const receipt = (date, amount, isReimbursement = false) => ({
+  relativePath: `${date} - doctor - $${amount.toFixed(2)}.pdf`,
+  date,
+  amount,
+  isReimbursement
+});
+
+const dates = plan => plan.receipts.map(r => r.date);
+
+describe('planReimbursement', () => {
+  test('should reach the target exactly when possible', () => {
+    const receipts = [receipt('2021-01-01', 30.25), receipt('2022-01-01', 19.75), receipt('2023-01-01', 60.0)];
+    const plan = planReimbursement(receipts, 50);
+
+    expect(plan.total).toBe(50);
+    expect(plan.remaining).toBe(0);
+    expect(dates(plan)).toEqual(['2021-01-01', '2022-01-01']);
+  });
+
+  test('should never go over the target', () => {
+    const receipts = [receipt('2021-01-01', 45), receipt('2022-01-01', 50), receipt('2023-01-01', 45)];
+    const plan = planReimbursement(receipts, 100);
+
+    expect(plan.total).toBe(95);
+    expect(plan.remaining).toBe(5);
+  });
+
+  test('should prefer the oldest receipts with the oldest strategy', () => {
+    const receipts = [
+      receipt('2024-01-01', 100),
+      receipt('2021-01-01', 50),
+      receipt('2022-01-01', 50),
+      receipt('2023-01-01', 25),
+      receipt('2023-06-01', 25)
+    ];
+    const plan = planReimbursement(receipts, 100, 'oldest');
+
+    expect(plan.total).toBe(100);
+    expect(dates(plan)).toEqual(['2021-01-01', '2022-01-01']);
+  });
+
+  test('should prefer the fewest receipts with the fewest strategy', () => {
+    const receipts = [
+      receipt('2021-01-01', 50),
+      receipt('2022-01-01', 50),
+      receipt('2023-01-01', 25),
+      receipt('2024-01-01', 100)
+    ];
+    const plan = planReimbursement(receipts, 100, 'fewest');
+
+    expect(plan.total).toBe(100);
+    expect(dates(plan)).toEqual(['2024-01-01']);
+  });
+
+  test('should find the fewest receipts when the largest receipt is not part of the best set', () => {
+    // Largest-first would pick 60 + 30 + 10; the best set is 50 + 50
+    const receipts = [
+      receipt('2021-01-01', 60),
+      receipt('2022-01-01', 50),
+      receipt('2023-01-01', 50),
+      receipt('2024-01-01', 30),
+      receipt('2025-01-01', 10)
+    ];
+    const plan = planReimbursement(receipts, 100, 'fewest');
+
+    expect(plan.total).toBe(100);
+    expect(plan.receipts).toHaveLength(2);
+  });
+
+  test('should skip receipts that are already reimbursed', () => {
+    const receipts = [receipt('2021-01-01', 50, true), receipt('2022-01-01', 20)];
+    const plan = planReimbursement(receipts, 50);
+
+    expect(dates(plan)).toEqual(['2022-01-01']);
+    expect(plan.remaining).toBe(30);
+  });
+
+  test('should pick every receipt when the target is larger than the total', () => {
+    const receipts = [receipt('2021-01-01', 10), receipt('2022-01-01', 20)];
+    const plan = planReimbursement(receipts, 1000);
+
+    expect(plan.receipts).toHaveLength(2);
+    expect(plan.total).toBe(30);
+    expect(plan.remaining).toBe(970);
+  });
+
+  test('should pick every receipt for a huge target without searching', () => {
+    const receipts = [receipt('2021-01-01', 10), receipt('2022-01-01', 20)];
+    const plan = planReimbursement(receipts, 1e12, 'oldest');
+
+    expect(plan.receipts).toHaveLength(2);
+    expect(plan.total).toBe(30);
+  });
+
+  test('should refuse to search a target that is too large instead of running out of memory', () => {
+    const receipts = [receipt('2021-01-01', 200000), receipt('2022-01-01', 200000), receipt('2023-01-01', 200000)];
+
+    expect(() => planReimbursement(receipts, 500000, 'oldest')).toThrow(
+      'Too many receipts to plan for this target - try a smaller target'
+    );
+    expect(() => planReimbursement(receipts, 500000, 'fewest')).toThrow('Too many receipts to plan');
+  });
+
+  test('should return an empty plan when nothing fits', () => {
+    const plan = planReimbursement([receipt('2021-01-01', 75)], 50);
+
+    expect(plan.receipts).toEqual([]);
+    expect(plan.total).toBe(0);
+  });
+});
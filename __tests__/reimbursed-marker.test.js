@@ -0,0 +1,135 @@
+import {
+  addReimbursedMarker,
+  removeReimbursedMarker,
+  buildReimbursedRenames,
+  compileFileNamePattern
+} from '../src/main.js';
+
+const paidPattern = compileFileNamePattern({
+  format: '{date}_{description}_{amount}{reimbursed}.{ext}',
+  dateFormat: 'yyyymmdd',
+  reimbursedMarker: '_paid'
+});
+
+describe('addReimbursedMarker', () => {
+  test('should insert the marker before the extension', () => {
+    expect(addReimbursedMarker('2021-01-01 - doctor - $45.00.pdf')).toBe('2021-01-01 - doctor - $45.00.reimbursed.pdf');
+  });
+
+  test('should return null when the file is already marked', () => {
+    expect(addReimbursedMarker('2021-01-01 - doctor - $45.00.reimbursed.pdf')).toBeNull();
+    expect(addReimbursedMarker('2021-01-01 - doctor - $45.00.reimbursed-$20.00.pdf')).toBeNull();
+  });
+
+  test('should insert the marker of a custom pattern where its {reimbursed} field is', () => {
+    expect(addReimbursedMarker('20230115_pharmacy_45.00.pdf', paidPattern)).toBe('20230115_pharmacy_45.00_paid.pdf');
+    expect(addReimbursedMarker('20230115_pharmacy_45.00_paid.pdf', paidPattern)).toBeNull();
+
+    const prefixPattern = compileFileNamePattern({
+      format: '{reimbursed}{date} {amount}.{ext}',
+      reimbursedMarker: 'PAID '
+    });
+    expect(addReimbursedMarker('2023-01-15 45.00.pdf', prefixPattern)).toBe('PAID 2023-01-15 45.00.pdf');
+  });
+});
+
+describe('removeReimbursedMarker', () => {
+  test('should remove the marker', () => {
+    expect(removeReimbursedMarker('2021-01-01 - doctor - $45.00.reimbursed.jpg')).toBe(
+      '2021-01-01 - doctor - $45.00.jpg'
+    );
+  });
+
+  test('should remove the reimbursement date and partial amount', () => {
+    expect(removeReimbursedMarker('2021-01-01 - doctor - $45.00.reimbursed-2024-03-01-$20.00.pdf')).toBe(
+      '2021-01-01 - doctor - $45.00.pdf'
+    );
+  });
+
+  test('should return null when the file is not marked', () => {
+    expect(removeReimbursedMarker('2021-01-01 - doctor - $45.00.pdf')).toBeNull();
+  });
+
+  test('should remove the marker of a custom pattern', () => {
+    expect(removeReimbursedMarker('20230116_doctor_30.00_paid.pdf', paidPattern)).toBe('20230116_doctor_30.00.pdf');
+    expect(removeReimbursedMarker('20230116_doctor_30.00_paid-2024-03-01-$20.00.pdf', paidPattern)).toBe(
+      '20230116_doctor_30.00.pdf'
+    );
+    expect(removeReimbursedMarker('20230116_doctor_30.00.pdf', paidPattern)).toBeNull();
+  });
+});
+
+describe('buildReimbursedRenames', () => {
+  const receipts = [
+    {
+      fileName: '2021-01-01 - doctor - $45.00.pdf',
+      relativePath: '2021/2021-01-01 - doctor - $45.00.pdf',
+      folder: '2021'
+    },
+    {
+      fileName: '2021-02-01 - dentist - $20.00.reimbursed.pdf',
+      relativePath: '2021-02-01 - dentist - $20.00.reimbursed.pdf',
+      folder: ''
+    }
+  ];
+
+  test('should build renames that add the marker, keeping subfolders', () => {
+    const { renames, rejected } = buildReimbursedRenames(receipts, true);
+    expect(renames).toEqual([
+      { from: '2021/2021-01-01 - doctor - $45.00.pdf', to: '2021/2021-01-01 - doctor - $45.00.reimbursed.pdf' }
+    ]);
+    expect(rejected).toEqual([]);
+  });
+
+  test('should build renames that remove the marker', () => {
+    const { renames } = buildReimbursedRenames(receipts, false);
+    expect(renames).toEqual([
+      { from: '2021-02-01 - dentist - $20.00.reimbursed.pdf', to: '2021-02-01 - dentist - $20.00.pdf' }
+    ]);
+  });
+
+  test('should reject new names that do not parse as the expected reimbursement status', () => {
+    const { renames, rejected } = buildReimbursedRenames(
+      [{ fileName: '2021-01-01 - x.reimbursed.y - $5.00.reimbursed.pdf', relativePath: 'r.pdf', folder: '' }],
+      false
+    );
+    expect(renames).toEqual([]);
+    expect(rejected).toHaveLength(1);
+  });
+
+  test('should update the marker of files named with a custom pattern', () => {
+    const customReceipts = [
+      { fileName: '20230115_pharmacy_45.00.pdf', relativePath: '20230115_pharmacy_45.00.pdf', folder: '' },
+      {
+        fileName: '20230116_doctor_30.00_paid.pdf',
+        relativePath: '2023/20230116_doctor_30.00_paid.pdf',
+        folder: '2023'
+      }
+    ];
+
+    expect(buildReimbursedRenames(customReceipts, true, [paidPattern])).toEqual({
+      renames: [{ from: '20230115_pharmacy_45.00.pdf', to: '20230115_pharmacy_45.00_paid.pdf' }],
+      rejected: []
+    });
+    expect(buildReimbursedRenames(customReceipts, false, [paidPattern])).toEqual({
+      renames: [{ from: '2023/20230116_doctor_30.00_paid.pdf', to: '2023/20230116_doctor_30.00.pdf' }],
+      rejected: []
+    });
+  });
+
+  test('should reject files whose pattern has no {reimbursed} field', () => {
+    const pattern = compileFileNamePattern({ format: '{date}_{description}_{amount}.{ext}', dateFormat: 'yyyymmdd' });
+    const { renames, rejected } = buildReimbursedRenames(
+      [{ fileName: '20230115_pharmacy_45.00.pdf', relativePath: '20230115_pharmacy_45.00.pdf', folder: '' }],
+      true,
+      [pattern]
+    );
+    expect(renames).toEqual([]);
+    expect(rejected).toEqual([
+      {
+        fileName: '20230115_pharmacy_45.00.pdf',
+        error: 'Pattern "{date}_{description}_{amount}.{ext}" has no {reimbursed} field'
+      }
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+import { extractTags, compileCategoryRules, resolveCategory } from '../src/main.js';
+
+describe('extractTags', () => {
+  test('should split #tags out of the description', () => {
+    expect(extractTags('bob dentist #Ortho #2024-plan')).toEqual({
+      description: 'bob dentist',
+      tags: ['ortho', '2024-plan']
+    });
+  });
+
+  test('should keep a # that is part of a word', () => {
+    expect(extractTags('jane rx#5 #pharmacy')).toEqual({ description: 'jane rx#5', tags: ['pharmacy'] });
+  });
+
+  test('should remove repeated tags', () => {
+    expect(extractTags('#urgent bob #urgent').tags).toEqual(['urgent']);
+  });
+});
+
+describe('resolveCategory', () => {
+  test('should use the first word without rules', () => {
+    expect(resolveCategory('Bob dentist')).toBe('bob');
+    expect(resolveCategory('')).toBe('uncategorized');
+  });
+
+  test('should apply aliases case-insensitively', () => {
+    const rules = compileCategoryRules({ aliases: { robert: 'bob' } });
+    expect(resolveCategory('Robert dentist', [], rules)).toBe('bob');
+    expect(resolveCategory('jane dentist', [], rules)).toBe('jane');
+  });
+
+  test('should use the first matching rule', () => {
+    const rules = compileCategoryRules({
+      rules: [
+        { pattern: '^dr\\.? smith', category: 'Jane Pediatrics' },
+        { keywords: ['cvs', 'walgreens'], category: 'pharmacy' },
+        { tag: 'Ortho', category: 'bob' }
+      ]
+    });
+
+    expect(resolveCategory('Dr. Smith checkup', [], rules)).toBe('Jane Pediatrics');
+    expect(resolveCategory('household CVS run', [], rules)).toBe('pharmacy');
+    expect(resolveCategory('household cvsx', [], rules)).toBe('household');
+    expect(resolveCategory('braces', ['ortho'], rules)).toBe('bob');
+  });
+
+  test('should apply aliases to the category of a rule', () => {
+    const rules = compileCategoryRules({
+      aliases: { robert: 'bob' },
+      rules: [{ keywords: ['braces'], category: 'robert' }]
+    });
+    expect(resolveCategory('braces', [], rules)).toBe('bob');
+  });
+
+  test('should resolve person and type from description words or rules', () => {
+    const rules = compileCategoryRules({
+      aliases: { robert: 'bob', teeth: 'dentist' },
+      rules: [
+        { keywords: ['braces'], type: 'orthodontist' },
+        { pattern: '^dr smith', person: 'jane', type: 'pediatrician' }
+      ]
+    });
+
+    expect(resolveCategory('Robert teeth cleaning', [], rules, 'person')).toBe('bob');
+    expect(resolveCategory('Robert teeth cleaning', [], rules, 'type')).toBe('dentist');
+    expect(resolveCategory('bob braces', [], rules, 'type')).toBe('orthodontist');
+    expect(resolveCategory('Dr Smith', [], rules, 'person')).toBe('jane');
+    expect(resolveCategory('Dr Smith', [], rules, 'category')).toBe('dr');
+    expect(resolveCategory('household', [], rules, 'type')).toBe('other');
+  });
+});
@@ -0,0 +1,54 @@
+import { selectReceipts, parseSelection } from '../src/main.js';
+
+describe('selectReceipts', () => {
+  const receipts = [
+    { relativePath: 'a.pdf', date: '2024-03-01', amount: 45, description: 'Bob doctor' },
+    { relativePath: 'b.pdf', date: '2024-03-15', amount: 20, description: 'jane dentist' },
+    { relativePath: 'c.pdf', date: '2023-12-01', amount: 45, description: 'bob dentist' }
+  ];
+
+  const paths = selected => selected.map(receipt => receipt.relativePath);
+
+  test('should select all receipts without criteria', () => {
+    expect(paths(selectReceipts(receipts))).toEqual(['a.pdf', 'b.pdf', 'c.pdf']);
+  });
+
+  test('should select by path', () => {
+    expect(paths(selectReceipts(receipts, { paths: ['b.pdf'] }))).toEqual(['b.pdf']);
+  });
+
+  test('should select by date prefix', () => {
+    expect(paths(selectReceipts(receipts, { date: '2024-03' }))).toEqual(['a.pdf', 'b.pdf']);
+    expect(paths(selectReceipts(receipts, { date: '2024-03-15' }))).toEqual(['b.pdf']);
+  });
+
+  test('should select by amount', () => {
+    expect(paths(selectReceipts(receipts, { amount: 45.0 }))).toEqual(['a.pdf', 'c.pdf']);
+  });
+
+  test('should select by description case-insensitively', () => {
+    expect(paths(selectReceipts(receipts, { description: 'BOB' }))).toEqual(['a.pdf', 'c.pdf']);
+  });
+
+  test('should require all criteria to match', () => {
+    expect(paths(selectReceipts(receipts, { amount: 45, description: 'dentist' }))).toEqual(['c.pdf']);
+  });
+});
+
+describe('parseSelection', () => {
+  test('should parse single numbers and ranges', () => {
+    expect(parseSelection('1, 3-5', 5)).toEqual([0, 2, 3, 4]);
+  });
+
+  test('should remove duplicates and sort', () => {
+    expect(parseSelection('3,1,1-2', 3)).toEqual([0, 1, 2]);
+  });
+
+  test('should return null for invalid input', () => {
+    expect(parseSelection('', 3)).toBeNull();
+    expect(parseSelection('a', 3)).toBeNull();
+    expect(parseSelection('0', 3)).toBeNull();
+    expect(parseSelection('4', 3)).toBeNull();
+    expect(parseSelection('3-1', 3)).toBeNull();
+  });
+});
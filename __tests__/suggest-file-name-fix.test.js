@@ -0,0 +1,53 @@
+import { suggestFileNameFix } from '../src/main.js';
+
+describe('suggestFileNameFix', () => {
+  test('should add missing cents', () => {
+    expect(suggestFileNameFix('2021-01-10 - doctor - $50.pdf')).toBe('2021-01-10 - doctor - $50.00.pdf');
+    expect(suggestFileNameFix('2021-01-10 - doctor - $50.5.pdf')).toBe('2021-01-10 - doctor - $50.50.pdf');
+  });
+
+  test('should replace a decimal comma', () => {
+    expect(suggestFileNameFix('2021-01-10 - doctor - $50,00.pdf')).toBe('2021-01-10 - doctor - $50.00.pdf');
+  });
+
+  test('should remove thousands separators', () => {
+    expect(suggestFileNameFix('2021-01-10 - surgery - $1,234.56.pdf')).toBe('2021-01-10 - surgery - $1234.56.pdf');
+  });
+
+  test('should add a missing dollar sign', () => {
+    expect(suggestFileNameFix('2021-01-15 - doctor - 50.00.pdf')).toBe('2021-01-15 - doctor - $50.00.pdf');
+  });
+
+  test('should pad the month and day', () => {
+    expect(suggestFileNameFix('2021-1-5 - doctor - $50.00.pdf')).toBe('2021-01-05 - doctor - $50.00.pdf');
+  });
+
+  test('should swap day and month when the month is out of range', () => {
+    expect(suggestFileNameFix('2021-25-01 - doctor - $50.00.pdf')).toBe('2021-01-25 - doctor - $50.00.pdf');
+  });
+
+  test('should add missing spaces around dashes', () => {
+    expect(suggestFileNameFix('2021-01-30- doctor - $50.00.pdf')).toBe('2021-01-30 - doctor - $50.00.pdf');
+    expect(suggestFileNameFix('2021-01-30 - doctor-$50.00.pdf')).toBe('2021-01-30 - doctor - $50.00.pdf');
+  });
+
+  test('should keep the reimbursed marker and hyphenated descriptions', () => {
+    expect(suggestFileNameFix('2021-1-30 - x-ray - $50.reimbursed.pdf')).toBe(
+      '2021-01-30 - x-ray - $50.00.reimbursed.pdf'
+    );
+  });
+
+  test('should return null for names that cannot be fixed safely', () => {
+    expect(suggestFileNameFix('doctor-missing-date - $120.00.pdf')).toBeNull();
+    expect(suggestFileNameFix('2021-01-30 - doctor-missing-amount.pdf')).toBeNull();
+    expect(suggestFileNameFix('2021-01-25 - doctor-no-extension - $50.00')).toBeNull();
+    expect(suggestFileNameFix('2021-01-10 - doctor - $fifty.pdf')).toBeNull();
+    expect(suggestFileNameFix('2021-01-10 - doctor - $50.00.0.pdf')).toBeNull();
+    expect(suggestFileNameFix('2021-01-15 - doctor - €50.00.pdf')).toBeNull();
+    expect(suggestFileNameFix('2021-02-30 - doctor - $50.pdf')).toBeNull();
+  });
+
+  test('should return null for names that are already valid', () => {
+    expect(suggestFileNameFix('2021-01-10 - doctor - $50.00.pdf')).toBeNull();
+  });
+});
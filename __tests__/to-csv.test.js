@@ -0,0 +1,57 @@
+import { toCsv } from '../src/main.js';
+
+describe('toCsv', () => {
+  const columns = [
+    ['Name', 'name'],
+    ['Amount', 'amount']
+  ];
+
+  test('should write a header row and one row per item with CRLF line endings', () => {
+    const csv = toCsv(columns, [
+      { name: 'doctor', amount: '45.00' },
+      { name: 'pharmacy', amount: '30.00' }
+    ]);
+    expect(csv).toBe('Name,Amount\r\ndoctor,45.00\r\npharmacy,30.00\r\n');
+  });
+
+  test('should only write the header when there are no rows', () => {
+    expect(toCsv(columns, [])).toBe('Name,Amount\r\n');
+  });
+
+  test('should quote values containing commas, quotes or newlines', () => {
+    const csv = toCsv(columns, [
+      { name: 'bob, jr', amount: '1.00' },
+      { name: 'the "good" doctor', amount: '2.00' },
+      { name: 'line\nbreak', amount: '3.00' }
+    ]);
+    expect(csv.split('\r\n').slice(1, 4)).toEqual([
+      '"bob, jr",1.00',
+      '"the ""good"" doctor",2.00',
+      '"line\nbreak",3.00'
+    ]);
+  });
+
+  test('should quote values with leading or trailing spaces', () => {
+    const csv = toCsv(columns, [{ name: ' padded ', amount: '1.00' }]);
+    expect(csv).toContain('" padded ",1.00');
+  });
+
+  test('should write empty cells for missing values', () => {
+    const csv = toCsv(columns, [{ name: 'doctor' }]);
+    expect(csv).toContain('doctor,\r\n');
+  });
+
+  test('should prefix text that spreadsheets would treat as a formula', () => {
+    const csv = toCsv(columns, [
+      { name: '=SUM(A1:A2)', amount: '1.00' },
+      { name: '@doctor', amount: '2.00' }
+    ]);
+    expect(csv).toContain(`'=SUM(A1:A2),1.00`);
+    expect(csv).toContain(`'@doctor,2.00`);
+  });
+
+  test('should not prefix negative numbers', () => {
+    const csv = toCsv(columns, [{ name: 'refund', amount: '-25.00' }]);
+    expect(csv).toContain('refund,-25.00\r\n');
+  });
+});
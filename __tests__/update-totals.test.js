@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTotalsState, updateTotals, getTotalsByYear } from '../src/main.js';
+
+describe('updateTotals', () => {
+  let tempDir;
+
+  const write = (fileName, content = '') => fs.writeFileSync(path.join(tempDir, fileName), content);
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+    write('2023-01-01 - bob doctor - $45.00.pdf');
+    write('2024-02-01 - jane pharmacy - $30.00.reimbursed.pdf');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should match getTotalsByYear on the first update', () => {
+    const { totals, added, removed } = updateTotals(tempDir, createTotalsState());
+    expect(totals).toEqual(getTotalsByYear(tempDir));
+    expect(added).toHaveLength(2);
+    expect(removed).toHaveLength(0);
+  });
+
+  test('should add and remove receipts incrementally', () => {
+    const state = createTotalsState();
+    updateTotals(tempDir, state);
+
+    write('2024-03-01 - jane dentist - $20.00.pdf');
+    fs.rmSync(path.join(tempDir, '2023-01-01 - bob doctor - $45.00.pdf'));
+    const { totals, added, removed } = updateTotals(tempDir, state);
+
+    expect(added).toEqual(['2024-03-01 - jane dentist - $20.00.pdf']);
+    expect(removed).toEqual(['2023-01-01 - bob doctor - $45.00.pdf']);
+    expect(totals).toEqual(getTotalsByYear(tempDir));
+    expect(totals.expensesByYear).toEqual({ 2024: 50.0 });
+    expect(totals.expensesByCategory).toEqual({
+      2024: { jane: { expenses: 50.0, reimbursements: 30.0, count: 2 } }
+    });
+  });
+
+  test('should move a renamed receipt between years and categories', () => {
+    const state = createTotalsState();
+    updateTotals(tempDir, state);
+
+    fs.renameSync(
+      path.join(tempDir, '2023-01-01 - bob doctor - $45.00.pdf'),
+      path.join(tempDir, '2024-01-01 - jane doctor - $45.00.reimbursed-2024-05-01.pdf')
+    );
+    const { totals } = updateTotals(tempDir, state);
+
+    expect(totals).toEqual(getTotalsByYear(tempDir));
+    expect(totals.receiptCounts).toEqual({ 2024: 2 });
+    expect(totals.reimbursementsByWithdrawalYear).toEqual({ 2024: 45.0, undated: 30.0 });
+  });
+
+  test('should report newly invalid files and drop their totals', () => {
+    const state = createTotalsState();
+    updateTotals(tempDir, state);
+
+    fs.renameSync(path.join(tempDir, '2023-01-01 - bob doctor - $45.00.pdf'), path.join(tempDir, 'bob doctor.pdf'));
+    const { totals } = updateTotals(tempDir, state);
+
+    expect(totals.invalidFiles.map(f => f.fileName)).toEqual(['bob doctor.pdf']);
+    expect(totals.expensesByYear['2023']).toBeUndefined();
+  });
+
+  test('should re-check duplicates for changed files', () => {
+    write('2024-05-01 - bob rx - $10.00.pdf', 'a');
+    write('2024-06-01 - scan - $12.00.pdf', 'b');
+    const state = createTotalsState();
+    updateTotals(tempDir, state, { excludeDuplicates: true });
+
+    write('2024-06-01 - scan - $12.00.pdf', 'a');
+    const { totals } = updateTotals(tempDir, state, { excludeDuplicates: true }, ['2024-06-01 - scan - $12.00.pdf']);
+
+    expect(totals.excludedDuplicates).toBe(1);
+    expect(totals).toEqual(getTotalsByYear(tempDir, { excludeDuplicates: true }));
+  });
+});
@@ -0,0 +1,114 @@
+import { validateConfig } from '../src/main.js';
+
+describe('validateConfig', () => {
+  test('should accept a valid config', () => {
+    const config = {
+      dirPath: '~/receipts',
+      recursive: true,
+      'max-depth': 2,
+      exclude: ['archive'],
+      format: 'json',
+      patterns: [{ format: '{date}_{amount}.{ext}', dateFormat: 'yyyymmdd' }]
+    };
+    expect(validateConfig(config)).toEqual([]);
+  });
+
+  test('should reject values that are not an object', () => {
+    expect(validateConfig([])).toEqual(['Config should be a JSON object']);
+    expect(validateConfig(null)).toEqual(['Config should be a JSON object']);
+  });
+
+  test('should report unknown keys', () => {
+    const [error] = validateConfig({ recusive: true });
+    expect(error).toContain('Unknown key "recusive"');
+    expect(error).toContain('recursive');
+  });
+
+  test('should report values of the wrong type', () => {
+    expect(validateConfig({ recursive: 'yes', exclude: 'archive', format: 'xml' })).toEqual([
+      '"recursive" should be a boolean',
+      '"exclude" should be an array of strings',
+      '"format" should be one of "text", "json"'
+    ]);
+  });
+
+  test('should reject a negative or fractional max-depth', () => {
+    expect(validateConfig({ 'max-depth': -1 })).toEqual(['"max-depth" should be a non-negative integer']);
+    expect(validateConfig({ 'max-depth': 1.5 })).toEqual(['"max-depth" should be a non-negative integer']);
+  });
+
+  test('should only allow dirPath when asked to', () => {
+    expect(validateConfig({ dirPath: '/receipts' }, { allowDirPath: false })[0]).toContain('"dirPath" can only be set');
+  });
+
+  test('should report invalid file name patterns with their index', () => {
+    const errors = validateConfig({ patterns: [{ format: '{date}_{amount}.{ext}' }, { format: '{date}.{ext}' }] });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^patterns\[1\]: .*\{amount\}/);
+  });
+
+  test('should validate category aliases and rules', () => {
+    expect(
+      validateConfig({
+        categories: {
+          aliases: { robert: 'bob' },
+          rules: [
+            { pattern: '^dr smith', category: 'jane' },
+            { keywords: ['cvs'], category: 'pharmacy' },
+            { tag: 'ortho', category: 'bob' }
+          ]
+        }
+      })
+    ).toEqual([]);
+
+    expect(
+      validateConfig({
+        categories: {
+          aliases: { robert: 1 },
+          rules: [
+            { pattern: '(', category: 'jane' },
+            { keywords: [], category: 'x' },
+            { tag: 'a', keywords: ['b'] }
+          ],
+          other: true
+        }
+      })
+    ).toEqual([
+      'Unknown key "categories.other" (expected aliases or rules)',
+      '"categories.aliases" should map names to categories (e.g., { "robert": "bob" })',
+      expect.stringMatching(/^categories\.rules\[0\]: Invalid regular expression/),
+      'categories.rules[1]: "keywords" should be a non-empty array of strings',
+      'categories.rules[2]: should set at least one of "category", "person" or "type"',
+      'categories.rules[2]: should have exactly one of "pattern", "keywords" or "tag"'
+    ]);
+  });
+
+  test('should validate coverage, catch-up-from and contribution-limits', () => {
+    expect(
+      validateConfig({
+        coverage: 'family',
+        'catch-up-from': 2030,
+        'contribution-limits': { 2027: { selfOnly: 4500, family: 9000, catchUp: 1000 } }
+      })
+    ).toEqual([]);
+    expect(
+      validateConfig({
+        coverage: 'single',
+        'catch-up-from': 2030.5,
+        'contribution-limits': { next: {}, 2027: { selfOnly: -1, spouse: 1 }, 2028: 4500 }
+      })
+    ).toEqual([
+      '"coverage" should be one of "self-only", "family"',
+      '"catch-up-from" should be a year (e.g., 2030)',
+      '"contribution-limits.2027.selfOnly" should be a non-negative number',
+      '"contribution-limits.2027": unknown key "spouse" (expected selfOnly, family or catchUp)',
+      '"contribution-limits.2028" should be an object (e.g., { "selfOnly": 4400, "family": 8750, "catchUp": 1000 })',
+      '"contribution-limits.next": the key should be a year (e.g., "2027")'
+    ]);
+  });
+
+  test('should only accept locales Intl supports', () => {
+    expect(validateConfig({ locale: 'de-DE' })).toEqual([]);
+    expect(validateConfig({ locale: 'en_US' })).toEqual(['"locale" should be a supported locale (e.g., en-US, de-DE)']);
+  });
+});
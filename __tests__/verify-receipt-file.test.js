@@ -0,0 +1,98 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { detectFileType, verifyReceiptFile, verifyReceiptFiles } from '../src/main.js';
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0xff, 0xd9]);
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from('\0\0\0\0IEND\xaeB`\x82', 'latin1')
+]);
+const HEIC = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic\0\0\0\0mif1heic', 'latin1')]);
+const TIFF = Buffer.concat([Buffer.from('II*\0', 'latin1'), Buffer.from([8, 0, 0, 0, 0, 0, 0, 0, 0, 0])]);
+
+describe('detectFileType', () => {
+  test('should detect receipt types from their magic bytes', () => {
+    expect(detectFileType(PDF)).toBe('PDF');
+    expect(detectFileType(JPEG)).toBe('JPEG');
+    expect(detectFileType(PNG)).toBe('PNG');
+    expect(detectFileType(HEIC)).toBe('HEIC');
+    expect(detectFileType(TIFF)).toBe('TIFF');
+    expect(detectFileType(Buffer.from('MM\0*\0\0\0\x08', 'latin1'))).toBe('TIFF');
+  });
+
+  test('should detect HTML pages and return null for unknown content', () => {
+    expect(detectFileType(Buffer.from('\n<!DOCTYPE html><html><body>Sign in</body></html>'))).toBe('HTML');
+    expect(detectFileType(Buffer.from('just some text'))).toBeNull();
+  });
+});
+
+describe('verifyReceiptFile', () => {
+  let tempDir;
+
+  const write = (fileName, content) => {
+    fs.writeFileSync(path.join(tempDir, fileName), content);
+    return path.join(tempDir, fileName);
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hsa-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true });
+  });
+
+  test('should accept complete documents of every receipt type', () => {
+    expect(verifyReceiptFile(write('a.pdf', PDF))).toBeNull();
+    expect(verifyReceiptFile(write('a.jpg', JPEG))).toBeNull();
+    expect(verifyReceiptFile(write('a.JPEG', JPEG))).toBeNull();
+    expect(verifyReceiptFile(write('a.png', PNG))).toBeNull();
+    expect(verifyReceiptFile(write('a.heic', HEIC))).toBeNull();
+    expect(verifyReceiptFile(write('a.tiff', TIFF))).toBeNull();
+  });
+
+  test('should reject empty files and extensions that are not allowed', () => {
+    expect(verifyReceiptFile(write('a.pdf', ''))).toBe('File is empty');
+    expect(verifyReceiptFile(write('a.docx', 'x'))).toMatch(/^Extension "\.docx" is not a receipt type/);
+    expect(verifyReceiptFile(write('a.txt', 'x'), ['txt'])).toBeNull();
+    expect(verifyReceiptFile(write('scan', 'x'))).toMatch(/^File has no extension \(expected pdf, /);
+  });
+
+  test('should reject files whose content does not match the extension', () => {
+    expect(verifyReceiptFile(write('a.jpg', '<html><body>Session expired</body></html>'))).toBe(
+      'File is really HTML, not JPEG'
+    );
+    expect(verifyReceiptFile(write('a.pdf', PNG))).toBe('File is really PNG, not PDF');
+    expect(verifyReceiptFile(write('a.png', 'not an image'))).toBe('File is not a PNG (unrecognized content)');
+  });
+
+  test('should reject truncated files', () => {
+    expect(verifyReceiptFile(write('a.pdf', PDF.subarray(0, 20)))).toBe('PDF is truncated (no %%EOF marker)');
+    expect(verifyReceiptFile(write('a.jpg', JPEG.subarray(0, 8)))).toBe('JPEG is truncated (no end of image marker)');
+    expect(verifyReceiptFile(write('a.png', PNG.subarray(0, 10)))).toBe('PNG is truncated (no IEND chunk)');
+    expect(verifyReceiptFile(write('a.tif', TIFF.subarray(0, 8)))).toMatch(/^TIFF is truncated/);
+    expect(verifyReceiptFile(write('a.heic', HEIC.subarray(0, 16)))).toMatch(/^HEIC is truncated/);
+  });
+
+  test('should only read the start and end of large files', () => {
+    const large = Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(100000, 0x20), Buffer.from('\n%%EOF')]);
+    expect(verifyReceiptFile(write('large.pdf', large))).toBeNull();
+  });
+
+  test('should list the problems of several files', () => {
+    write('good.pdf', PDF);
+    write('empty.png', '');
+    expect(verifyReceiptFiles(tempDir, ['good.pdf', 'empty.png', 'missing.pdf'])).toEqual([
+      { fileName: 'empty.png', error: 'File is empty' },
+      { fileName: 'missing.pdf', error: expect.stringMatching(/^Cannot read file: ENOENT/) }
+    ]);
+  });
+
+  test('should skip folders in a non-recursive listing', () => {
+    write('good.pdf', PDF);
+    fs.mkdirSync(path.join(tempDir, '2024'));
+    expect(verifyReceiptFiles(tempDir, ['2024', 'good.pdf'])).toEqual([]);
+  });
+});
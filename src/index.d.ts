@@ -0,0 +1,245 @@
+// Type declarations for the library entry point (src/index.js)
+
+/** Codes of the errors thrown by `analyze()` and `parseReceiptFileName()`. */
+export type AnalyzerErrorCode = 'INVALID_OPTIONS' | 'DIRECTORY_UNREADABLE';
+
+/** Codes of the problems reported for single files and ledger rows. */
+export type FileErrorCode =
+  | 'INVALID_FORMAT'
+  | 'INVALID_DATE'
+  | 'MISSING_DOLLAR_SIGN'
+  | 'MISSING_EXTENSION'
+  | 'INVALID_AMOUNT'
+  | 'INVALID_REIMBURSED_MARKER'
+  | 'INVALID_REIMBURSEMENT_DATE'
+  | 'REIMBURSED_AMOUNT_TOO_HIGH'
+  | 'REFUND_REIMBURSED'
+  | 'INVALID_CONTRIBUTION'
+  | 'MISSING_EXCHANGE_RATE'
+  | 'INVALID_LEDGER_ROW';
+
+/** Thrown for invalid options or an unreadable directory. */
+export class AnalyzerError extends Error {
+  name: 'AnalyzerError';
+  code: AnalyzerErrorCode;
+  /** Every problem found, e.g. each invalid option (the message only has the first one). */
+  details: string[];
+}
+
+export type GroupByField = 'category' | 'person' | 'type' | 'folder';
+export type Period = 'month' | 'quarter' | 'year';
+export type Coverage = 'self-only' | 'family';
+
+/** A custom file name pattern, as in the `patterns` config key. */
+export interface FileNamePattern {
+  /** e.g. `"{date}_{description}_{amount}{reimbursed}.{ext}"` */
+  format: string;
+  /** e.g. `"mm-dd-yyyy"` (default `"yyyy-mm-dd"`) */
+  dateFormat?: string;
+  /** default `".reimbursed"` */
+  reimbursedMarker?: string;
+}
+
+export interface CategoryRule {
+  pattern?: string;
+  keywords?: string[];
+  tag?: string;
+  category?: string;
+  person?: string;
+  type?: string;
+}
+
+/** Category aliases and rules, as in the `categories` config key. */
+export interface CategoryConfig {
+  aliases?: Record<string, string>;
+  rules?: CategoryRule[];
+}
+
+/** Only receipts matching every given filter are analyzed. Dates can be a year, month or day prefix. */
+export interface ReceiptFilters {
+  from?: string;
+  to?: string;
+  years?: Array<string | number>;
+  categories?: string[];
+  persons?: string[];
+  /** Regular expression matched against the description, ignoring case. */
+  match?: string;
+  minAmount?: number;
+  maxAmount?: number;
+  status?: 'reimbursed' | 'unreimbursed';
+}
+
+export interface ContributionLimits {
+  selfOnly?: number;
+  family?: number;
+  catchUp?: number;
+}
+
+export interface AnalyzeOptions {
+  /** Scan subfolders (default false). */
+  recursive?: boolean;
+  /** Maximum subfolder depth with `recursive` (0 = top level only). */
+  maxDepth?: number;
+  /** Only analyze files matching these glob patterns. */
+  include?: string[];
+  /** Skip files and folders matching these glob patterns. */
+  exclude?: string[];
+  /** Count each group of duplicate receipts once. */
+  excludeDuplicates?: boolean;
+  patterns?: FileNamePattern[];
+  categories?: CategoryConfig;
+  /** Nest the yearly totals by these fields (`by<Field>` keys in `years`). */
+  groupBy?: GroupByField[];
+  /** Adds `periods` with monthly or quarterly totals. */
+  period?: Period;
+  filters?: ReceiptFilters;
+  /** Coverage for the contribution limit of years without one in contributions.csv (default self-only). */
+  coverage?: Coverage;
+  /** First year of the age 55+ catch-up contribution. */
+  catchUpFrom?: number;
+  /** Adds or corrects IRS contribution limits by year, e.g. `{ "2027": { selfOnly: 4500 } }`. */
+  contributionLimits?: Record<string, ContributionLimits>;
+}
+
+export interface Receipt {
+  fileName: string;
+  /** Path relative to the analyzed directory, always with `/` separators. */
+  path: string;
+  /** Subfolder of the receipt (empty at the top level). */
+  folder: string;
+  /** yyyy-mm-dd */
+  date: string;
+  year: number;
+  /** Description without #tags. */
+  description: string;
+  category: string;
+  person: string;
+  type: string;
+  tags: string[];
+  /** Dollars; negative for refunds. Converted from `originalAmount` for foreign currency receipts. */
+  amount: number;
+  /** ISO 4217 code of the amount in the file name, e.g. `"EUR"` for `€50.00` (`"USD"` for `$50.00`). */
+  currency: string;
+  /** Amount in `currency`, as written in the file name. */
+  originalAmount: number;
+  /** USD per unit of `currency` used for the conversion (1 for USD). */
+  exchangeRate: number;
+  isRefund: boolean;
+  isReimbursed: boolean;
+  /** Dollars reimbursed (the full amount unless the marker has a partial amount, 0 when not reimbursed). */
+  reimbursedAmount: number;
+  /** yyyy-mm-dd withdrawal date from the reimbursed marker, or null. */
+  reimbursementDate: string | null;
+}
+
+export interface FileError {
+  path: string;
+  code: FileErrorCode;
+  message: string;
+}
+
+export interface LedgerError extends FileError {
+  line: number;
+}
+
+export interface Totals {
+  expenses: number;
+  reimbursements: number;
+  reimburseable: number;
+  refunds: number;
+  receipts: number;
+}
+
+export interface GroupTotals {
+  expenses: number;
+  reimbursements: number;
+  receipts: number;
+  [nestedGroup: `by${string}`]: Record<string, GroupTotals> | number;
+}
+
+export interface YearTotals extends Totals {
+  byCategory: Record<string, { expenses: number; reimbursements: number; receipts: number }>;
+  /** Present with `groupBy`, e.g. `byPerson`. */
+  [group: `by${string}`]: Record<string, GroupTotals> | number;
+}
+
+export interface ContributionYear {
+  self: number;
+  employer: number;
+  total: number;
+  coverage: Coverage;
+  /** null when there is no IRS limit for the year (see `contributionLimits`). */
+  limit: number | null;
+  remaining: number | null;
+  excess: number | null;
+}
+
+export interface Summary {
+  totalFiles: number;
+  totalValidFiles: number;
+  totalInvalidFiles: number;
+  invalidFilePercentage: number;
+  totalExpenses: number;
+  totalReimbursements: number;
+  totalReimburseable: number;
+  reimbursementRate: number;
+  reimburseableRate: number;
+  avgExpensePerYear: number;
+  avgReceiptsPerYear: number;
+  mostExpensiveYear: string | null;
+  mostExpensiveYearAmount: number;
+  mostExpensiveYearReceipts: number;
+  expensePercentage: number;
+  receiptPercentage: number;
+}
+
+export interface AnalysisResult {
+  directory: string;
+  /** Counted receipts (after filters and excluded duplicates). */
+  receipts: Receipt[];
+  /** Totals keyed by year (yyyy). */
+  years: Record<string, YearTotals>;
+  /** Present when `period` is month or quarter. */
+  period?: Exclude<Period, 'year'>;
+  /** Totals keyed by month (yyyy-mm) or quarter (yyyy-Qn), including periods without receipts. */
+  periods?: Record<string, Totals>;
+  /** Reimbursed dollars by withdrawal year, plus `undated`. */
+  reimbursementsByWithdrawalYear: Record<string, number>;
+  /** From contributions.csv and `.contribution.` files, keyed by year (only the years the date filters include). */
+  contributions: Record<string, ContributionYear>;
+  summary: Summary;
+  /** Labels of the active filters. */
+  filters: string[];
+  invalidFiles: FileError[];
+  /** $0.00 documents such as EOBs, not counted. */
+  informationalFiles: Array<{ path: string; date: string; description: string }>;
+  /** Possible duplicates; the first path is the one kept with `excludeDuplicates`. */
+  duplicates: Array<{ reasons: string[]; paths: string[] }>;
+  /** Rows of contributions.csv and exchange-rates.csv that were skipped. */
+  ledgerErrors: LedgerError[];
+}
+
+export type ParsedFileName =
+  | { kind: 'receipt'; receipt: Receipt }
+  | { kind: 'informational'; path: string; date: string; description: string }
+  | { kind: 'contribution'; path: string; date: string; year: number; source: 'self' | 'employer'; amount: number }
+  | { kind: 'invalid'; error: FileError };
+
+/**
+ * Analyze the receipt files in a directory. Foreign currency receipts are converted with its exchange-rates.csv.
+ * @throws {AnalyzerError} `INVALID_OPTIONS` or `DIRECTORY_UNREADABLE`
+ */
+export function analyze(directory: string, options?: AnalyzeOptions): AnalysisResult;
+
+/** USD per unit of a currency by date, e.g. `{ EUR: { "2024": 1.08, "2024-03-15": 1.09 } }`. */
+export type ExchangeRates = Record<string, Record<string, number>>;
+
+/**
+ * Parse one receipt file name (or path relative to the receipts directory) without reading the file.
+ * Foreign currency amounts are converted with `exchangeRates` (the most specific of day, month and year).
+ * @throws {AnalyzerError} `INVALID_OPTIONS`
+ */
+export function parseReceiptFileName(
+  fileName: string,
+  options?: Pick<AnalyzeOptions, 'patterns' | 'categories'> & { exchangeRates?: ExchangeRates }
+): ParsedFileName;
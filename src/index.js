@@ -0,0 +1,217 @@
+// Library entry point: analyze a receipts folder from other tools. Unlike the CLI in main.js, nothing here
+// prints output, reads process.argv or exits the process - problems are thrown as AnalyzerError with a code
+import {
+  CONTRIBUTIONS_FILE_NAME,
+  EXCHANGE_RATES_FILE_NAME,
+  buildJsonReport,
+  calculateSummaryStats,
+  compileCategoryRules,
+  compileFileNamePattern,
+  compileReceiptFilters,
+  getTotalsByYear,
+  parseReceiptFile,
+  validateConfig
+} from './main.js';
+
+class AnalyzerError extends Error {
+  constructor(code, message, details = []) {
+    super(message);
+    this.name = 'AnalyzerError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function toReceipt(receipt) {
+  return {
+    fileName: receipt.fileName,
+    path: receipt.relativePath,
+    folder: receipt.folder,
+    date: receipt.date,
+    year: Number(receipt.year),
+    description: receipt.description,
+    category: receipt.category,
+    person: receipt.person,
+    type: receipt.type,
+    tags: receipt.tags,
+    amount: receipt.amount,
+    currency: receipt.currency,
+    originalAmount: receipt.originalAmount,
+    exchangeRate: receipt.exchangeRate,
+    isRefund: receipt.amount < 0,
+    isReimbursed: receipt.isReimbursement,
+    reimbursedAmount: receipt.reimbursedAmount,
+    reimbursementDate: receipt.reimbursementDate
+  };
+}
+
+function toFileError({ fileName, code, error }) {
+  return { path: fileName, code, message: error };
+}
+
+// Type check and description of each field of the filters option (see ReceiptFilters in index.d.ts)
+const isListOf = (value, types) => Array.isArray(value) && value.every(item => types.includes(typeof item));
+const FILTER_TYPES = {
+  from: [value => typeof value === 'string', 'a string'],
+  to: [value => typeof value === 'string', 'a string'],
+  years: [value => isListOf(value, ['string', 'number']), 'an array of years'],
+  categories: [value => isListOf(value, ['string']), 'an array of strings'],
+  persons: [value => isListOf(value, ['string']), 'an array of strings'],
+  match: [value => typeof value === 'string', 'a string'],
+  minAmount: [value => typeof value === 'number', 'a number'],
+  maxAmount: [value => typeof value === 'number', 'a number'],
+  status: [value => value === 'reimbursed' || value === 'unreimbursed', 'one of "reimbursed", "unreimbursed"']
+};
+
+// Returns a list of problems with the shape of the filters option (empty when it is valid)
+function validateFilters(filters) {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['"filters" should be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(filters)) {
+    if (value === undefined) continue;
+    if (!FILTER_TYPES[key]) {
+      errors.push(`Unknown filter "${key}" (expected one of: ${Object.keys(FILTER_TYPES).join(', ')})`);
+    } else if (!FILTER_TYPES[key][0](value)) {
+      errors.push(`"filters.${key}" should be ${FILTER_TYPES[key][1]}`);
+    }
+  }
+  return errors;
+}
+
+// The config file keys of the options, which are validated with the same rules as the config file
+const OPTION_CONFIG_KEYS = {
+  recursive: 'recursive',
+  maxDepth: 'max-depth',
+  include: 'include',
+  exclude: 'exclude',
+  excludeDuplicates: 'exclude-duplicates',
+  groupBy: 'group-by',
+  period: 'period',
+  coverage: 'coverage',
+  catchUpFrom: 'catch-up-from',
+  contributionLimits: 'contribution-limits',
+  patterns: 'patterns',
+  categories: 'categories'
+};
+
+const OPTION_NAMES = Object.fromEntries(Object.entries(OPTION_CONFIG_KEYS).map(([name, key]) => [key, name]));
+const CONFIG_KEY_REGEX = new RegExp(`"(${Object.keys(OPTION_NAMES).join('|')})(?=[".])`, 'g');
+
+// Name the options in messages the way they are passed to analyze(): "max-depth" becomes "maxDepth" and
+// the CLI flags of the filters ("--min-amount must be ...") become "filters.minAmount"
+function toOptionMessage(message) {
+  return message
+    .replace(CONFIG_KEY_REGEX, (text, key) => `"${OPTION_NAMES[key]}`)
+    .replace(
+      /^--([a-z-]+)/,
+      (text, flag) => `"filters.${flag.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase())}"`
+    );
+}
+
+// Validate the options with the same rules as the config file, then compile them for getTotalsByYear
+function buildScanOptions(options) {
+  const config = Object.fromEntries(
+    Object.entries(OPTION_CONFIG_KEYS)
+      .filter(([name]) => options[name] !== undefined)
+      .map(([name, key]) => [key, options[name]])
+  );
+  const errors = validateConfig(config).map(toOptionMessage);
+
+  // The filter values (e.g. that from is a date) are only checked once their types are right
+  const filterErrors = options.filters === undefined ? [] : validateFilters(options.filters);
+  errors.push(...filterErrors);
+  let filters;
+  if (filterErrors.length === 0) {
+    try {
+      filters = compileReceiptFilters(options.filters);
+    } catch (error) {
+      errors.push(toOptionMessage(error.message));
+    }
+  }
+  if (errors.length > 0) {
+    throw new AnalyzerError('INVALID_OPTIONS', `Invalid options: ${errors[0]}`, errors);
+  }
+
+  return {
+    recursive: options.recursive,
+    maxDepth: options.maxDepth ?? Infinity,
+    include: options.include,
+    exclude: options.exclude,
+    excludeDuplicates: options.excludeDuplicates,
+    patterns: (options.patterns || []).map(compileFileNamePattern),
+    categoryRules: compileCategoryRules(options.categories),
+    filters,
+    contributionSettings: {
+      coverage: options.coverage,
+      catchUpFrom: options.catchUpFrom,
+      limits: options.contributionLimits
+    }
+  };
+}
+
+// Analyze the receipt files in a directory. Amounts are numbers (dollars), never formatted strings
+function analyze(directory, options = {}) {
+  if (typeof directory !== 'string' || directory === '') {
+    throw new AnalyzerError('INVALID_OPTIONS', 'Directory should be a non-empty string');
+  }
+  const scanOptions = buildScanOptions(options);
+  const { groupBy = [], period = 'year' } = options;
+
+  let totals;
+  try {
+    totals = getTotalsByYear(directory, scanOptions);
+  } catch (error) {
+    throw new AnalyzerError('DIRECTORY_UNREADABLE', error.message);
+  }
+
+  const { expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles } = totals;
+  const years = Object.keys(receiptCounts).sort();
+  const stats = calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles);
+  const report = buildJsonReport(directory, totals, stats, groupBy, period);
+
+  return {
+    directory,
+    receipts: totals.receipts.map(toReceipt),
+    years: report.years,
+    ...(report.periods ? { period: report.period, periods: report.periods } : {}),
+    reimbursementsByWithdrawalYear: totals.reimbursementsByWithdrawalYear,
+    contributions: totals.contributions,
+    summary: report.summary,
+    filters: totals.filters,
+    invalidFiles: invalidFiles.map(toFileError),
+    informationalFiles: totals.informationalFiles.map(({ fileName, date, description }) => ({
+      path: fileName,
+      date,
+      description
+    })),
+    duplicates: totals.duplicates.map(({ reasons, files }) => ({ reasons, paths: files })),
+    ledgerErrors: [
+      ...totals.contributionErrors.map(({ line, error }) => ({ path: CONTRIBUTIONS_FILE_NAME, line, error })),
+      ...totals.exchangeRateErrors.map(({ line, error }) => ({ path: EXCHANGE_RATES_FILE_NAME, line, error }))
+    ].map(({ path, line, error }) => ({ path, line, code: 'INVALID_LEDGER_ROW', message: error }))
+  };
+}
+
+// Parse a single receipt file name into the same receipt model as analyze(). Unlike analyze(), which reads
+// exchange-rates.csv, foreign currency amounts are converted with options.exchangeRates
+function parseReceiptFileName(fileName, options = {}) {
+  const scanOptions = buildScanOptions(options);
+  const entry = parseReceiptFile(fileName, { ...scanOptions, exchangeRates: options.exchangeRates });
+  if (entry.invalid) {
+    return { kind: 'invalid', error: toFileError(entry.invalid) };
+  }
+  if (entry.informational) {
+    const { date, description } = entry.informational;
+    return { kind: 'informational', path: fileName, date, description };
+  }
+  if (entry.contribution) {
+    const { date, year, source, amount } = entry.contribution;
+    return { kind: 'contribution', path: fileName, date, year: Number(year), source, amount };
+  }
+  return { kind: 'receipt', receipt: toReceipt(entry.receipt) };
+}
+
+export { analyze, parseReceiptFileName, AnalyzerError };
@@ -1,12 +1,15 @@
 #!/usr/bin/env node
 
 import fs, { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import os from 'os';
+import readline from 'readline/promises';
 import prettyjson from 'prettyjson';
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import chartscii from 'chartscii';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { basename, dirname, extname, join, relative, resolve, sep } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -14,6 +17,19 @@ const packageJson = JSON.parse(readFileSync(join(__dirname, '../package.json'),
 
 // Configuration constants
 const COLUMN_PADDING = 4; // Extra padding for table columns in file parsing display
+const JSON_REPORT_VERSION = 1; // Bump when the --format json document changes in a breaking way
+const RENAME_JOURNAL_FILE = '.hsa-expense-analyzer-renames.jsonl'; // Undo journal for renames, stored in dirPath
+const CONFIG_FILE_NAME = '.hsarc.json'; // Optional config file, looked up in dirPath and the home directory
+const CONTRIBUTIONS_FILE_NAME = 'contributions.csv'; // Optional per-year contributions ledger, stored in dirPath
+const DISTRIBUTIONS_FILE_NAME = 'distributions.csv'; // Optional ledger of HSA withdrawals for tax-report, in dirPath
+const EXCHANGE_RATES_FILE_NAME = 'exchange-rates.csv'; // Optional USD rates for foreign currency receipts, in dirPath
+const LEDGER_FILE_NAMES = [CONTRIBUTIONS_FILE_NAME, DISTRIBUTIONS_FILE_NAME, EXCHANGE_RATES_FILE_NAME];
+const MAX_PLANNER_CELLS = 4e8; // receipts × cents for the fewest-receipts planner (~50 MB of choice bits)
+const MAX_PLANNER_STEPS = 2e9; // receipts × cents for the oldest-receipts planner (about 10 seconds)
+const MAX_PLANNER_CENTS = 2.5e7; // Largest target either planner searches ($250,000, ~100 MB for oldest)
+const WATCH_DEBOUNCE_MS = 200; // Wait for file events to settle before updating in --watch mode
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000; // For compounding growth over fractional years
+const DEFAULT_LOCALE = 'en-US'; // Locale for amounts in the output unless --locale is given
 
 // ANSI color codes for better terminal output
 const colors = {
@@ -25,13 +41,159 @@ const colors = {
   dim: '\x1b[2m'
 };
 
+// Every amount in the output goes through formatAmount, so --locale (see setLocale) changes all of them
+let outputLocale = DEFAULT_LOCALE;
+const amountFormats = new Map(); // Intl.NumberFormat by locale and currency
+
+function isSupportedLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    // Malformed tags such as "en_US" throw a RangeError
+    return false;
+  }
+}
+
+// Set the locale for formatAmount, e.g. "de-DE" for 1.234,56 $. Throws for locales Intl doesn't support
+function setLocale(locale = DEFAULT_LOCALE) {
+  if (!isSupportedLocale(locale)) {
+    throw new Error(`Locale "${locale}" is not supported (e.g., en-US, de-DE)`);
+  }
+  outputLocale = locale;
+}
+
+// Format an amount with the currency symbol and thousands separators of the output locale, putting the minus
+// sign of refunds before the symbol in en-US (-$1,234.50)
+function formatAmount(amount, currency = 'USD') {
+  const key = `${outputLocale}|${currency}`;
+  if (!amountFormats.has(key)) {
+    amountFormats.set(
+      key,
+      new Intl.NumberFormat(outputLocale, { style: 'currency', currency, signDisplay: 'negative' })
+    );
+  }
+  return amountFormats.get(key).format(amount);
+}
+
+// Format a percentage like 30.8 (see toPercentage) with one decimal in the output locale, e.g. 30.8% or 30,8 %
+function formatPercentage(percentage) {
+  const key = `${outputLocale}|%`;
+  if (!amountFormats.has(key)) {
+    amountFormats.set(
+      key,
+      new Intl.NumberFormat(outputLocale, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    );
+  }
+  return amountFormats.get(key).format(percentage / 100);
+}
+
+// Money is added up in integer cents, so totals stay exact however many receipts are added and removed.
+// Receipts, reports and the library keep dollars, converted with toCents/toDollars around every calculation
+
+// Round a fraction of a cent half away from zero, ignoring floating-point noise (217.49999999999997 is 217.5)
+function roundCents(cents) {
+  return Math.sign(cents) * Math.round(Number(Math.abs(cents).toPrecision(15))) || 0;
+}
+
+function toCents(dollars) {
+  return roundCents(dollars * 100);
+}
+
+function toDollars(cents) {
+  return cents / 100;
+}
+
+// Add up dollar amounts in cents, e.g. 0.1 + 0.2 is 30 cents
+function sumCents(amounts) {
+  return amounts.reduce((sum, amount) => sum + toCents(amount), 0);
+}
+
+function sumAmounts(amounts) {
+  return toDollars(sumCents(amounts));
+}
+
+// Percentage of part in whole with one decimal, e.g. 30.8 (0 when whole is 0)
+function toPercentage(part, whole) {
+  return whole > 0 ? Math.round(Number(((part / whole) * 1000).toPrecision(15))) / 10 : 0;
+}
+
 // Helper function for colored output
 function colorize(text, color) {
   if (process.argv.includes('--no-color')) return text;
   return `${colors[color]}${text}${colors.reset}`;
 }
 
-function parseFileName(fileName) {
+// Amount with cents and optional thousands separators in a file name, e.g. 50.00 or 1,234.56 (not 50,00)
+const AMOUNT_SOURCE = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)\\.\\d{2}';
+
+// Reimbursed marker with an optional withdrawal date and partial amount, e.g.
+// .reimbursed. / .reimbursed-2024-03-01. / .reimbursed-$20.00. / .reimbursed-2024-03-01-$20.00.
+const REIMBURSED_MARKER_SUFFIX = `(?:-(?<reimbursedOn>\\d{4}-\\d{2}-\\d{2}))?(?:-\\$(?<reimbursedAmount>${AMOUNT_SOURCE}))?`;
+const REIMBURSED_MARKER_REGEX = new RegExp(`\\.reimbursed${REIMBURSED_MARKER_SUFFIX}\\.`);
+
+// Amounts in other currencies start with a symbol (€50.00) or an ISO 4217 code (EUR 50.00) instead of $
+const CURRENCY_SYMBOLS = { $: 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const AMOUNT_CURRENCY_REGEX = /^(?<minus>-)?(?:(?<symbol>[$€£¥₹])|(?<code>[A-Z]{3}) ?)(?<rest>.*)$/;
+
+function parseAmount(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isValidDate(yearNum, monthNum, dayNum) {
+  const dateObj = new Date(yearNum, monthNum - 1, dayNum);
+  return dateObj.getFullYear() === yearNum && dateObj.getMonth() === monthNum - 1 && dateObj.getDate() === dayNum;
+}
+
+// Work out how much of a receipt was reimbursed and when, from the parts of its reimbursed marker
+// Returns { code, error } when the marker's date or amount is invalid
+function getReimbursementDetails(amount, reimbursedOn, reimbursedAmount) {
+  if (reimbursedOn) {
+    const [yearNum, monthNum, dayNum] = reimbursedOn.split('-').map(Number);
+    if (!isValidDate(yearNum, monthNum, dayNum)) {
+      return {
+        code: 'INVALID_REIMBURSEMENT_DATE',
+        error: `Reimbursement date "${reimbursedOn}" should be a valid yyyy-mm-dd date`
+      };
+    }
+  }
+
+  const partialAmount = reimbursedAmount === undefined ? amount : parseAmount(reimbursedAmount);
+  if (partialAmount > amount) {
+    return {
+      code: 'REIMBURSED_AMOUNT_TOO_HIGH',
+      error: `Reimbursed amount "$${reimbursedAmount}" should not be more than the receipt amount`
+    };
+  }
+
+  return { reimbursedAmount: partialAmount, reimbursementDate: reimbursedOn || null };
+}
+
+// Parse a file name with the default grammar, then with any custom patterns from the config file
+// Foreign currency amounts are converted to USD with exchangeRates (see readExchangeRatesFile)
+function parseFileName(fileName, patterns = [], exchangeRates = {}) {
+  const result = parseDefaultFileName(fileName, exchangeRates);
+  if (result.isValid) {
+    return result;
+  }
+
+  // Prefer the error from a custom pattern that matched the shape of the name (e.g. an invalid date)
+  let customError = null;
+  for (const pattern of patterns) {
+    const customResult = parseFileNameWithPattern(fileName, pattern);
+    if (customResult?.isValid) {
+      return customResult;
+    }
+    customError = customError || customResult;
+  }
+
+  return customError || result;
+}
+
+function parseDefaultFileName(fileName, exchangeRates = {}) {
   const parts = fileName.split(' - ');
   if (parts.length !== 3) {
     return {
@@ -40,6 +202,7 @@ function parseFileName(fileName) {
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'INVALID_FORMAT',
       error: `File name should have format "yyyy-mm-dd - description - $amount.ext"`
     };
   }
@@ -55,30 +218,36 @@ function parseFileName(fileName) {
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'INVALID_DATE',
       error: `Date "${date}" should be yyyy-mm-dd format`
     };
   }
 
   // Validate that it's actually a valid date
-  const dateObj = new Date(`${date}T00:00:00`); // Add time to avoid timezone issues
   const [yearNum, monthNum, dayNum] = date.split('-').map(Number);
-  if (dateObj.getFullYear() !== yearNum || dateObj.getMonth() !== monthNum - 1 || dateObj.getDate() !== dayNum) {
+  if (!isValidDate(yearNum, monthNum, dayNum)) {
     return {
       year: null,
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'INVALID_DATE',
       error: `Date "${date}" should be yyyy-mm-dd format`
     };
   }
 
-  // Check if amount starts with $
-  if (!amountPart || !amountPart.startsWith('$')) {
+  // Refunds and credits can be written with a minus sign (-$25.00) or a .refund. marker
+  const currencyMatch = amountPart?.match(AMOUNT_CURRENCY_REGEX);
+  const isNegative = currencyMatch?.groups.minus !== undefined;
+
+  // Check if amount starts with $ (or another currency)
+  if (!currencyMatch) {
     return {
       year: null,
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'MISSING_DOLLAR_SIGN',
       error: `Amount "${amountPart}" should start with $`
     };
   }
@@ -90,333 +259,3576 @@ function parseFileName(fileName) {
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'MISSING_EXTENSION',
       error: `File is missing extension (should end with .pdf, .jpg, etc.)`
     };
   }
 
   // Parse the amount - be more strict about format
-  let amountStr = amountPart.substring(1); // Remove the $
+  const { symbol, code: currencyCode, rest } = currencyMatch.groups;
+  const currency = currencyCode ?? CURRENCY_SYMBOLS[symbol];
+  let amountStr = rest; // Without the currency
 
-  // Handle .reimbursed. files - remove .reimbursed.ext pattern
-  if (amountStr.includes('.reimbursed.')) {
-    amountStr = amountStr.replace(/\.reimbursed\..+$/, '');
+  // Handle refund files - remove the .refund. marker and keep the extension for the checks below
+  const hasRefundMarker = amountStr.includes('.refund.');
+  if (hasRefundMarker) {
+    amountStr = amountStr.replace('.refund.', '.');
+  }
+
+  // Handle contribution files (deposits into the HSA, not expenses) the same way
+  const hasContributionMarker = amountStr.includes('.contribution.');
+  if (hasContributionMarker) {
+    amountStr = amountStr.replace('.contribution.', '.');
+  }
+
+  // Handle reimbursed files - remove the .reimbursed[-yyyy-mm-dd][-$amount].ext marker
+  const amountMarker = amountStr.match(REIMBURSED_MARKER_REGEX);
+  if (amountMarker) {
+    amountStr = amountStr.slice(0, amountMarker.index);
+  } else if (amountStr.includes('.reimbursed')) {
+    return {
+      year: null,
+      amount: 0,
+      isReimbursement: false,
+      isValid: false,
+      code: 'INVALID_REIMBURSED_MARKER',
+      error: `Reimbursed marker should be .reimbursed., .reimbursed-yyyy-mm-dd., .reimbursed-$amount. or .reimbursed-yyyy-mm-dd-$amount.`
+    };
   } else {
     // Remove regular file extension (.pdf, .jpg, etc.)
     amountStr = amountStr.replace(/\.[^.]+$/, '');
   }
 
-  // Check for valid decimal number format (digits with optional .digits, no commas)
-  if (!/^\d+\.\d{2}$/.test(amountStr)) {
+  // Check for valid decimal number format (digits with cents, and commas only as thousands separators)
+  if (!new RegExp(`^${AMOUNT_SOURCE}$`).test(amountStr)) {
     return {
       year: null,
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'INVALID_AMOUNT',
       error: `Amount "${amountPart}" should be a valid format like $50.00`
     };
   }
 
-  const amount = parseFloat(amountStr);
+  const originalAmount = parseAmount(amountStr);
 
-  if (isNaN(amount)) {
+  if (isNaN(originalAmount)) {
     return {
       year: null,
       amount: 0,
       isReimbursement: false,
       isValid: false,
+      code: 'INVALID_AMOUNT',
       error: `Amount "${amountPart}" should be a valid number`
     };
   }
 
+  // Convert foreign currency amounts to USD, so the reimbursed marker and the totals are always in dollars
+  const exchangeRate = currency === 'USD' || originalAmount === 0 ? 1 : getExchangeRate(exchangeRates, currency, date);
+  if (!exchangeRate) {
+    return {
+      year: null,
+      amount: 0,
+      isReimbursement: false,
+      isValid: false,
+      code: 'MISSING_EXCHANGE_RATE',
+      error: `No ${currency} exchange rate for ${date} (add one to ${EXCHANGE_RATES_FILE_NAME})`
+    };
+  }
+  const amount = toDollars(roundCents(toCents(originalAmount) * exchangeRate));
+
   const year = date.split('-')[0];
 
-  // Check if this is a reimbursement
-  const isReimbursement = fileName.includes('.reimbursed.');
+  // Check if this is a reimbursement (the marker can be anywhere in the file name)
+  const marker = fileName.match(REIMBURSED_MARKER_REGEX);
+  const isReimbursement = marker !== null;
+  const { reimbursedAmount, reimbursementDate, code, error } = isReimbursement
+    ? getReimbursementDetails(amount, marker.groups.reimbursedOn, marker.groups.reimbursedAmount)
+    : { reimbursedAmount: 0, reimbursementDate: null };
+
+  if (error) {
+    return { year: null, amount: 0, isReimbursement: false, isValid: false, code, error };
+  }
+
+  // Refunds are stored as negative amounts so they lower the totals
+  const isRefund = isNegative || hasRefundMarker;
+  if (isRefund && isReimbursement) {
+    return {
+      year: null,
+      amount: 0,
+      isReimbursement: false,
+      isValid: false,
+      code: 'REFUND_REIMBURSED',
+      error: `Refunds can't be marked as reimbursed`
+    };
+  }
+  if (hasContributionMarker && (isRefund || isReimbursement)) {
+    return {
+      year: null,
+      amount: 0,
+      isReimbursement: false,
+      isValid: false,
+      code: 'INVALID_CONTRIBUTION',
+      error: `Contributions can't be refunds or marked as reimbursed`
+    };
+  }
 
-  return { year, description, amount, isReimbursement, isValid: true };
+  return {
+    date,
+    year,
+    description,
+    amount: isRefund && amount > 0 ? -amount : amount,
+    isReimbursement,
+    reimbursedAmount,
+    reimbursementDate,
+    ...(hasContributionMarker ? { isContribution: true } : {}),
+    ...(currency === 'USD'
+      ? {}
+      : { currency, originalAmount: isRefund && originalAmount > 0 ? -originalAmount : originalAmount, exchangeRate }),
+    isValid: true
+  };
 }
 
-function getTotalsByYear(directory) {
-  const expensesByYear = {};
-  const reimbursementsByYear = {};
-  const receiptCounts = {};
-  const invalidFiles = [];
-  const expensesByCategory = {}; // { year: { category: { expenses: number, reimbursements: number, count: number } } }
+// Regular expressions for the tokens of a pattern's dateFormat (e.g. "yyyymmdd", "mm-dd-yyyy")
+const DATE_FORMAT_TOKENS = {
+  yyyy: '(?<year>\\d{4})',
+  mm: '(?<month>\\d{2})',
+  dd: '(?<day>\\d{2})',
+  m: '(?<month>\\d{1,2})',
+  d: '(?<day>\\d{1,2})'
+};
 
-  let fileNames;
-  try {
-    fileNames = fs.readdirSync(directory);
-  } catch (error) {
-    // Throw error for testability - caller (main function) will handle console output and exit
-    throw new Error(`Cannot access directory: ${error.message}`);
+// Regular expressions for the {fields} of a custom file name pattern (the date is built from dateFormat)
+const PATTERN_FIELDS = {
+  description: () => '(?<description>.+?)',
+  amount: () => '(?<amount>(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d{2})?)',
+  reimbursed: marker => `(?<reimbursed>${escapeRegExp(marker)}${REIMBURSED_MARKER_SUFFIX})?`,
+  ext: () => '(?<ext>[a-zA-Z]{2,5})'
+};
+
+// Compile a custom file name pattern from the config file, e.g.
+// { "format": "{date}_{description}_{amount}{reimbursed}.{ext}", "dateFormat": "yyyymmdd" }
+function compileFileNamePattern(definition) {
+  const { format, dateFormat = 'yyyy-mm-dd', reimbursedMarker = '.reimbursed' } = definition || {};
+  if (typeof format !== 'string') {
+    throw new Error('Pattern must have a "format" string');
   }
 
-  for (const fileName of fileNames) {
-    if (fileName.startsWith('.')) {
-      continue;
+  const dateTokens = typeof dateFormat === 'string' ? dateFormat.match(/yyyy|mm|dd|m|d|[^a-zA-Z]/g) : null;
+  if (!dateTokens || dateTokens.join('') !== dateFormat) {
+    throw new Error(`Date format "${dateFormat}" may only contain yyyy, mm, dd, m, d and separators`);
+  }
+  for (const part of ['year', 'month', 'day']) {
+    if (dateTokens.filter(token => DATE_FORMAT_TOKENS[token]?.includes(`<${part}>`)).length !== 1) {
+      throw new Error(`Date format "${dateFormat}" must contain the ${part} exactly once`);
     }
+  }
+  const dateSource = dateTokens.map(token => DATE_FORMAT_TOKENS[token] || escapeRegExp(token)).join('');
 
-    const { year, description, amount, isReimbursement, isValid, error } = parseFileName(fileName);
+  const usedFields = new Set();
+  const source = format
+    .split(/(\{[a-z]+\})/)
+    .map(part => {
+      const field = part.match(/^\{([a-z]+)\}$/)?.[1];
+      if (!field) {
+        return escapeRegExp(part);
+      }
+      if (field !== 'date' && !PATTERN_FIELDS[field]) {
+        throw new Error(`Pattern "${format}" has unknown field {${field}}`);
+      }
+      if (usedFields.has(field)) {
+        throw new Error(`Pattern "${format}" uses {${field}} more than once`);
+      }
+      usedFields.add(field);
+      return field === 'date' ? dateSource : PATTERN_FIELDS[field](reimbursedMarker);
+    })
+    .join('');
 
-    if (!isValid) {
-      invalidFiles.push({ fileName, error });
-      continue;
+  for (const field of ['date', 'amount', 'ext']) {
+    if (!usedFields.has(field)) {
+      throw new Error(`Pattern "${format}" is missing the {${field}} field`);
     }
+  }
 
-    // Extract just the first word as the category name
-    const category = (description.trim().split(' ')[0] || 'uncategorized').toLowerCase();
+  // mark-reimbursed inserts the marker where {reimbursed} would match, found with an empty group in its place
+  const markerSlotSource = source.replace(PATTERN_FIELDS.reimbursed(reimbursedMarker), () => '(?<reimbursed>)');
 
-    if (amount > 0) {
-      // Initialize year data if not exists
-      if (!expensesByYear[year]) {
-        expensesByYear[year] = 0;
-        reimbursementsByYear[year] = 0;
-        receiptCounts[year] = 0;
-        expensesByCategory[year] = {};
-      }
+  return {
+    format,
+    dateFormat,
+    reimbursedMarker,
+    regex: new RegExp(`^${source}$`, 'd'),
+    markerSlotRegex: usedFields.has('reimbursed') ? new RegExp(`^${markerSlotSource}$`, 'd') : null
+  };
+}
 
-      // Initialize category data if not exists for this year
-      if (!expensesByCategory[year][category]) {
-        expensesByCategory[year][category] = { expenses: 0, reimbursements: 0, count: 0 };
-      }
+// Parse a file name with a compiled custom pattern, or return null if the name doesn't match it
+function parseFileNameWithPattern(fileName, pattern) {
+  const match = fileName.match(pattern.regex);
+  if (!match) {
+    return null;
+  }
 
-      // Always count as an expense regardless of reimbursement status
-      expensesByYear[year] = +(expensesByYear[year] + amount).toFixed(2);
-      expensesByCategory[year][category].expenses = +(expensesByCategory[year][category].expenses + amount).toFixed(2);
-      expensesByCategory[year][category].count++;
+  const { year, month, day, description = '', amount, reimbursed, reimbursedOn, reimbursedAmount } = match.groups;
+  const [yearNum, monthNum, dayNum] = [year, month, day].map(Number);
+  if (!isValidDate(yearNum, monthNum, dayNum)) {
+    return {
+      year: null,
+      amount: 0,
+      isReimbursement: false,
+      isValid: false,
+      code: 'INVALID_DATE',
+      error: `Date should be a valid ${pattern.dateFormat} date (pattern "${pattern.format}")`
+    };
+  }
 
-      // Additionally track as reimbursement if applicable
-      if (isReimbursement) {
-        reimbursementsByYear[year] = +(reimbursementsByYear[year] + amount).toFixed(2);
-        expensesByCategory[year][category].reimbursements = +(
-          expensesByCategory[year][category].reimbursements + amount
-        ).toFixed(2);
-      }
+  const receiptAmount = parseAmount(amount);
+  const isReimbursement = reimbursed !== undefined;
+  const details = isReimbursement
+    ? getReimbursementDetails(receiptAmount, reimbursedOn, reimbursedAmount)
+    : { reimbursedAmount: 0, reimbursementDate: null };
 
-      receiptCounts[year]++;
-    }
+  if (details.error) {
+    return { year: null, amount: 0, isReimbursement: false, isValid: false, code: details.code, error: details.error };
   }
 
-  return { expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles, expensesByCategory };
+  return {
+    date: `${year}-${String(monthNum).padStart(2, '0')}-${String(dayNum).padStart(2, '0')}`,
+    year,
+    description,
+    amount: receiptAmount,
+    isReimbursement,
+    reimbursedAmount: details.reimbursedAmount,
+    reimbursementDate: details.reimbursementDate,
+    isValid: true
+  };
 }
 
-function calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles) {
-  const totalValidFiles = Object.values(receiptCounts).reduce((sum, count) => sum + count, 0);
-  const totalInvalidFiles = invalidFiles.length;
-  const totalFiles = totalValidFiles + totalInvalidFiles;
+// Convert a glob pattern to a regular expression
+// Supports `*` (any characters except /), `?` (a single character except /) and `**` (any number of folders)
+function globToRegExp(pattern) {
+  let regex = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        i++;
+        regex += '(?:.*/)?';
+      } else {
+        regex += '.*';
+      }
+    } else if (char === '*') {
+      regex += '[^/]*';
+    } else if (char === '?') {
+      regex += '[^/]';
+    } else {
+      regex += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${regex}$`);
+}
 
-  let totalExpenses = 0;
-  let totalReimbursements = 0;
+// Patterns without a slash match the file or folder name at any depth (like .gitignore),
+// patterns with a slash match the full path relative to the receipts directory
+function matchesGlob(relativePath, pattern) {
+  const target = pattern.includes('/') ? relativePath : basename(relativePath);
+  return globToRegExp(pattern).test(target);
+}
 
-  for (const year of years) {
-    totalExpenses += expensesByYear[year] || 0;
-    totalReimbursements += reimbursementsByYear[year] || 0;
+function isDirectoryEntry(fullPath, entry) {
+  if (entry.isDirectory()) return true;
+  if (!entry.isSymbolicLink()) return false;
+  try {
+    return fs.statSync(fullPath).isDirectory();
+  } catch {
+    // Broken symlink - treat it as a file so it gets reported instead of silently skipped
+    return false;
   }
+}
 
-  const invalidFilePercentage = totalFiles > 0 ? ((totalInvalidFiles / totalFiles) * 100).toFixed(1) : 0;
-  const avgExpensePerYear = years.length > 0 ? (totalExpenses / years.length).toFixed(2) : 0;
-  const avgReceiptsPerYear = years.length > 0 ? Math.round(totalValidFiles / years.length) : 0;
-  const reimbursementRate = totalExpenses > 0 ? ((totalReimbursements / totalExpenses) * 100).toFixed(1) : 0;
-  const totalReimburseable = totalExpenses - totalReimbursements;
-  const reimburseableRate = totalExpenses > 0 ? ((totalReimburseable / totalExpenses) * 100).toFixed(1) : 0;
+// List receipt files as paths relative to the directory (always using / as the separator)
+function listReceiptFiles(directory, options = {}) {
+  const { recursive = false, maxDepth = Infinity, include = [], exclude = [] } = options;
+  const files = [];
+  const visitedFolders = new Set();
 
-  // Find the most expensive year
-  let mostExpensiveYear = null;
-  let mostExpensiveYearAmount = 0;
-  let mostExpensiveYearReceipts = 0;
+  const walk = (folder, relativeFolder, depth) => {
+    // Resolve symlinks so a link pointing back up the tree is only visited once
+    const realFolder = fs.realpathSync(folder);
+    if (visitedFolders.has(realFolder)) return;
+    visitedFolders.add(realFolder);
 
-  if (years.length > 0) {
-    mostExpensiveYear = years.reduce((maxYear, year) =>
-      (expensesByYear[year] || 0) > (expensesByYear[maxYear] || 0) ? year : maxYear
-    );
-    mostExpensiveYearReceipts = receiptCounts[mostExpensiveYear] || 0;
-    mostExpensiveYearAmount = expensesByYear[mostExpensiveYear] || 0;
-  }
+    for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+      // Skip hidden files (config, rename journal) and the ledgers, which aren't receipts
+      if (entry.name.startsWith('.') || (!relativeFolder && LEDGER_FILE_NAMES.includes(entry.name))) {
+        continue;
+      }
 
-  const expensePercentage = totalExpenses > 0 ? ((mostExpensiveYearAmount / totalExpenses) * 100).toFixed(1) : 0;
-  const receiptPercentage = totalValidFiles > 0 ? ((mostExpensiveYearReceipts / totalValidFiles) * 100).toFixed(1) : 0;
+      const relativePath = relativeFolder ? `${relativeFolder}/${entry.name}` : entry.name;
+      if (exclude.some(pattern => matchesGlob(relativePath, pattern))) {
+        continue;
+      }
 
-  return {
-    totalFiles,
-    totalValidFiles,
-    totalInvalidFiles,
-    invalidFilePercentage,
-    totalExpenses,
-    totalReimbursements,
-    totalReimburseable,
-    reimbursementRate,
-    reimburseableRate,
-    avgExpensePerYear,
-    avgReceiptsPerYear,
-    mostExpensiveYear,
-    mostExpensiveYearAmount,
-    mostExpensiveYearReceipts,
-    expensePercentage,
-    receiptPercentage
+      const fullPath = join(folder, entry.name);
+      if (recursive && isDirectoryEntry(fullPath, entry)) {
+        if (depth < maxDepth) {
+          walk(fullPath, relativePath, depth + 1);
+        }
+        continue;
+      }
+
+      if (include.length > 0 && !include.some(pattern => matchesGlob(relativePath, pattern))) {
+        continue;
+      }
+
+      files.push(relativePath);
+    }
   };
+
+  walk(directory, '', 0);
+  return files;
 }
 
-function buildYearlyResultObject(years, expensesByYear, reimbursementsByYear, receiptCounts, expensesByCategory = {}) {
-  const result = {};
-  let totalExpenses = 0;
-  let totalReimbursements = 0;
-  let totalReceipts = 0;
+// Cloud-sync conflict copies, e.g. "... $45.00 (1).pdf" or "... $45.00 (Bob's conflicted copy 2024-01-02).pdf"
+const SYNC_COPY_REGEX = / \((?:\d+|[^()]*conflicted copy[^()]*)\)(?=(?:\.[^.\s]+)+$)/i;
+const DUPLICATE_SIMILARITY_THRESHOLD = 0.8; // Dice coefficient of description bigrams for likely duplicates
 
-  for (const year of years) {
-    const yearExpenses = expensesByYear[year] || 0;
-    const yearReimbursements = reimbursementsByYear[year] || 0;
-    const yearReceipts = receiptCounts[year] || 0;
+// Returns the file name without the sync-copy suffix, or null when the file isn't a sync copy
+function getSyncCopyOriginal(fileName) {
+  return SYNC_COPY_REGEX.test(fileName) ? fileName.replace(SYNC_COPY_REGEX, '') : null;
+}
 
-    totalExpenses += yearExpenses;
-    totalReimbursements += yearReimbursements;
-    totalReceipts += yearReceipts;
+function getBigrams(text) {
+  const bigrams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    bigrams.push(text.slice(i, i + 2));
+  }
+  return bigrams;
+}
 
-    result[year] = {
-      expenses: `$${yearExpenses.toFixed(2)}`,
-      reimbursements: `$${yearReimbursements.toFixed(2)}`,
-      receipts: yearReceipts
-    };
+// Descriptions are similar when one contains the other or most of their character pairs match
+function isSimilarDescription(a, b) {
+  const first = a
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  const second = b
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  if (first.includes(second) || second.includes(first)) {
+    return true;
+  }
 
-    // Add category breakdown if available
-    if (expensesByCategory[year]) {
-      const byCategory = {};
-      // Sort by expenses descending
-      const sortedCategories = Object.entries(expensesByCategory[year]).sort((a, b) => b[1].expenses - a[1].expenses);
+  const firstBigrams = getBigrams(first);
+  const remaining = getBigrams(second);
+  let matches = 0;
+  for (const bigram of firstBigrams) {
+    const index = remaining.indexOf(bigram);
+    if (index !== -1) {
+      remaining.splice(index, 1);
+      matches++;
+    }
+  }
+  const total = firstBigrams.length + getBigrams(second).length;
+  return total > 0 && (2 * matches) / total >= DUPLICATE_SIMILARITY_THRESHOLD;
+}
 
-      for (const [category, data] of sortedCategories) {
-        byCategory[category] = {
-          expenses: `$${data.expenses.toFixed(2)}`,
-          reimbursements: `$${data.reimbursements.toFixed(2)}`,
-          receipts: data.count
-        };
+function hashFile(filePath) {
+  return createHash('sha256').update(readFileSync(filePath)).digest('hex');
+}
+
+// Group receipts that look like the same bill saved twice. Each group lists the file to keep first:
+// reimbursed copies win (so excluding the rest keeps the reimbursement), then originals over sync copies
+function findDuplicates(directory, receipts) {
+  const parents = receipts.map((_, index) => index);
+  const reasons = receipts.map(() => new Set());
+  const find = index => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+  const union = (a, b, reason) => {
+    reasons[a].add(reason);
+    reasons[b].add(reason);
+    parents[find(a)] = find(b);
+  };
+
+  // Identical content - only hash files whose size matches another file (empty files are skipped).
+  // Files that can't be read (broken symlinks, no permission, deleted mid-scan) are left out of this check
+  // so they don't stop the analysis - verify and lint report them
+  const bySize = new Map();
+  for (const [index, { relativePath }] of receipts.entries()) {
+    let size;
+    try {
+      ({ size } = fs.statSync(join(directory, relativePath)));
+    } catch {
+      continue;
+    }
+    if (size > 0) {
+      bySize.set(size, [...(bySize.get(size) || []), index]);
+    }
+  }
+  const byHash = new Map();
+  for (const indexes of bySize.values()) {
+    if (indexes.length < 2) continue;
+    for (const index of indexes) {
+      let hash;
+      try {
+        hash = hashFile(join(directory, receipts[index].relativePath));
+      } catch {
+        continue;
+      }
+      if (byHash.has(hash)) {
+        union(index, byHash.get(hash), 'identical content');
+      } else {
+        byHash.set(hash, index);
       }
-      result[year].byCategory = byCategory;
     }
   }
 
-  result['Total'] = {
-    expenses: `$${totalExpenses.toFixed(2)}`,
-    reimbursements: `$${totalReimbursements.toFixed(2)}`,
-    receipts: totalReceipts
-  };
+  // Same date and amount with a similar description (sync copies have the same description)
+  const byDateAndAmount = new Map();
+  for (const [index, { date, amount }] of receipts.entries()) {
+    const key = `${date}|${amount}`;
+    byDateAndAmount.set(key, [...(byDateAndAmount.get(key) || []), index]);
+  }
+  for (const indexes of byDateAndAmount.values()) {
+    for (const [position, index] of indexes.entries()) {
+      for (const other of indexes.slice(position + 1)) {
+        if (isSimilarDescription(receipts[index].description, receipts[other].description)) {
+          const isSyncCopy = receipts[index].isSyncCopy || receipts[other].isSyncCopy;
+          union(index, other, isSyncCopy ? 'sync copy' : 'same date, amount and similar description');
+        }
+      }
+    }
+  }
 
-  return result;
+  const groups = new Map();
+  for (const index of receipts.keys()) {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), index]);
+  }
+
+  const duplicateGroups = [...groups.values()].filter(indexes => indexes.length > 1);
+  return duplicateGroups.map(indexes => {
+    const sorted = indexes.sort(
+      (a, b) =>
+        receipts[b].isReimbursement - receipts[a].isReimbursement ||
+        receipts[a].isSyncCopy - receipts[b].isSyncCopy ||
+        receipts[a].relativePath.localeCompare(receipts[b].relativePath)
+    );
+    return {
+      reasons: [...new Set(sorted.flatMap(index => [...reasons[index]]))],
+      files: sorted.map(index => receipts[index].relativePath)
+    };
+  });
 }
 
-function prepareChartData(years, expensesByYear, reimbursementsByYear) {
-  const expenseData = [];
-  const reimbursementData = [];
+// File types `verify` accepts by default, and the content type each extension should have
+const RECEIPT_EXTENSIONS = ['pdf', 'jpg', 'jpeg', 'png', 'heic', 'heif', 'tif', 'tiff'];
+const EXTENSION_FILE_TYPES = {
+  pdf: 'PDF',
+  jpg: 'JPEG',
+  jpeg: 'JPEG',
+  png: 'PNG',
+  heic: 'HEIC',
+  heif: 'HEIC',
+  tif: 'TIFF',
+  tiff: 'TIFF'
+};
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+const FILE_CHECK_BYTES = 1024; // Bytes read from the start and end of each file by `verify`
 
-  for (const year of years) {
-    const expenseAmount = expensesByYear[year] || 0;
-    const reimbursementAmount = reimbursementsByYear[year] || 0;
+// Detect the file type from the first bytes of a file (magic numbers), or null when it isn't recognized
+function detectFileType(head) {
+  const text = head.toString('latin1');
+  if (text.slice(0, FILE_CHECK_BYTES).includes('%PDF-')) return 'PDF';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'JPEG';
+  if (text.startsWith('\x89PNG\r\n\x1a\n')) return 'PNG';
+  if (text.slice(4, 8) === 'ftyp' && HEIC_BRANDS.includes(text.slice(8, 12))) return 'HEIC';
+  if (text.startsWith('II*\0') || text.startsWith('MM\0*')) return 'TIFF';
+  if (/^\s*<(!doctype html|html|head|body)/i.test(text)) return 'HTML';
+  return null;
+}
 
-    expenseData.push({
-      label: year,
-      value: expenseAmount
-    });
+// Check that a receipt file is a complete document of the type its extension says. Returns an error message,
+// or null when the file looks fine. Only the first and last FILE_CHECK_BYTES are read
+function verifyReceiptFile(filePath, extensions = RECEIPT_EXTENSIONS) {
+  const extension = extname(filePath).slice(1).toLowerCase();
+  if (!extension) {
+    return `File has no extension (expected ${extensions.join(', ')})`;
+  }
+  if (!extensions.includes(extension)) {
+    return `Extension ".${extension}" is not a receipt type (expected ${extensions.join(', ')})`;
+  }
 
-    reimbursementData.push({
-      label: year,
-      value: reimbursementAmount
-    });
+  const { size } = fs.statSync(filePath);
+  if (size === 0) {
+    return 'File is empty';
   }
 
-  return { expenseData, reimbursementData };
-}
+  const head = Buffer.alloc(Math.min(size, FILE_CHECK_BYTES));
+  const tail = Buffer.alloc(Math.min(size, FILE_CHECK_BYTES));
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, head, 0, head.length, 0);
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+  } finally {
+    fs.closeSync(fd);
+  }
 
-// Main CLI execution
-function main() {
-  const argv = yargs(hideBin(process.argv))
-    .scriptName('hsa-expense-analyzer')
-    .version(packageJson.version)
-    .usage('A Node.js CLI tool that analyzes HSA expenses and reimbursements by year from receipt files. 📊\n')
-    .usage('Usage: $0 --dirPath <path>')
-    .option('dirPath', {
-      alias: 'd',
-      type: 'string',
-      demandOption: true,
-      describe: 'The directory path containing receipt files'
-    })
-    .option('no-color', {
-      type: 'boolean',
-      default: false,
-      describe: 'Disable colored output'
-    })
-    .option('summary-only', {
-      type: 'boolean',
-      default: false,
-      describe: 'Show only summary statistics'
-    })
-    .option('by-category', {
-      type: 'boolean',
-      default: false,
-      describe: 'Show expenses grouped by category (e.g., person)'
+  const expectedType = EXTENSION_FILE_TYPES[extension];
+  const actualType = detectFileType(head);
+  if (!expectedType) {
+    return null;
+  }
+  if (actualType !== expectedType) {
+    return actualType
+      ? `File is really ${actualType}, not ${expectedType}`
+      : `File is not a ${expectedType} (unrecognized content)`;
+  }
+
+  // Truncated downloads and interrupted scans are missing the end of the file
+  const tailText = tail.toString('latin1');
+  if (expectedType === 'PDF' && !tailText.includes('%%EOF')) {
+    return 'PDF is truncated (no %%EOF marker)';
+  }
+  if (expectedType === 'JPEG' && !tailText.includes('\xff\xd9')) {
+    return 'JPEG is truncated (no end of image marker)';
+  }
+  if (expectedType === 'PNG' && !tailText.includes('IEND')) {
+    return 'PNG is truncated (no IEND chunk)';
+  }
+  if (expectedType === 'TIFF') {
+    // The header points at the first image directory, which has to be inside the file
+    const isLittleEndian = head.toString('latin1', 0, 2) === 'II';
+    const directoryOffset = head.length < 8 ? 0 : isLittleEndian ? head.readUInt32LE(4) : head.readUInt32BE(4);
+    if (directoryOffset < 8 || directoryOffset >= size) {
+      return 'TIFF is truncated (image directory is past the end of the file)';
+    }
+  }
+  if (expectedType === 'HEIC' && head.readUInt32BE(0) > size) {
+    return 'HEIC is truncated (file type box is past the end of the file)';
+  }
+  return null;
+}
+
+// Non-recursive listings include subfolders (the analysis reports them as invalid file names), which have no
+// content to verify
+function isFolder(fullPath) {
+  try {
+    return fs.statSync(fullPath).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+// Verify every listed file in the directory, returning the problems as { fileName, error } like invalidFiles
+function verifyReceiptFiles(directory, relativePaths, extensions = RECEIPT_EXTENSIONS) {
+  const problems = [];
+  for (const relativePath of relativePaths) {
+    if (isFolder(join(directory, relativePath))) {
+      continue;
+    }
+    let error;
+    try {
+      error = verifyReceiptFile(join(directory, relativePath), extensions);
+    } catch (readError) {
+      error = `Cannot read file: ${readError.message}`;
+    }
+    if (error) {
+      problems.push({ fileName: relativePath, error });
+    }
+  }
+  return problems;
+}
+
+// #tag markers in a description, e.g. "bob dentist #ortho #2024-plan"
+const TAG_REGEX = /(?:^|\s)#([\w-]+)/g;
+
+// Split #tags out of a description. Tags are lower-cased and the description is returned without them
+function extractTags(description) {
+  const tags = [...description.matchAll(TAG_REGEX)].map(([, tag]) => tag.toLowerCase());
+  return {
+    description: description.replace(TAG_REGEX, '').replace(/\s+/g, ' ').trim(),
+    tags: [...new Set(tags)]
+  };
+}
+
+// Receipt fields that category rules can set, and the description word each one defaults to
+const CATEGORY_FIELDS = { category: 0, person: 0, type: 1 };
+
+// Compile the `categories` config: aliases are matched case-insensitively, rules match the description
+// with a regex (`pattern`), whole words (`keywords`) or a #tag (`tag`) and set a category, person and/or type
+function compileCategoryRules({ aliases = {}, rules = [] } = {}) {
+  return {
+    aliases: new Map(Object.entries(aliases).map(([alias, category]) => [alias.toLowerCase(), category])),
+    rules: rules.map(({ pattern, keywords, tag, ...values }) => {
+      let test;
+      if (pattern !== undefined) {
+        const regex = new RegExp(pattern, 'i');
+        test = description => regex.test(description);
+      } else if (keywords !== undefined) {
+        const regex = new RegExp(`(?:^|\\W)(?:${keywords.map(escapeRegExp).join('|')})(?:\\W|$)`, 'i');
+        test = description => regex.test(description);
+      } else {
+        test = (description, tags) => tags.includes(tag.toLowerCase());
+      }
+      return { test, values };
     })
-    .epilogue(
-      `Expected file format:
-  <yyyy-mm-dd> - <description> - $<amount>.<ext>
-  <yyyy-mm-dd> - <description> - $<amount>.reimbursed.<ext>`
+  };
+}
+
+// The first matching rule that sets the field wins, otherwise a word of the description is used
+// (the first for category and person, the second for type). Aliases apply to both
+function resolveCategory(description, tags = [], categoryRules = compileCategoryRules(), field = 'category') {
+  const rule = categoryRules.rules.find(({ test, values }) => values[field] !== undefined && test(description, tags));
+  const word = description.trim().split(' ')[CATEGORY_FIELDS[field]];
+  const value = rule ? rule.values[field] : (word || (field === 'type' ? 'other' : 'uncategorized')).toLowerCase();
+  return categoryRules.aliases.get(value.toLowerCase()) ?? value;
+}
+
+// Parse one receipt file into an invalid, informational ($0.00) or receipt entry
+function parseReceiptFile(relativePath, options = {}) {
+  const fileName = basename(relativePath);
+  // Sync copies are parsed as their original so they can be matched against it
+  const syncCopyOriginal = getSyncCopyOriginal(fileName);
+  const parsed = parseFileName(syncCopyOriginal ?? fileName, options.patterns, options.exchangeRates);
+  const { date, year, amount, isReimbursement, reimbursedAmount, reimbursementDate, isValid, code, error } = parsed;
+
+  if (!isValid) {
+    return { relativePath, invalid: { fileName: relativePath, code, error } };
+  }
+  const { description, tags } = extractTags(parsed.description);
+  if (parsed.isContribution) {
+    const source = /\bemployer\b/i.test(description) ? 'employer' : 'self';
+    return { relativePath, contribution: { fileName: relativePath, date, year, source, amount } };
+  }
+  if (amount === 0) {
+    return { relativePath, informational: { fileName: relativePath, date, description } };
+  }
+
+  const category = resolveCategory(description, tags, options.categoryRules);
+  const person = resolveCategory(description, tags, options.categoryRules, 'person');
+  const type = resolveCategory(description, tags, options.categoryRules, 'type');
+  // Keep the relative path so subfolder names (e.g. receipts/2024/bob/) can be used for grouping
+  const folder = dirname(relativePath);
+  return {
+    relativePath,
+    isSyncCopy: syncCopyOriginal !== null,
+    receipt: {
+      fileName,
+      relativePath,
+      folder: folder === '.' ? '' : folder,
+      date,
+      year,
+      description,
+      category,
+      person,
+      type,
+      tags,
+      amount,
+      // The amount as written in the file name (the same as amount for USD receipts)
+      currency: parsed.currency ?? 'USD',
+      originalAmount: parsed.originalAmount ?? amount,
+      exchangeRate: parsed.exchangeRate ?? 1,
+      isReimbursement,
+      reimbursedAmount,
+      reimbursementDate
+    }
+  };
+}
+
+// Add (sign = 1) or remove (sign = -1) a receipt from the totals, dropping years and categories that become empty
+function applyReceiptToTotals(totals, receipt, sign) {
+  const { expensesByYear, reimbursementsByYear, receiptCounts, expensesByCategory } = totals;
+  const { year, category, isReimbursement, reimbursementDate } = receipt;
+  const amount = toCents(receipt.amount);
+  const reimbursedAmount = toCents(receipt.reimbursedAmount);
+  const add = (object, key, cents) => {
+    object[key] = (object[key] || 0) + sign * cents;
+  };
+
+  // Initialize year data if not exists
+  if (expensesByYear[year] === undefined) {
+    expensesByYear[year] = 0;
+    reimbursementsByYear[year] = 0;
+    receiptCounts[year] = 0;
+    expensesByCategory[year] = {};
+  }
+
+  // Initialize category data if not exists for this year
+  if (!expensesByCategory[year][category]) {
+    expensesByCategory[year][category] = { expenses: 0, reimbursements: 0, count: 0 };
+  }
+
+  // Always count as an expense regardless of reimbursement status (refunds have negative amounts)
+  add(expensesByYear, year, amount);
+  if (amount < 0) {
+    add(totals.refundsByYear, year, -amount);
+  }
+  add(expensesByCategory[year][category], 'expenses', amount);
+  expensesByCategory[year][category].count += sign;
+
+  // Additionally track as reimbursement if applicable (partial reimbursements only count the reimbursed amount)
+  if (isReimbursement) {
+    add(reimbursementsByYear, year, reimbursedAmount);
+    add(expensesByCategory[year][category], 'reimbursements', reimbursedAmount);
+    add(
+      totals.reimbursementsByWithdrawalYear,
+      reimbursementDate ? reimbursementDate.split('-')[0] : 'undated',
+      reimbursedAmount
+    );
+  }
+
+  receiptCounts[year] += sign;
+
+  if (sign < 0) {
+    if (expensesByCategory[year][category].count === 0) {
+      delete expensesByCategory[year][category];
+    }
+    if (receiptCounts[year] === 0) {
+      delete expensesByYear[year];
+      delete reimbursementsByYear[year];
+      delete receiptCounts[year];
+      delete expensesByCategory[year];
+    }
+    for (const object of [totals.refundsByYear, totals.reimbursementsByWithdrawalYear]) {
+      for (const [key, value] of Object.entries(object)) {
+        if (value === 0) delete object[key];
+      }
+    }
+  }
+}
+
+// State kept between updateTotals calls: the parsed entry of every file and which receipts are counted
+function createTotalsState() {
+  return {
+    entries: new Map(),
+    counted: new Map(),
+    exchangeRatesKey: null, // The exchange rates the entries were parsed with
+    // In cents (see totalsToDollars), so adding and removing receipts in --watch mode never drifts
+    totals: {
+      expensesByYear: {},
+      reimbursementsByYear: {},
+      receiptCounts: {},
+      expensesByCategory: {}, // { year: { category: { expenses: number, reimbursements: number, count: number } } }
+      reimbursementsByWithdrawalYear: {}, // { year | 'undated': number } - when the money was taken out of the HSA
+      refundsByYear: {} // { year: number } - refunds and credits, already subtracted from expensesByYear
+    }
+  };
+}
+
+// The totals of a totals state (see createTotalsState) in dollars
+function totalsToDollars(totals) {
+  const inDollars = object => Object.fromEntries(Object.entries(object).map(([key, cents]) => [key, toDollars(cents)]));
+  const expensesByCategory = {};
+  for (const [year, categories] of Object.entries(totals.expensesByCategory)) {
+    expensesByCategory[year] = {};
+    for (const [category, { expenses, reimbursements, count }] of Object.entries(categories)) {
+      expensesByCategory[year][category] = {
+        expenses: toDollars(expenses),
+        reimbursements: toDollars(reimbursements),
+        count
+      };
+    }
+  }
+
+  return {
+    expensesByYear: inDollars(totals.expensesByYear),
+    reimbursementsByYear: inDollars(totals.reimbursementsByYear),
+    receiptCounts: { ...totals.receiptCounts },
+    expensesByCategory,
+    reimbursementsByWithdrawalYear: inDollars(totals.reimbursementsByWithdrawalYear),
+    refundsByYear: inDollars(totals.refundsByYear)
+  };
+}
+
+// IRS HSA contribution limits for self-only and family coverage, plus the extra catch-up amount from the year
+// you turn 55. Years that aren't listed yet can be added (or corrected) with the contribution-limits config key
+const HSA_CONTRIBUTION_LIMITS = {
+  2004: { selfOnly: 2600, family: 5150, catchUp: 500 },
+  2005: { selfOnly: 2650, family: 5250, catchUp: 600 },
+  2006: { selfOnly: 2700, family: 5450, catchUp: 700 },
+  2007: { selfOnly: 2850, family: 5650, catchUp: 800 },
+  2008: { selfOnly: 2900, family: 5800, catchUp: 900 },
+  2009: { selfOnly: 3000, family: 5950, catchUp: 1000 },
+  2010: { selfOnly: 3050, family: 6150, catchUp: 1000 },
+  2011: { selfOnly: 3050, family: 6150, catchUp: 1000 },
+  2012: { selfOnly: 3100, family: 6250, catchUp: 1000 },
+  2013: { selfOnly: 3250, family: 6450, catchUp: 1000 },
+  2014: { selfOnly: 3300, family: 6550, catchUp: 1000 },
+  2015: { selfOnly: 3350, family: 6650, catchUp: 1000 },
+  2016: { selfOnly: 3350, family: 6750, catchUp: 1000 },
+  2017: { selfOnly: 3400, family: 6750, catchUp: 1000 },
+  2018: { selfOnly: 3450, family: 6900, catchUp: 1000 },
+  2019: { selfOnly: 3500, family: 7000, catchUp: 1000 },
+  2020: { selfOnly: 3550, family: 7100, catchUp: 1000 },
+  2021: { selfOnly: 3600, family: 7200, catchUp: 1000 },
+  2022: { selfOnly: 3650, family: 7300, catchUp: 1000 },
+  2023: { selfOnly: 3850, family: 7750, catchUp: 1000 },
+  2024: { selfOnly: 4150, family: 8300, catchUp: 1000 },
+  2025: { selfOnly: 4300, family: 8550, catchUp: 1000 },
+  2026: { selfOnly: 4400, family: 8750, catchUp: 1000 }
+};
+const COVERAGE_TYPES = ['self-only', 'family'];
+
+// Split one CSV line into values, handling quoted values with commas and "" escapes
+function parseCsvLine(line) {
+  const values = [];
+  let value = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes && char === '"' && line[i + 1] === '"') {
+      value += '"';
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (char === ',' && !inQuotes) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+  values.push(value.trim());
+  return values;
+}
+
+// Read a CSV ledger in dirPath as { line, row } objects keyed by lowercase column name. Returns a header error
+// when a required column is missing, and no rows when the file doesn't exist
+function readLedgerFile(directory, fileName, requiredColumns) {
+  const filePath = join(directory, fileName);
+  if (!fs.existsSync(filePath)) {
+    return { rows: [], errors: [] };
+  }
+
+  const [header, ...lines] = readFileSync(filePath, 'utf-8')
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/);
+  const columns = parseCsvLine(header).map(column => column.toLowerCase());
+  const missing = requiredColumns.filter(column => !columns.includes(column.toLowerCase()));
+  if (missing.length > 0) {
+    const expected = `${requiredColumns.slice(0, -1).join(', ')} and ${requiredColumns[requiredColumns.length - 1]}`;
+    const error = `Header should have ${expected} columns (missing ${missing.join(', ')})`;
+    return { rows: [], errors: [{ line: 1, error }] };
+  }
+
+  const rows = lines
+    .map((line, index) => ({
+      line: index + 2,
+      row: Object.fromEntries(parseCsvLine(line).map((value, column) => [columns[column], value]))
+    }))
+    .filter((_, index) => lines[index].trim() !== '');
+  return { rows, errors: [] };
+}
+
+// Parse a ledger amount such as 1500, 1500.00, $1,500.00 (or an empty value as 0), or return null
+function parseLedgerAmount(value) {
+  const amount = (value || '0').replace(/[$,]/g, '');
+  return /^-?\d+(\.\d{1,2})?$/.test(amount) ? Number(amount) : null;
+}
+
+// Read contributions.csv (Year, Self, Employer and optional Coverage columns, one or more rows per year).
+// Bad rows are returned as errors instead of stopping the analysis, like invalid receipt file names
+function readContributionsFile(directory) {
+  const { rows, errors } = readLedgerFile(directory, CONTRIBUTIONS_FILE_NAME, ['Year', 'Self', 'Employer']);
+  const contributions = [];
+  for (const { line, row } of rows) {
+    const coverage = row.coverage ? row.coverage.toLowerCase() : undefined;
+    const amounts = ['self', 'employer'].map(source => [source, parseLedgerAmount(row[source])]);
+
+    if (!/^\d{4}$/.test(row.year)) {
+      errors.push({ line, error: `Year "${row.year ?? ''}" should be yyyy format` });
+    } else if (coverage !== undefined && !COVERAGE_TYPES.includes(coverage)) {
+      errors.push({ line, error: `Coverage "${row.coverage}" should be self-only or family` });
+    } else if (amounts.some(([, amount]) => amount === null)) {
+      errors.push({ line, error: `Self and Employer should be amounts like 1500.00` });
+    } else {
+      for (const [source, amount] of amounts) {
+        contributions.push({ fileName: CONTRIBUTIONS_FILE_NAME, year: row.year, source, amount, coverage });
+      }
+    }
+  }
+  return { contributions, errors };
+}
+
+// Read distributions.csv (Date, Amount and optional Description columns), e.g. copied from the HSA provider's
+// transaction history. Rows on the same date are combined into one distribution
+function readDistributionsFile(directory) {
+  const { rows, errors } = readLedgerFile(directory, DISTRIBUTIONS_FILE_NAME, ['Date', 'Amount']);
+  const distributions = [];
+  for (const { line, row } of rows) {
+    const amount = parseLedgerAmount(row.amount);
+    const [yearNum, monthNum, dayNum] = (row.date || '').split('-').map(Number);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(row.date) || !isValidDate(yearNum, monthNum, dayNum)) {
+      errors.push({ line, error: `Date "${row.date ?? ''}" should be yyyy-mm-dd format` });
+    } else if (amount === null || amount <= 0) {
+      errors.push({ line, error: `Amount "${row.amount ?? ''}" should be a positive amount like 150.00` });
+    } else {
+      const existing = distributions.find(distribution => distribution.date === row.date);
+      if (existing) {
+        existing.amount = sumAmounts([existing.amount, amount]);
+        existing.description = [existing.description, row.description].filter(Boolean).join('; ');
+      } else {
+        distributions.push({ date: row.date, amount, description: row.description || '' });
+      }
+    }
+  }
+  return { distributions, errors };
+}
+
+// Read exchange-rates.csv (Currency, Date and Rate columns), e.g. EUR,2024,1.08 or EUR,2024-03-15,1.09.
+// Rate is USD per unit of the currency, and Date can be a year, month or day. Returns { EUR: { 2024: 1.08 } }
+function readExchangeRatesFile(directory) {
+  const { rows, errors } = readLedgerFile(directory, EXCHANGE_RATES_FILE_NAME, ['Currency', 'Date', 'Rate']);
+  const exchangeRates = {};
+  for (const { line, row } of rows) {
+    const currency = CURRENCY_SYMBOLS[row.currency] ?? (row.currency || '').toUpperCase();
+    const rate = Number(row.rate);
+
+    if (!/^[A-Z]{3}$/.test(currency) || currency === 'USD') {
+      errors.push({ line, error: `Currency "${row.currency ?? ''}" should be a code like EUR` });
+    } else if (!DATE_FILTER_REGEX.test(row.date || '')) {
+      errors.push({ line, error: `Date "${row.date ?? ''}" should be yyyy, yyyy-mm or yyyy-mm-dd format` });
+    } else if (!/^\d+(\.\d+)?$/.test(row.rate || '') || rate <= 0) {
+      errors.push({ line, error: `Rate "${row.rate ?? ''}" should be a positive number of dollars like 1.08` });
+    } else if (exchangeRates[currency]?.[row.date] !== undefined) {
+      errors.push({ line, error: `Duplicate ${currency} rate for ${row.date}` });
+    } else {
+      exchangeRates[currency] = { ...exchangeRates[currency], [row.date]: rate };
+    }
+  }
+  return { exchangeRates, errors };
+}
+
+// The most specific rate for a date (the day, then the month, then the year), or undefined
+function getExchangeRate(exchangeRates, currency, date) {
+  const rates = exchangeRates[currency] || {};
+  return rates[date] ?? rates[date.slice(0, 7)] ?? rates[date.slice(0, 4)];
+}
+
+// Sum contributions per year and compare them with that year's IRS limit:
+// { year: { self, employer, total, coverage, limit, remaining, excess } } (limit etc. are null for unknown years)
+function buildContributionLedger(contributions, settings = {}) {
+  const { coverage = 'self-only', catchUpFrom, limits = {} } = settings;
+  const ledger = {};
+  for (const contribution of contributions) {
+    if (!ledger[contribution.year]) {
+      ledger[contribution.year] = { self: 0, employer: 0, total: 0, coverage };
+    }
+    const entry = ledger[contribution.year];
+    entry[contribution.source] = sumAmounts([entry[contribution.source], contribution.amount]);
+    entry.total = sumAmounts([entry.total, contribution.amount]);
+    if (contribution.coverage) {
+      entry.coverage = contribution.coverage;
+    }
+  }
+
+  for (const [year, entry] of Object.entries(ledger)) {
+    const yearLimits = { ...HSA_CONTRIBUTION_LIMITS[year], ...limits[year] };
+    const baseLimit = yearLimits[entry.coverage === 'family' ? 'family' : 'selfOnly'];
+    const catchUp = catchUpFrom !== undefined && Number(year) >= catchUpFrom ? (yearLimits.catchUp ?? 0) : 0;
+    entry.limit = baseLimit === undefined ? null : baseLimit + catchUp;
+    entry.remaining = entry.limit === null ? null : Math.max(0, toDollars(toCents(entry.limit) - toCents(entry.total)));
+    entry.excess = entry.limit === null ? null : Math.max(0, toDollars(toCents(entry.total) - toCents(entry.limit)));
+  }
+  return ledger;
+}
+
+const DATE_FILTER_REGEX = /^\d{4}(?:-\d{2}(?:-\d{2})?)?$/;
+
+// Compile the analysis filters (--from, --to, --year, --category, ...) into a receipt test and the labels shown
+// in the summary. Dates may be a year, month or day prefix: --to 2024-03 includes all of March
+// testYear keeps the years of the yearly contributions ledger that the --from, --to and --year filters overlap
+function compileReceiptFilters(filters = {}) {
+  const { from, to, years = [], categories = [], persons = [], match, minAmount, maxAmount, status } = filters;
+  const tests = [];
+  const yearTests = [];
+  const labels = [];
+
+  for (const [name, value] of [
+    ['from', from],
+    ['to', to]
+  ]) {
+    if (value !== undefined && !DATE_FILTER_REGEX.test(value)) {
+      throw new Error(`--${name} must be a date like 2024, 2024-03 or 2024-03-15, got "${value}"`);
+    }
+  }
+  if (from !== undefined) {
+    tests.push(receipt => receipt.date >= from);
+    yearTests.push(year => year >= from.slice(0, 4));
+    labels.push(`from ${from}`);
+  }
+  if (to !== undefined) {
+    tests.push(receipt => receipt.date.slice(0, to.length) <= to);
+    yearTests.push(year => year <= to.slice(0, 4));
+    labels.push(`to ${to}`);
+  }
+  if (years.length > 0) {
+    const yearSet = new Set(years.map(String));
+    tests.push(receipt => yearSet.has(receipt.year));
+    yearTests.push(year => yearSet.has(year));
+    labels.push(`year ${years.join(', ')}`);
+  }
+  for (const [field, values] of [
+    ['category', categories],
+    ['person', persons]
+  ]) {
+    if (values.length > 0) {
+      const valueSet = new Set(values.map(value => value.toLowerCase()));
+      tests.push(receipt => valueSet.has(receipt[field].toLowerCase()));
+      labels.push(`${field} ${values.join(', ')}`);
+    }
+  }
+  if (match !== undefined) {
+    let regex;
+    try {
+      regex = new RegExp(match, 'i');
+    } catch (error) {
+      throw new Error(`--match is not a valid regular expression: ${error.message}`);
+    }
+    tests.push(receipt => regex.test(receipt.description));
+    labels.push(`description /${match}/`);
+  }
+  for (const [name, value] of [
+    ['min-amount', minAmount],
+    ['max-amount', maxAmount]
+  ]) {
+    if (value !== undefined && !Number.isFinite(value)) {
+      throw new Error(`--${name} must be a number`);
+    }
+  }
+  if (minAmount !== undefined) {
+    tests.push(receipt => toCents(receipt.amount) >= toCents(minAmount));
+    labels.push(`amount >= ${formatAmount(minAmount)}`);
+  }
+  if (maxAmount !== undefined) {
+    tests.push(receipt => toCents(receipt.amount) <= toCents(maxAmount));
+    labels.push(`amount <= ${formatAmount(maxAmount)}`);
+  }
+  if (status !== undefined) {
+    tests.push(receipt => receipt.isReimbursement === (status === 'reimbursed'));
+    labels.push(status);
+  }
+
+  return {
+    test: receipt => tests.every(test => test(receipt)),
+    testYear: year => yearTests.every(test => test(String(year))),
+    labels
+  };
+}
+
+// Re-list the directory and only parse files that are new or in changedPaths, then add/remove the receipts
+// whose counted state changed. Returns the same totals as getTotalsByYear plus the added and removed files
+function updateTotals(directory, state, options = {}, changedPaths = []) {
+  let relativePaths;
+  try {
+    relativePaths = listReceiptFiles(directory, options);
+  } catch (error) {
+    // Throw error for testability - caller (main function) will handle console output and exit
+    throw new Error(`Cannot access directory: ${error.message}`);
+  }
+
+  // Foreign currency receipts are parsed with the exchange rates, so every file is parsed again when they change
+  const exchangeRatesFile = readExchangeRatesFile(directory);
+  const exchangeRatesKey = JSON.stringify(exchangeRatesFile.exchangeRates);
+  const parseOptions = { ...options, exchangeRates: exchangeRatesFile.exchangeRates };
+
+  const current = new Set(relativePaths);
+  const removed = [...state.entries.keys()].filter(relativePath => !current.has(relativePath));
+  const added = relativePaths.filter(relativePath => !state.entries.has(relativePath));
+  const reparsed =
+    state.exchangeRatesKey === exchangeRatesKey ? changedPaths.filter(path => current.has(path)) : relativePaths;
+  state.exchangeRatesKey = exchangeRatesKey;
+  for (const relativePath of removed) {
+    state.entries.delete(relativePath);
+  }
+  for (const relativePath of new Set([...added, ...reparsed])) {
+    state.entries.set(relativePath, parseReceiptFile(relativePath, parseOptions));
+  }
+
+  const entries = relativePaths.map(relativePath => state.entries.get(relativePath));
+  // The ledger is small, so it is re-read on every update (e.g. when it changes in --watch mode)
+  const contributionsFile = readContributionsFile(directory);
+  const allContributions = [
+    ...contributionsFile.contributions,
+    ...entries.filter(entry => entry.contribution).map(entry => entry.contribution)
+  ];
+  const parsedReceipts = entries
+    .filter(entry => entry.receipt)
+    .map(({ receipt, isSyncCopy }) => ({ ...receipt, isSyncCopy }));
+
+  const duplicates = findDuplicates(directory, parsedReceipts);
+  // Keep the first file of each group (see findDuplicates) when duplicates are excluded from the totals
+  const excludedFiles = new Set(options.excludeDuplicates ? duplicates.flatMap(({ files }) => files.slice(1)) : []);
+
+  // Filters apply after duplicate detection, so a filtered-out original still marks its copies as duplicates
+  const filters = options.filters ?? compileReceiptFilters();
+  // Contributions are counted per year against that year's limit, so they are only filtered by year
+  const contributions = allContributions.filter(contribution => filters.testYear(contribution.year));
+  const filteredFiles = new Set(
+    entries.filter(({ receipt }) => receipt && !filters.test(receipt)).map(({ relativePath }) => relativePath)
+  );
+
+  // Remove receipts that are gone, excluded or were re-parsed, then add the ones that aren't counted yet
+  const { counted, totals } = state;
+  const isExcluded = relativePath => excludedFiles.has(relativePath) || filteredFiles.has(relativePath);
+  for (const [relativePath, receipt] of counted) {
+    if (state.entries.get(relativePath)?.receipt !== receipt || isExcluded(relativePath)) {
+      applyReceiptToTotals(totals, receipt, -1);
+      counted.delete(relativePath);
+    }
+  }
+  for (const { relativePath, receipt } of entries) {
+    if (receipt && !counted.has(relativePath) && !isExcluded(relativePath)) {
+      applyReceiptToTotals(totals, receipt, 1);
+      counted.set(relativePath, receipt);
+    }
+  }
+
+  return {
+    added,
+    removed,
+    totals: {
+      ...totalsToDollars(totals),
+      invalidFiles: entries.filter(entry => entry.invalid).map(entry => entry.invalid),
+      receipts: entries.filter(entry => counted.has(entry.relativePath)).map(entry => entry.receipt),
+      // $0.00 documents (e.g. EOBs) that don't change any totals
+      informationalFiles: entries.filter(entry => entry.informational).map(entry => entry.informational),
+      duplicates,
+      excludedDuplicates: excludedFiles.size,
+      filters: filters.labels,
+      filteredReceipts: filteredFiles.size,
+      contributions: buildContributionLedger(contributions, options.contributionSettings),
+      contributionErrors: contributionsFile.errors,
+      exchangeRates: exchangeRatesFile.exchangeRates,
+      exchangeRateErrors: exchangeRatesFile.errors
+    }
+  };
+}
+
+function getTotalsByYear(directory, options = {}) {
+  return updateTotals(directory, createTotalsState(), options).totals;
+}
+
+function calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles) {
+  const totalValidFiles = Object.values(receiptCounts).reduce((sum, count) => sum + count, 0);
+  const totalInvalidFiles = invalidFiles.length;
+  const totalFiles = totalValidFiles + totalInvalidFiles;
+
+  // Totals and the average are worked out in cents, and percentages are numbers with one decimal
+  const expenses = sumCents(years.map(year => expensesByYear[year] || 0));
+  const reimbursements = sumCents(years.map(year => reimbursementsByYear[year] || 0));
+  const reimburseable = expenses - reimbursements;
+
+  const invalidFilePercentage = toPercentage(totalInvalidFiles, totalFiles);
+  const avgExpensePerYear = years.length > 0 ? toDollars(roundCents(expenses / years.length)) : 0;
+  const avgReceiptsPerYear = years.length > 0 ? Math.round(totalValidFiles / years.length) : 0;
+  const reimbursementRate = toPercentage(reimbursements, expenses);
+  const reimburseableRate = toPercentage(reimburseable, expenses);
+
+  // Find the most expensive year
+  let mostExpensiveYear = null;
+  let mostExpensiveYearAmount = 0;
+  let mostExpensiveYearReceipts = 0;
+
+  if (years.length > 0) {
+    mostExpensiveYear = years.reduce((maxYear, year) =>
+      (expensesByYear[year] || 0) > (expensesByYear[maxYear] || 0) ? year : maxYear
+    );
+    mostExpensiveYearReceipts = receiptCounts[mostExpensiveYear] || 0;
+    mostExpensiveYearAmount = expensesByYear[mostExpensiveYear] || 0;
+  }
+
+  const expensePercentage = toPercentage(toCents(mostExpensiveYearAmount), expenses);
+  const receiptPercentage = toPercentage(mostExpensiveYearReceipts, totalValidFiles);
+
+  return {
+    totalFiles,
+    totalValidFiles,
+    totalInvalidFiles,
+    invalidFilePercentage,
+    totalExpenses: toDollars(expenses),
+    totalReimbursements: toDollars(reimbursements),
+    totalReimburseable: toDollars(reimburseable),
+    reimbursementRate,
+    reimburseableRate,
+    avgExpensePerYear,
+    avgReceiptsPerYear,
+    mostExpensiveYear,
+    mostExpensiveYearAmount,
+    mostExpensiveYearReceipts,
+    expensePercentage,
+    receiptPercentage
+  };
+}
+
+function buildYearlyResultObject(
+  years,
+  expensesByYear,
+  reimbursementsByYear,
+  receiptCounts,
+  expensesByCategory = {},
+  refundsByYear = {},
+  groupTotals = null
+) {
+  const result = {};
+  // The Total row is added up in cents
+  let totalExpenses = 0;
+  let totalReimbursements = 0;
+  let totalReceipts = 0;
+  let totalRefunds = 0;
+
+  for (const year of years) {
+    const yearExpenses = expensesByYear[year] || 0;
+    const yearReimbursements = reimbursementsByYear[year] || 0;
+    const yearReceipts = receiptCounts[year] || 0;
+
+    totalExpenses += toCents(yearExpenses);
+    totalReimbursements += toCents(yearReimbursements);
+    totalReceipts += yearReceipts;
+
+    result[year] = {
+      expenses: formatAmount(yearExpenses),
+      reimbursements: formatAmount(yearReimbursements),
+      receipts: yearReceipts
+    };
+
+    // Refunds are already subtracted from expenses - only shown for years that have them
+    if (refundsByYear[year]) {
+      totalRefunds += toCents(refundsByYear[year]);
+      result[year].refunds = formatAmount(refundsByYear[year]);
+    }
+
+    // Add category breakdown if available
+    if (expensesByCategory[year]) {
+      const byCategory = {};
+      // Sort by expenses descending
+      const sortedCategories = Object.entries(expensesByCategory[year]).sort((a, b) => b[1].expenses - a[1].expenses);
+
+      for (const [category, data] of sortedCategories) {
+        byCategory[category] = {
+          expenses: formatAmount(data.expenses),
+          reimbursements: formatAmount(data.reimbursements),
+          receipts: data.count
+        };
+      }
+      result[year].byCategory = byCategory;
+    }
+
+    // Nested --group-by breakdown, e.g. byPerson → byType
+    if (groupTotals) {
+      const { fields, byYear } = groupTotals;
+      result[year][getGroupKey(fields[0])] = formatGroupTotals(byYear[year] || {}, fields, formatAmount);
+    }
+  }
+
+  result['Total'] = {
+    expenses: formatAmount(toDollars(totalExpenses)),
+    reimbursements: formatAmount(toDollars(totalReimbursements)),
+    receipts: totalReceipts
+  };
+  if (totalRefunds > 0) {
+    result['Total'].refunds = formatAmount(toDollars(totalRefunds));
+  }
+
+  return result;
+}
+
+// Reimbursements grouped by the year the money was withdrawn (from .reimbursed-yyyy-mm-dd. markers)
+// Returns null when no receipt has a reimbursement date, since everything would be "Undated"
+function buildWithdrawalYearResultObject(reimbursementsByWithdrawalYear) {
+  const withdrawalYears = Object.keys(reimbursementsByWithdrawalYear)
+    .filter(year => year !== 'undated')
+    .sort();
+  if (withdrawalYears.length === 0) {
+    return null;
+  }
+
+  const result = {};
+  for (const year of withdrawalYears) {
+    result[year] = formatAmount(reimbursementsByWithdrawalYear[year]);
+  }
+  if (reimbursementsByWithdrawalYear['undated'] !== undefined) {
+    result['Undated'] = formatAmount(reimbursementsByWithdrawalYear['undated']);
+  }
+  return result;
+}
+
+// Contributions per year with the room left under (or the excess over) that year's limit
+function buildContributionResultObject(contributions) {
+  const years = Object.keys(contributions).sort();
+  if (years.length === 0) {
+    return null;
+  }
+
+  const result = {};
+  for (const year of years) {
+    const { self, employer, total, coverage, limit, remaining, excess } = contributions[year];
+    result[year] = {
+      self: formatAmount(self),
+      employer: formatAmount(employer),
+      total: formatAmount(total),
+      limit: limit === null ? 'unknown' : `${formatAmount(limit)} (${coverage})`
+    };
+    if (excess > 0) {
+      result[year].excess = formatAmount(excess);
+    } else if (remaining !== null) {
+      result[year].remaining = formatAmount(remaining);
+    }
+  }
+  return result;
+}
+
+// Receipt fields that --group-by can nest the yearly totals by
+const GROUP_BY_FIELDS = ['category', 'person', 'type', 'folder'];
+
+// Key of a grouping level in the yearly result, e.g. person → byPerson
+function getGroupKey(field) {
+  return `by${field[0].toUpperCase()}${field.slice(1)}`;
+}
+
+// Nested totals per year for --group-by, e.g. person → type:
+// { year: { bob: { expenses, reimbursements, count, groups: { dentist: { expenses, reimbursements, count } } } } }
+// Every level has the subtotals of the receipts below it
+function buildGroupTotals(receipts, fields) {
+  const byYear = {};
+  for (const receipt of receipts) {
+    if (!byYear[receipt.year]) {
+      byYear[receipt.year] = {};
+    }
+
+    let level = byYear[receipt.year];
+    for (const [depth, field] of fields.entries()) {
+      // Receipts in the top-level folder have an empty folder name
+      const value = receipt[field] || '(top level)';
+      if (!level[value]) {
+        level[value] = { expenses: 0, reimbursements: 0, count: 0 };
+      }
+
+      const group = level[value];
+      group.expenses = sumAmounts([group.expenses, receipt.amount]);
+      if (receipt.isReimbursement) {
+        group.reimbursements = sumAmounts([group.reimbursements, receipt.reimbursedAmount]);
+      }
+      group.count++;
+
+      if (depth < fields.length - 1) {
+        group.groups = group.groups || {};
+        level = group.groups;
+      }
+    }
+  }
+  return byYear;
+}
+
+// Convert one year of group totals to the result shape (largest expenses first), formatting amounts with formatValue
+function formatGroupTotals(groups, fields, formatValue) {
+  const result = {};
+  const sortedGroups = Object.entries(groups).sort((a, b) => b[1].expenses - a[1].expenses);
+  for (const [value, data] of sortedGroups) {
+    result[value] = {
+      expenses: formatValue(data.expenses),
+      reimbursements: formatValue(data.reimbursements),
+      receipts: data.count
+    };
+    if (data.groups) {
+      result[value][getGroupKey(fields[1])] = formatGroupTotals(data.groups, fields.slice(1), formatValue);
+    }
+  }
+  return result;
+}
+
+// Period a receipt date (yyyy-mm-dd) falls in for --period: 2024-03 (month), 2024-Q1 (quarter) or 2024 (year)
+function getPeriodKey(date, period) {
+  const [year, month] = date.split('-');
+  if (period === 'month') return `${year}-${month}`;
+  if (period === 'quarter') return `${year}-Q${Math.ceil(Number(month) / 3)}`;
+  return year;
+}
+
+// Every period from first to last (inclusive), so months or quarters without receipts still show up
+function listPeriods(first, last, period) {
+  const periodsPerYear = { month: 12, quarter: 4, year: 1 }[period];
+  const toIndex = key => {
+    const [year, part = '1'] = key.split('-');
+    return Number(year) * periodsPerYear + Number(part.replace('Q', '')) - 1;
+  };
+  const periods = [];
+  for (let index = toIndex(first); index <= toIndex(last); index++) {
+    const year = Math.floor(index / periodsPerYear);
+    const part = (index % periodsPerYear) + 1;
+    if (period === 'month') periods.push(`${year}-${String(part).padStart(2, '0')}`);
+    else if (period === 'quarter') periods.push(`${year}-Q${part}`);
+    else periods.push(String(year));
+  }
+  return periods;
+}
+
+// Totals keyed by period instead of year (same shape as getTotalsByYear), plus the list of periods to show
+function buildPeriodTotals(receipts, period) {
+  const { totals } = createTotalsState();
+  const periodReceipts = receipts.map(receipt => ({ ...receipt, year: getPeriodKey(receipt.date, period) }));
+  for (const receipt of periodReceipts) {
+    applyReceiptToTotals(totals, receipt, 1);
+  }
+
+  const keys = Object.keys(totals.receiptCounts).sort();
+  const periods = keys.length > 0 ? listPeriods(keys[0], keys[keys.length - 1], period) : [];
+  return { ...totalsToDollars(totals), receipts: periodReceipts, periods };
+}
+
+function prepareChartData(years, expensesByYear, reimbursementsByYear) {
+  const expenseData = [];
+  const reimbursementData = [];
+
+  for (const year of years) {
+    const expenseAmount = expensesByYear[year] || 0;
+    const reimbursementAmount = reimbursementsByYear[year] || 0;
+
+    expenseData.push({
+      label: year,
+      value: expenseAmount
+    });
+
+    reimbursementData.push({
+      label: year,
+      value: reimbursementAmount
+    });
+  }
+
+  return { expenseData, reimbursementData };
+}
+
+// Build the --format json document - amounts are numbers (not "$45.00" strings) so scripts can consume them
+function buildJsonReport(directory, totals, stats, groupBy = [], period = 'year') {
+  const {
+    expensesByYear,
+    reimbursementsByYear,
+    receiptCounts,
+    invalidFiles,
+    expensesByCategory,
+    reimbursementsByWithdrawalYear,
+    refundsByYear = {},
+    receipts,
+    informationalFiles = [],
+    duplicates = [],
+    filters = [],
+    filteredReceipts = 0,
+    contributions = {}
+  } = totals;
+  const years = [...new Set([...Object.keys(expensesByYear), ...Object.keys(reimbursementsByYear)])].sort();
+  const groupTotals = groupBy.length > 0 ? buildGroupTotals(receipts, groupBy) : {};
+
+  const byYear = {};
+  for (const year of years) {
+    const expenses = expensesByYear[year] || 0;
+    const reimbursements = reimbursementsByYear[year] || 0;
+    const byCategory = {};
+    const sortedCategories = Object.entries(expensesByCategory[year] || {}).sort(
+      (a, b) => b[1].expenses - a[1].expenses
+    );
+
+    for (const [category, data] of sortedCategories) {
+      byCategory[category] = {
+        expenses: data.expenses,
+        reimbursements: data.reimbursements,
+        receipts: data.count
+      };
+    }
+
+    byYear[year] = {
+      expenses,
+      reimbursements,
+      reimburseable: toDollars(toCents(expenses) - toCents(reimbursements)),
+      refunds: refundsByYear[year] || 0,
+      receipts: receiptCounts[year] || 0,
+      byCategory
+    };
+    if (groupBy.length > 0) {
+      byYear[year][getGroupKey(groupBy[0])] = formatGroupTotals(groupTotals[year] || {}, groupBy, amount => amount);
+    }
+  }
+
+  // Monthly or quarterly totals for --period, including periods without receipts
+  const byPeriod = {};
+  if (period !== 'year') {
+    const periodTotals = buildPeriodTotals(receipts, period);
+    for (const key of periodTotals.periods) {
+      const expenses = periodTotals.expensesByYear[key] || 0;
+      const reimbursements = periodTotals.reimbursementsByYear[key] || 0;
+      byPeriod[key] = {
+        expenses,
+        reimbursements,
+        reimburseable: toDollars(toCents(expenses) - toCents(reimbursements)),
+        refunds: periodTotals.refundsByYear[key] || 0,
+        receipts: periodTotals.receiptCounts[key] || 0
+      };
+    }
+  }
+
+  return {
+    version: JSON_REPORT_VERSION,
+    generator: { name: packageJson.name, version: packageJson.version },
+    generatedAt: new Date().toISOString(),
+    directory,
+    // Only present when filters were used, so a filtered report can't be mistaken for the full one
+    ...(filters.length > 0 ? { filters, filteredReceipts } : {}),
+    years: byYear,
+    ...(period === 'year' ? {} : { period, periods: byPeriod }),
+    reimbursementsByWithdrawalYear,
+    ...(Object.keys(contributions).length > 0 ? { contributions } : {}),
+    summary: {
+      totalFiles: stats.totalFiles,
+      totalValidFiles: stats.totalValidFiles,
+      totalInvalidFiles: stats.totalInvalidFiles,
+      invalidFilePercentage: stats.invalidFilePercentage,
+      totalExpenses: stats.totalExpenses,
+      totalReimbursements: stats.totalReimbursements,
+      totalReimburseable: stats.totalReimburseable,
+      reimbursementRate: stats.reimbursementRate,
+      reimburseableRate: stats.reimburseableRate,
+      avgExpensePerYear: stats.avgExpensePerYear,
+      avgReceiptsPerYear: stats.avgReceiptsPerYear,
+      mostExpensiveYear: stats.mostExpensiveYear,
+      mostExpensiveYearAmount: stats.mostExpensiveYearAmount,
+      mostExpensiveYearReceipts: stats.mostExpensiveYearReceipts,
+      expensePercentage: stats.expensePercentage,
+      receiptPercentage: stats.receiptPercentage
+    },
+    invalidFiles,
+    informationalFiles,
+    duplicates,
+    receipts
+  };
+}
+
+// Columns for the `export` CSV files - [header, row key]
+const RECEIPT_CSV_COLUMNS = [
+  ['Date', 'date'],
+  ['Year', 'year'],
+  ['Description', 'description'],
+  ['Category', 'category'],
+  ['Tags', 'tags'],
+  ['Amount', 'amount'],
+  ['Reimbursed', 'reimbursed'],
+  ['Reimbursed Amount', 'reimbursedAmount'],
+  ['Reimbursement Date', 'reimbursementDate'],
+  ['File Name', 'fileName'],
+  ['Path', 'relativePath'],
+  ['Currency', 'currency'],
+  ['Original Amount', 'originalAmount']
+];
+const TOTALS_CSV_COLUMNS = [
+  ['Year', 'year'],
+  ['Category', 'category'],
+  ['Expenses', 'expenses'],
+  ['Reimbursements', 'reimbursements'],
+  ['Reimburseable', 'reimburseable'],
+  ['Receipts', 'receipts']
+];
+
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  // Prevent spreadsheets from evaluating text cells that look like formulas (e.g. a description starting with "=")
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(([header]) => escapeCsvValue(header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(([, key]) => escapeCsvValue(row[key])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// One row per receipt, oldest first
+function buildReceiptRows(receipts) {
+  return [...receipts]
+    .sort((a, b) => a.date.localeCompare(b.date) || a.relativePath.localeCompare(b.relativePath))
+    .map(receipt => ({
+      date: receipt.date,
+      year: receipt.year,
+      description: receipt.description,
+      category: receipt.category,
+      tags: receipt.tags.join(' '),
+      amount: receipt.amount.toFixed(2),
+      reimbursed: receipt.isReimbursement ? 'yes' : 'no',
+      reimbursedAmount: receipt.reimbursedAmount.toFixed(2),
+      reimbursementDate: receipt.reimbursementDate || '',
+      fileName: receipt.fileName,
+      relativePath: receipt.relativePath,
+      currency: receipt.currency,
+      originalAmount: receipt.originalAmount.toFixed(2)
+    }));
+}
+
+// One row per year/category, followed by an "All" row with the year's total
+function buildTotalsRows(expensesByCategory) {
+  const rows = [];
+  for (const year of Object.keys(expensesByCategory).sort()) {
+    const yearTotal = { expenses: 0, reimbursements: 0, count: 0 };
+    const sortedCategories = Object.entries(expensesByCategory[year]).sort((a, b) => a[0].localeCompare(b[0]));
+
+    for (const [category, data] of sortedCategories) {
+      rows.push({
+        year,
+        category,
+        expenses: data.expenses.toFixed(2),
+        reimbursements: data.reimbursements.toFixed(2),
+        reimburseable: toDollars(toCents(data.expenses) - toCents(data.reimbursements)).toFixed(2),
+        receipts: data.count
+      });
+      yearTotal.expenses = sumAmounts([yearTotal.expenses, data.expenses]);
+      yearTotal.reimbursements = sumAmounts([yearTotal.reimbursements, data.reimbursements]);
+      yearTotal.count += data.count;
+    }
+
+    rows.push({
+      year,
+      category: 'All',
+      expenses: yearTotal.expenses.toFixed(2),
+      reimbursements: yearTotal.reimbursements.toFixed(2),
+      reimburseable: toDollars(toCents(yearTotal.expenses) - toCents(yearTotal.reimbursements)).toFixed(2),
+      receipts: yearTotal.count
+    });
+  }
+  return rows;
+}
+
+// Totals CSV columns for --group-by: one column per grouping field instead of Category
+function getGroupTotalsColumns(fields) {
+  const fieldColumns = fields.map(field => [`${field[0].toUpperCase()}${field.slice(1)}`, field]);
+  return [TOTALS_CSV_COLUMNS[0], ...fieldColumns, ...TOTALS_CSV_COLUMNS.slice(2)];
+}
+
+// One row per group at the deepest level, followed by an "All" subtotal row for each level above it
+function buildGroupTotalsRows(groupTotals, fields) {
+  const rows = [];
+  const toRow = (year, path, data) => {
+    const row = { year };
+    for (const [index, field] of fields.entries()) {
+      row[field] = index < path.length ? path[index] : 'All';
+    }
+    return {
+      ...row,
+      expenses: data.expenses.toFixed(2),
+      reimbursements: data.reimbursements.toFixed(2),
+      reimburseable: toDollars(toCents(data.expenses) - toCents(data.reimbursements)).toFixed(2),
+      receipts: data.count
+    };
+  };
+  const addRows = (year, groups, path) => {
+    const total = { expenses: 0, reimbursements: 0, count: 0 };
+    for (const [value, data] of Object.entries(groups).sort((a, b) => a[0].localeCompare(b[0]))) {
+      if (data.groups) {
+        addRows(year, data.groups, [...path, value]);
+      } else {
+        rows.push(toRow(year, [...path, value], data));
+      }
+      total.expenses = sumAmounts([total.expenses, data.expenses]);
+      total.reimbursements = sumAmounts([total.reimbursements, data.reimbursements]);
+      total.count += data.count;
+    }
+    rows.push(toRow(year, path, total));
+  };
+
+  for (const year of Object.keys(groupTotals).sort()) {
+    addRows(year, groupTotals[year], []);
+  }
+  return rows;
+}
+
+// Normalize an amount like "50", "50,00", "1,234.5" or "50.5" to "50.00" format, or null if it can't be fixed
+function normalizeAmount(amount) {
+  let normalized = amount;
+  if (/^\d+,\d{1,2}$/.test(normalized)) {
+    // Decimal comma (e.g. 50,00)
+    normalized = normalized.replace(',', '.');
+  } else if (/^\d{1,3}(,\d{3})+(\.\d{1,2})?$/.test(normalized)) {
+    // Thousands separators (e.g. 1,234.56)
+    normalized = normalized.replace(/,/g, '');
+  }
+
+  if (!/^\d+(\.\d{1,2})?$/.test(normalized)) {
+    return null;
+  }
+  return Number(normalized).toFixed(2);
+}
+
+// Suggest a valid file name for an invalid one, or null when there is no safe fix
+// Fixes unpadded dates, swapped month/day, missing spaces around dashes, a missing $ and amounts without cents
+function suggestFileNameFix(fileName) {
+  const match = fileName.match(
+    /^(\d{4})-(\d{1,2})-(\d{1,2})\s*-\s*(.+?)\s*-\s*(\$?)([\d.,]+?)((?:\.reimbursed(?:-\d{4}-\d{2}-\d{2})?(?:-\$\d+\.\d{2})?)?\.[a-zA-Z]{2,5})$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, year, first, second, description, , amount, extension] = match;
+  let month = Number(first);
+  let day = Number(second);
+
+  // yyyy-dd-mm (e.g. 2021-25-01) - only swap when the month can't be valid as written
+  if (month > 12 && day <= 12) {
+    [month, day] = [day, month];
+  }
+
+  const normalizedAmount = normalizeAmount(amount);
+  if (!normalizedAmount || !description.trim()) {
+    return null;
+  }
+
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const suggestion = `${date} - ${description.trim()} - $${normalizedAmount}${extension}`;
+
+  if (suggestion === fileName || !parseFileName(suggestion).isValid) {
+    return null;
+  }
+  return suggestion;
+}
+
+// Build the renames for `fix` from the invalid files found by getTotalsByYear
+// Suggestions that would clash with an existing file (or another suggestion) are returned as conflicts
+function buildFixPlan(invalidFiles, existingFiles = []) {
+  const renames = [];
+  const conflicts = [];
+  const unfixable = [];
+  const usedNames = new Set(existingFiles);
+
+  for (const { fileName: relativePath, error } of invalidFiles) {
+    const suggestion = suggestFileNameFix(basename(relativePath));
+    if (!suggestion) {
+      unfixable.push({ fileName: relativePath, error });
+      continue;
+    }
+
+    const folder = dirname(relativePath);
+    const to = folder === '.' ? suggestion : `${folder}/${suggestion}`;
+    if (usedNames.has(to)) {
+      conflicts.push({ from: relativePath, to, error });
+      continue;
+    }
+
+    usedNames.add(to);
+    renames.push({ from: relativePath, to, error });
+  }
+
+  return { renames, conflicts, unfixable };
+}
+
+const isRenameBatch = batch =>
+  typeof batch === 'object' &&
+  batch !== null &&
+  Array.isArray(batch.renames) &&
+  batch.renames.every(rename => typeof rename?.from === 'string' && typeof rename.to === 'string');
+
+// Read the batches of the undo journal, throwing on a line that isn't a batch of renames (e.g. a hand edit)
+function readRenameJournal(directory) {
+  const journalPath = join(directory, RENAME_JOURNAL_FILE);
+  if (!fs.existsSync(journalPath)) {
+    return [];
+  }
+
+  const batches = [];
+  for (const [index, line] of readFileSync(journalPath, 'utf-8').split('\n').entries()) {
+    if (!line.trim()) continue;
+    let batch;
+    try {
+      batch = JSON.parse(line);
+    } catch {
+      batch = null;
+    }
+    if (!isRenameBatch(batch)) {
+      throw new Error(`${RENAME_JOURNAL_FILE} line ${index + 1} is not a valid batch of renames`);
+    }
+    batches.push(batch);
+  }
+  return batches;
+}
+
+function writeRenameJournal(directory, batches) {
+  const journalPath = join(directory, RENAME_JOURNAL_FILE);
+  if (batches.length === 0) {
+    fs.rmSync(journalPath, { force: true });
+    return;
+  }
+  fs.writeFileSync(journalPath, `${batches.map(batch => JSON.stringify(batch)).join('\n')}\n`);
+}
+
+// Rename files (paths relative to directory) without overwriting anything, and record the batch in the undo journal
+// The journal is read first, so a corrupt journal throws before any file is renamed
+function applyRenames(directory, renames, command) {
+  const batches = readRenameJournal(directory);
+  const applied = [];
+  const skipped = [];
+  const targets = new Set();
+
+  for (const { from, to } of renames) {
+    if (targets.has(to) || fs.existsSync(join(directory, to))) {
+      skipped.push({ from, to, reason: 'Target file already exists' });
+      continue;
+    }
+
+    try {
+      fs.renameSync(join(directory, from), join(directory, to));
+    } catch (error) {
+      skipped.push({ from, to, reason: error.message });
+      continue;
+    }
+
+    targets.add(to);
+    applied.push({ from, to });
+  }
+
+  if (applied.length > 0) {
+    batches.push({ command, timestamp: new Date().toISOString(), renames: applied });
+    writeRenameJournal(directory, batches);
+  }
+
+  return { applied, skipped };
+}
+
+// Revert the most recent batch of renames from the undo journal
+function undoLastRenames(directory) {
+  const batches = readRenameJournal(directory);
+  if (batches.length === 0) {
+    return null;
+  }
+
+  const batch = batches[batches.length - 1];
+  const restored = [];
+  const skipped = [];
+
+  for (const { from, to } of [...batch.renames].reverse()) {
+    if (fs.existsSync(join(directory, from))) {
+      skipped.push({ from, to, reason: 'Original file name is in use again' });
+      continue;
+    }
+
+    try {
+      fs.renameSync(join(directory, to), join(directory, from));
+    } catch (error) {
+      skipped.push({ from, to, reason: error.message });
+      continue;
+    }
+
+    restored.push({ from, to });
+  }
+
+  // Keep the renames that could not be reverted so they can be retried
+  if (skipped.length > 0) {
+    batches[batches.length - 1] = {
+      ...batch,
+      renames: batch.renames.filter(r => skipped.some(s => s.from === r.from))
+    };
+  } else {
+    batches.pop();
+  }
+  writeRenameJournal(directory, batches);
+
+  return { command: batch.command, timestamp: batch.timestamp, restored, skipped };
+}
+
+// Insert the .reimbursed. marker before the file extension, or null if the file is already marked
+// With a custom pattern, its reimbursedMarker goes where the pattern's {reimbursed} field is
+function addReimbursedMarker(fileName, pattern = null) {
+  if (pattern) {
+    const match = pattern.regex.exec(fileName);
+    const slot = match && !match.groups.reimbursed ? pattern.markerSlotRegex?.exec(fileName) : null;
+    if (!slot) {
+      return null;
+    }
+    const [start] = slot.indices.groups.reimbursed;
+    return `${fileName.slice(0, start)}${pattern.reimbursedMarker}${fileName.slice(start)}`;
+  }
+
+  if (REIMBURSED_MARKER_REGEX.test(fileName)) {
+    return null;
+  }
+  return fileName.replace(/(\.[^.]+)$/, '.reimbursed$1');
+}
+
+// Remove the reimbursed marker (including any date or partial amount), or null if the file isn't marked
+function removeReimbursedMarker(fileName, pattern = null) {
+  if (pattern) {
+    const match = pattern.regex.exec(fileName);
+    if (!match?.groups.reimbursed) {
+      return null;
+    }
+    const [start, end] = match.indices.groups.reimbursed;
+    return `${fileName.slice(0, start)}${fileName.slice(end)}`;
+  }
+
+  if (!REIMBURSED_MARKER_REGEX.test(fileName)) {
+    return null;
+  }
+  return fileName.replace(REIMBURSED_MARKER_REGEX, '.');
+}
+
+// The custom pattern a file name is parsed with, or null when it follows the default grammar (see parseFileName)
+function findFileNamePattern(fileName, patterns = [], exchangeRates = {}) {
+  if (parseDefaultFileName(fileName, exchangeRates).isValid) {
+    return null;
+  }
+  return patterns.find(pattern => parseFileNameWithPattern(fileName, pattern)?.isValid) || null;
+}
+
+// Select receipts by relative path and/or date prefix, exact amount and description text (all given criteria must match)
+function selectReceipts(receipts, criteria = {}) {
+  const { paths = [], date, amount, description } = criteria;
+  return receipts.filter(receipt => {
+    if (paths.length > 0 && !paths.includes(receipt.relativePath)) return false;
+    if (date && !receipt.date.startsWith(date)) return false;
+    if (amount !== undefined && toCents(receipt.amount) !== toCents(amount)) return false;
+    if (description && !receipt.description.toLowerCase().includes(description.toLowerCase())) return false;
+    return true;
+  });
+}
+
+// Build the renames that add (or remove) the .reimbursed. marker, re-validating each new name
+// Receipts already in the wanted state are left out, receipts whose marker can't be updated are rejected
+function buildReimbursedRenames(receipts, reimbursed, patterns = [], exchangeRates = {}) {
+  const renames = [];
+  const rejected = [];
+
+  for (const receipt of receipts) {
+    if (parseFileName(receipt.fileName, patterns, exchangeRates).isReimbursement === reimbursed) {
+      continue;
+    }
+
+    const pattern = findFileNamePattern(receipt.fileName, patterns, exchangeRates);
+    if (pattern && !pattern.markerSlotRegex) {
+      rejected.push({ fileName: receipt.relativePath, error: `Pattern "${pattern.format}" has no {reimbursed} field` });
+      continue;
+    }
+
+    const newFileName = reimbursed
+      ? addReimbursedMarker(receipt.fileName, pattern)
+      : removeReimbursedMarker(receipt.fileName, pattern);
+    if (!newFileName) {
+      rejected.push({ fileName: receipt.relativePath, error: 'Marker could not be updated' });
+      continue;
+    }
+
+    const { isValid, isReimbursement, error } = parseFileName(newFileName, patterns, exchangeRates);
+    if (!isValid || isReimbursement !== reimbursed) {
+      rejected.push({ fileName: receipt.relativePath, error: error || 'Marker could not be updated' });
+      continue;
+    }
+
+    renames.push({ from: receipt.relativePath, to: receipt.folder ? `${receipt.folder}/${newFileName}` : newFileName });
+  }
+
+  return { renames, rejected };
+}
+
+// Parse a pick list answer like "1,3-5" into zero-based indexes, or null if it is invalid
+function parseSelection(input, count) {
+  const indexes = new Set();
+  for (const part of input.split(',').map(p => p.trim())) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+
+    const start = Number(match[1]);
+    const end = match[2] ? Number(match[2]) : start;
+    if (start < 1 || end > count || start > end) return null;
+
+    for (let i = start; i <= end; i++) {
+      indexes.add(i - 1);
+    }
+  }
+  return [...indexes].sort((a, b) => a - b);
+}
+
+// Subset-sum over cents where each sum remembers the first receipt that reached it
+// With receipts sorted oldest first, the picked set's newest receipt is as old as possible
+function pickOldestReceipts(cents, limit) {
+  if (limit > MAX_PLANNER_CENTS || cents.length * (limit + 1) > MAX_PLANNER_STEPS) {
+    throw new Error('Too many receipts to plan for this target - try a smaller target');
+  }
+
+  const firstReceipt = new Int32Array(limit + 1).fill(-1);
+  firstReceipt[0] = cents.length; // Reachable without any receipts
+
+  for (let i = 0; i < cents.length; i++) {
+    for (let sum = limit; sum >= cents[i]; sum--) {
+      if (firstReceipt[sum] === -1 && firstReceipt[sum - cents[i]] !== -1) {
+        firstReceipt[sum] = i;
+      }
+    }
+  }
+
+  let sum = limit;
+  while (firstReceipt[sum] === -1) sum--;
+
+  const picked = [];
+  while (sum > 0) {
+    const i = firstReceipt[sum];
+    picked.push(i);
+    sum -= cents[i];
+  }
+  return picked;
+}
+
+// Subset-sum over cents that keeps the fewest receipts for each sum, with one bit per receipt/sum to rebuild the set
+function pickFewestReceipts(cents, limit) {
+  const rowBytes = (limit >> 3) + 1;
+  if (limit > MAX_PLANNER_CENTS || cents.length * rowBytes * 8 > MAX_PLANNER_CELLS) {
+    throw new Error('Too many receipts to plan with the fewest strategy - try the oldest strategy or a smaller target');
+  }
+
+  const NONE = 0xffff;
+  const counts = new Uint16Array(limit + 1).fill(NONE);
+  const taken = new Uint8Array(cents.length * rowBytes);
+  counts[0] = 0;
+
+  for (let i = 0; i < cents.length; i++) {
+    for (let sum = limit; sum >= cents[i]; sum--) {
+      const previous = counts[sum - cents[i]];
+      if (previous !== NONE && previous + 1 < counts[sum]) {
+        counts[sum] = previous + 1;
+        taken[i * rowBytes + (sum >> 3)] |= 1 << (sum & 7);
+      }
+    }
+  }
+
+  let sum = limit;
+  while (counts[sum] === NONE) sum--;
+
+  const picked = [];
+  for (let i = cents.length - 1; i >= 0 && sum > 0; i--) {
+    if (taken[i * rowBytes + (sum >> 3)] & (1 << (sum & 7))) {
+      picked.push(i);
+      sum -= cents[i];
+    }
+  }
+  return picked;
+}
+
+// Pick unreimbursed receipts that get as close as possible to the target amount without going over
+// strategy: 'oldest' prefers the oldest receipts, 'fewest' prefers the fewest receipts
+function planReimbursement(receipts, targetAmount, strategy = 'oldest') {
+  const target = toCents(targetAmount);
+  const candidates = receipts
+    .filter(receipt => !receipt.isReimbursement && receipt.amount > 0 && toCents(receipt.amount) <= target)
+    .sort(
+      strategy === 'fewest'
+        ? (a, b) => b.amount - a.amount || a.date.localeCompare(b.date)
+        : (a, b) => a.date.localeCompare(b.date) || a.relativePath.localeCompare(b.relativePath)
+    );
+  const cents = candidates.map(receipt => toCents(receipt.amount));
+  const candidatesTotal = cents.reduce((sum, amount) => sum + amount, 0);
+
+  // When every candidate fits, there is nothing to search (even for a huge target)
+  const picked =
+    candidatesTotal <= target
+      ? cents.map((_, i) => i)
+      : strategy === 'fewest'
+        ? pickFewestReceipts(cents, target)
+        : pickOldestReceipts(cents, target);
+  const totalCents = picked.reduce((sum, i) => sum + cents[i], 0);
+
+  return {
+    receipts: picked
+      .map(i => candidates[i])
+      .sort((a, b) => a.date.localeCompare(b.date) || a.relativePath.localeCompare(b.relativePath)),
+    total: toDollars(totalCents),
+    remaining: toDollars(target - totalCents)
+  };
+}
+
+// Match the HSA distributions of a tax year with the receipts reimbursed by them (same withdrawal date).
+// Without a distributions ledger, each withdrawal date of the reimbursed receipts counts as one distribution
+function buildTaxReport(year, receipts, ledgerDistributions = []) {
+  const taxYear = String(year);
+  const reimbursed = receipts.filter(receipt => receipt.isReimbursement && receipt.amount > 0);
+  const reimbursedInYear = reimbursed.filter(receipt => receipt.reimbursementDate?.startsWith(`${taxYear}-`));
+  const sortByDate = (a, b) => a.date.localeCompare(b.date) || a.relativePath.localeCompare(b.relativePath);
+
+  const source = ledgerDistributions.length > 0 ? 'ledger' : 'receipts';
+  const yearDistributions =
+    source === 'ledger'
+      ? ledgerDistributions.filter(distribution => distribution.date.startsWith(`${taxYear}-`))
+      : [...new Set(reimbursedInYear.map(receipt => receipt.reimbursementDate))].map(date => ({
+          date,
+          amount: sumAmounts(
+            reimbursedInYear
+              .filter(receipt => receipt.reimbursementDate === date)
+              .map(receipt => receipt.reimbursedAmount)
+          ),
+          description: ''
+        }));
+
+  const distributions = yearDistributions
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, amount, description }) => {
+      const matched = reimbursedInYear.filter(receipt => receipt.reimbursementDate === date).sort(sortByDate);
+      // An expense can only be reimbursed after it was incurred
+      const lateReceipts = matched.filter(receipt => receipt.date > date);
+      const backing = sumAmounts(
+        matched.filter(receipt => receipt.date <= date).map(receipt => receipt.reimbursedAmount)
+      );
+      const shortfall = Math.max(0, toDollars(toCents(amount) - toCents(backing)));
+
+      const issues = lateReceipts.map(receipt => `${receipt.relativePath} is dated after the distribution`);
+      if (matched.length === 0) {
+        issues.push(`No receipts are marked as reimbursed on ${date}`);
+      }
+      if (shortfall > 0) {
+        issues.push(`${formatAmount(shortfall)} is not backed by receipts`);
+      } else if (backing > amount) {
+        issues.push(
+          `Receipts add up to ${formatAmount(toDollars(toCents(backing) - toCents(amount)))} more than the distribution`
+        );
+      }
+      return { date, amount, description, receipts: matched, backing, shortfall, issues };
+    });
+
+  const distributionDates = new Set(distributions.map(distribution => distribution.date));
+  const totalDistributions = sumAmounts(distributions.map(({ amount }) => amount));
+  const qualifiedExpenses = sumAmounts(distributions.map(({ amount, backing }) => Math.min(amount, backing)));
+
+  return {
+    year: taxYear,
+    source,
+    distributions,
+    totalDistributions,
+    qualifiedExpenses,
+    unsupportedDistributions: toDollars(toCents(totalDistributions) - toCents(qualifiedExpenses)),
+    // Reimbursed in the tax year on a date that isn't in the ledger (usually a typo in the date)
+    unmatchedReceipts: reimbursedInYear.filter(receipt => !distributionDates.has(receipt.reimbursementDate)),
+    // Without a withdrawal date there's no way to tell which tax year a reimbursement belongs to
+    undatedReceipts: reimbursed
+      .filter(receipt => !receipt.reimbursementDate && receipt.year <= taxYear)
+      .sort(sortByDate)
+  };
+}
+
+// Render the tax report as plain text or Markdown, for printing or saving with the tax documents
+function formatTaxReport(report, format = 'text') {
+  const markdown = format === 'markdown';
+  const lines = [];
+  const heading = (level, text) => {
+    if (markdown) {
+      lines.push(`${'#'.repeat(level)} ${text}`, '');
+    } else {
+      lines.push(text, ...(level < 3 ? [(level === 1 ? '=' : '-').repeat(text.length)] : []), '');
+    }
+  };
+  const receiptLines = receipts =>
+    markdown
+      ? [
+          '| Date | Receipt | Reimbursed |',
+          '| --- | --- | ---: |',
+          // A | in a file name would end the table cell
+          ...receipts.map(
+            r => `| ${r.date} | ${r.relativePath.replace(/\|/g, '\\|')} | ${formatAmount(r.reimbursedAmount)} |`
+          )
+        ]
+      : receipts.map(r => `  ${r.date}  ${formatAmount(r.reimbursedAmount).padStart(10)}  ${r.relativePath}`);
+
+  heading(1, `HSA Tax Report ${report.year}`);
+  lines.push('Supporting figures for IRS Form 8889, Part II (HSA Distributions).', '');
+  const summary = [
+    ['Total distributions (line 14a)', report.totalDistributions],
+    ['Qualified medical expenses paid with distributions (line 15)', report.qualifiedExpenses],
+    ['Distributions not backed by receipts (line 16 if not otherwise qualified)', report.unsupportedDistributions]
+  ];
+  if (markdown) {
+    lines.push(
+      '| | Amount |',
+      '| --- | ---: |',
+      ...summary.map(([label, amount]) => `| ${label} | ${formatAmount(amount)} |`)
+    );
+  } else {
+    const width = Math.max(...summary.map(([label]) => label.length)) + 2;
+    lines.push(...summary.map(([label, amount]) => `${`${label}:`.padEnd(width)}${formatAmount(amount)}`));
+  }
+  lines.push('');
+  lines.push(
+    report.source === 'ledger'
+      ? `Distributions are from ${DISTRIBUTIONS_FILE_NAME}; compare the total with box 1 of Form 1099-SA.`
+      : `No ${DISTRIBUTIONS_FILE_NAME} found, so each withdrawal date of the reimbursed receipts counts as one distribution; compare the total with box 1 of Form 1099-SA.`,
+    ''
+  );
+
+  heading(2, 'Distributions');
+  if (report.distributions.length === 0) {
+    lines.push(`No distributions in ${report.year}.`, '');
+  }
+  for (const distribution of report.distributions) {
+    const description = distribution.description ? ` (${distribution.description})` : '';
+    heading(3, `${distribution.date} - ${formatAmount(distribution.amount)}${description}`);
+    if (distribution.receipts.length > 0) {
+      lines.push(...receiptLines(distribution.receipts), '');
+    }
+    lines.push(`Backed by receipts: ${formatAmount(distribution.backing)}`, '');
+    for (const issue of distribution.issues) {
+      lines.push(markdown ? `- **Warning:** ${issue}` : `WARNING: ${issue}`);
+    }
+    if (distribution.issues.length > 0) {
+      lines.push('');
+    }
+  }
+
+  if (report.unmatchedReceipts.length > 0) {
+    heading(2, 'Reimbursed receipts without a matching distribution');
+    lines.push(
+      `These are marked as reimbursed in ${report.year} on a date that isn't in ${DISTRIBUTIONS_FILE_NAME}:`,
+      ''
+    );
+    lines.push(...receiptLines(report.unmatchedReceipts), '');
+  }
+  if (report.undatedReceipts.length > 0) {
+    heading(2, 'Reimbursed receipts without a withdrawal date');
+    lines.push('Add the withdrawal date (e.g., .reimbursed-2024-03-01.) so these can be matched to a tax year:', '');
+    lines.push(...receiptLines(report.undatedReceipts), '');
+  }
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+// The same month and day `years` later (Feb 29 becomes Feb 28 in non-leap years)
+function addYears(date, years) {
+  const [year, month, day] = date.split('-').map(Number);
+  const targetYear = year + years;
+  const targetDay = isValidDate(targetYear, month, day) ? day : day - 1;
+  return `${targetYear}-${String(month).padStart(2, '0')}-${String(targetDay).padStart(2, '0')}`;
+}
+
+// Grow the unreimbursed part of each receipt from its date at an assumed annual return, as if the money had
+// stayed invested in the HSA instead of being reimbursed right away. Rows are the end of each past year,
+// today (asOf) and each anniversary of today up to the horizon
+function buildGrowthProjection(receipts, { annualReturn, horizon, asOf }) {
+  const rate = annualReturn / 100;
+  const deferred = receipts
+    .map(receipt => ({
+      date: receipt.date,
+      amount: toDollars(toCents(receipt.amount) - toCents(receipt.reimbursedAmount))
+    }))
+    .filter(({ date, amount }) => amount !== 0 && date <= asOf);
+
+  const valueAt = date => {
+    const included = deferred.filter(receipt => receipt.date <= date);
+    const principal = sumCents(included.map(({ amount }) => amount));
+    const value = roundCents(
+      included.reduce(
+        (sum, receipt) =>
+          sum + toCents(receipt.amount) * (1 + rate) ** ((Date.parse(date) - Date.parse(receipt.date)) / MS_PER_YEAR),
+        0
+      )
+    );
+    return {
+      date,
+      receipts: included.length,
+      deferred: toDollars(principal),
+      value: toDollars(value),
+      growth: toDollars(value - principal)
+    };
+  };
+
+  const rows = [];
+  if (deferred.length > 0) {
+    const firstYear = Math.min(...deferred.map(({ date }) => Number(date.slice(0, 4))));
+    const asOfYear = Number(asOf.slice(0, 4));
+    for (let year = firstYear; year < asOfYear; year++) {
+      rows.push({ year: String(year), projected: false, ...valueAt(`${year}-12-31`) });
+    }
+    for (let years = 0; years <= horizon; years++) {
+      rows.push({ year: String(asOfYear + years), projected: years > 0, ...valueAt(addYears(asOf, years)) });
+    }
+  }
+
+  const today = rows.find(row => row.date === asOf);
+  return {
+    annualReturn,
+    horizon,
+    asOf,
+    rows,
+    deferred: today?.deferred ?? 0,
+    earnedGrowth: today?.growth ?? 0,
+    projected: rows[rows.length - 1] ?? null
+  };
+}
+
+// Rules checked by `lint`, used as the SARIF rule ids and JUnit failure types
+const LINT_RULES = {
+  'invalid-file-name': 'File name does not match the expected pattern',
+  'duplicate-receipt': 'Receipt is a possible duplicate of another receipt',
+  'file-integrity': 'File is not a complete document of the type its extension says',
+  'invalid-ledger-row': 'Row of a ledger CSV file is invalid and was skipped'
+};
+
+// Collect every problem `lint` fails on as { path, line?, rule, code?, message }. The first file of each
+// duplicate group is the one kept (see findDuplicates), so only the other files are reported
+function buildLintReport({ files, invalidFiles = [], duplicates = [], integrityProblems = [], ledgerErrors = {} }) {
+  const problems = [
+    ...invalidFiles.map(({ fileName, code, error }) => ({
+      path: fileName,
+      rule: 'invalid-file-name',
+      code,
+      message: error
+    })),
+    ...duplicates.flatMap(({ reasons, files: [kept, ...copies] }) =>
+      copies.map(path => ({
+        path,
+        rule: 'duplicate-receipt',
+        message: `Possible duplicate of ${kept} (${reasons.join(', ')})`
+      }))
+    ),
+    ...integrityProblems.map(({ fileName, error }) => ({ path: fileName, rule: 'file-integrity', message: error })),
+    ...Object.entries(ledgerErrors).flatMap(([fileName, errors]) =>
+      errors.map(({ line, error }) => ({ path: fileName, line, rule: 'invalid-ledger-row', message: error }))
+    )
+  ];
+  return { files, problems };
+}
+
+function escapeXml(text) {
+  // Attributes are always in double quotes, so apostrophes don't need escaping
+  const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+  return String(text).replace(/[&<>"]/g, character => entities[character]);
+}
+
+// JUnit XML with one test case per checked file, failing with all of that file's problems
+function formatJUnitReport({ files, problems }, basePath) {
+  const failedFiles = new Set(problems.map(({ path }) => path));
+  const testCases = files.map(file => {
+    const attributes = `name="${escapeXml(file)}" classname="receipts" file="${escapeXml(basePath + file)}"`;
+    const fileProblems = problems.filter(({ path }) => path === file);
+    if (fileProblems.length === 0) {
+      return `    <testcase ${attributes}/>`;
+    }
+    const details = fileProblems.map(
+      ({ line, rule, message }) => `${line ? `line ${line}: ` : ''}${message} [${rule}]`
+    );
+    return [
+      `    <testcase ${attributes}>`,
+      `      <failure type="${fileProblems[0].rule}" message="${escapeXml(details[0])}">${escapeXml(details.join('\n'))}</failure>`,
+      '    </testcase>'
+    ].join('\n');
+  });
+
+  const counts = `tests="${files.length}" failures="${failedFiles.size}" errors="0"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="hsa-expense-analyzer lint" ${counts}>`,
+    `  <testsuite name="receipts" ${counts}>`,
+    ...testCases,
+    '  </testsuite>',
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+// SARIF 2.1.0 with one result per problem, for code scanning annotations
+function formatSarifReport({ problems }, basePath) {
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'hsa-expense-analyzer',
+            version: packageJson.version,
+            informationUri: packageJson.homepage,
+            rules: Object.entries(LINT_RULES).map(([id, description]) => ({
+              id,
+              shortDescription: { text: description }
+            }))
+          }
+        },
+        results: problems.map(({ path, line, rule, code, message }) => ({
+          ruleId: rule,
+          level: 'error',
+          message: { text: message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: (basePath + path).split('/').map(encodeURIComponent).join('/') },
+                ...(line ? { region: { startLine: line } } : {})
+              }
+            }
+          ],
+          ...(code ? { properties: { code } } : {})
+        }))
+      }
+    ]
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+// Format a lint report as JUnit XML or SARIF. basePath is prepended to the paths (relative to the receipts
+// directory) so CI can match them to files in the repository, e.g. "receipts/"
+function formatLintReport(report, format, basePath = '') {
+  return format === 'sarif' ? formatSarifReport(report, basePath) : formatJUnitReport(report, basePath);
+}
+
+// Ask a question on the terminal
+async function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question(question);
+  } finally {
+    rl.close();
+  }
+}
+
+// Ask a yes/no question on the terminal
+async function confirm(question) {
+  const answer = await prompt(`${question} [y/N] `);
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+// Config file keys - the long names of the CLI options they set defaults for, plus custom file name patterns
+const CONFIG_SCHEMA = {
+  dirPath: 'string',
+  recursive: 'boolean',
+  'max-depth': 'number',
+  include: 'string[]',
+  exclude: 'string[]',
+  'exclude-duplicates': 'boolean',
+  'summary-only': 'boolean',
+  'by-category': 'boolean',
+  'group-by': 'string[]',
+  period: ['month', 'quarter', 'year'],
+  format: ['text', 'json'],
+  extensions: 'string[]',
+  locale: 'string',
+  coverage: COVERAGE_TYPES,
+  'catch-up-from': 'number',
+  'contribution-limits': 'object',
+  patterns: 'object[]',
+  categories: 'object'
+};
+
+function matchesConfigType(value, type) {
+  if (Array.isArray(type)) return type.includes(value);
+  if (type.endsWith('[]')) {
+    return Array.isArray(value) && value.every(item => matchesConfigType(item, type.slice(0, -2)));
+  }
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function describeConfigType(type) {
+  if (Array.isArray(type)) return `one of ${type.map(value => `"${value}"`).join(', ')}`;
+  if (type.endsWith('[]')) return `an array of ${type.slice(0, -2)}s`;
+  return `a ${type}`;
+}
+
+// Returns a list of problems with a parsed config file (empty when it is valid)
+function validateConfig(config, { allowDirPath = true } = {}) {
+  if (!matchesConfigType(config, 'object')) {
+    return ['Config should be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    const type = CONFIG_SCHEMA[key];
+    if (!type) {
+      errors.push(`Unknown key "${key}" (expected one of: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+    } else if (!matchesConfigType(value, type)) {
+      errors.push(`"${key}" should be ${describeConfigType(type)}`);
+    } else if (key === 'dirPath' && !allowDirPath) {
+      errors.push(`"dirPath" can only be set in ~/${CONFIG_FILE_NAME} or a file passed with --config`);
+    } else if (key === 'max-depth' && (!Number.isInteger(value) || value < 0)) {
+      errors.push(`"max-depth" should be a non-negative integer`);
+    } else if (key === 'group-by' && !value.every(field => GROUP_BY_FIELDS.includes(field))) {
+      errors.push(`"group-by" should only contain ${GROUP_BY_FIELDS.map(field => `"${field}"`).join(', ')}`);
+    } else if (key === 'catch-up-from' && !Number.isInteger(value)) {
+      errors.push(`"catch-up-from" should be a year (e.g., 2030)`);
+    } else if (key === 'locale' && !isSupportedLocale(value)) {
+      errors.push(`"locale" should be a supported locale (e.g., en-US, de-DE)`);
+    } else if (key === 'contribution-limits') {
+      errors.push(...validateContributionLimits(value));
+    }
+  }
+
+  for (const [index, pattern] of (matchesConfigType(config.patterns, 'object[]') ? config.patterns : []).entries()) {
+    try {
+      compileFileNamePattern(pattern);
+    } catch (error) {
+      errors.push(`patterns[${index}]: ${error.message}`);
+    }
+  }
+  if (matchesConfigType(config.categories, 'object')) {
+    errors.push(...validateCategoryRules(config.categories));
+  }
+  return errors;
+}
+
+function validateContributionLimits(limits) {
+  const errors = [];
+  for (const [year, yearLimits] of Object.entries(limits)) {
+    const prefix = `contribution-limits.${year}`;
+    if (!/^\d{4}$/.test(year)) {
+      errors.push(`"${prefix}": the key should be a year (e.g., "2027")`);
+    } else if (!matchesConfigType(yearLimits, 'object')) {
+      errors.push(`"${prefix}" should be an object (e.g., { "selfOnly": 4400, "family": 8750, "catchUp": 1000 })`);
+    } else {
+      for (const [key, value] of Object.entries(yearLimits)) {
+        if (!['selfOnly', 'family', 'catchUp'].includes(key)) {
+          errors.push(`"${prefix}": unknown key "${key}" (expected selfOnly, family or catchUp)`);
+        } else if (typeof value !== 'number' || !(value >= 0)) {
+          errors.push(`"${prefix}.${key}" should be a non-negative number`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+function validateCategoryRules({ aliases = {}, rules = [], ...rest }) {
+  const errors = Object.keys(rest).map(key => `Unknown key "categories.${key}" (expected aliases or rules)`);
+  if (!matchesConfigType(aliases, 'object') || !Object.values(aliases).every(value => typeof value === 'string')) {
+    errors.push('"categories.aliases" should map names to categories (e.g., { "robert": "bob" })');
+  }
+  if (!matchesConfigType(rules, 'object[]')) {
+    errors.push('"categories.rules" should be an array of objects');
+    return errors;
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const prefix = `categories.rules[${index}]`;
+    const matchers = ['pattern', 'keywords', 'tag'].filter(key => rule[key] !== undefined);
+    const fields = Object.keys(CATEGORY_FIELDS).filter(key => rule[key] !== undefined);
+    const unknownKeys = Object.keys(rule).filter(key => !matchers.includes(key) && !fields.includes(key));
+    for (const key of unknownKeys) {
+      errors.push(`${prefix}: unknown key "${key}"`);
+    }
+    if (fields.length === 0) {
+      errors.push(`${prefix}: should set at least one of "category", "person" or "type"`);
+    }
+    for (const field of fields.filter(key => typeof rule[key] !== 'string' || rule[key].trim() === '')) {
+      errors.push(`${prefix}: "${field}" should be a non-empty string`);
+    }
+    if (matchers.length !== 1) {
+      errors.push(`${prefix}: should have exactly one of "pattern", "keywords" or "tag"`);
+    } else if (rule.pattern !== undefined) {
+      try {
+        new RegExp(rule.pattern, 'i');
+      } catch (error) {
+        errors.push(`${prefix}: ${error.message}`);
+      }
+    } else if (rule.keywords !== undefined && !(matchesConfigType(rule.keywords, 'string[]') && rule.keywords.length)) {
+      errors.push(`${prefix}: "keywords" should be a non-empty array of strings`);
+    } else if (rule.tag !== undefined && typeof rule.tag !== 'string') {
+      errors.push(`${prefix}: "tag" should be a string`);
+    }
+  }
+  return errors;
+}
+
+// Read and validate a config file. A relative (or ~) dirPath is resolved from the config file's folder
+function readConfigFile(configPath, options = {}) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Cannot read config file ${configPath}\n${error.message}`);
+  }
+
+  const errors = validateConfig(config, options);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${configPath}\n${errors.join('\n')}`);
+  }
+
+  if (config.dirPath !== undefined) {
+    config.dirPath = resolve(dirname(configPath), config.dirPath.replace(/^~(?=$|\/)/, os.homedir()));
+  }
+  return config;
+}
+
+// Load the config: the --config file if given, otherwise ~/.hsarc.json overridden by .hsarc.json in dirPath.
+// CLI flags override the config (see main)
+function loadConfigFiles({ dirPath, config } = {}, homeDirectory = os.homedir()) {
+  if (config !== undefined) {
+    return readConfigFile(resolve(config));
+  }
+
+  const homeConfigPath = join(homeDirectory, CONFIG_FILE_NAME);
+  const homeConfig = fs.existsSync(homeConfigPath) ? readConfigFile(homeConfigPath) : {};
+
+  const receiptsDirectory = dirPath ?? homeConfig.dirPath;
+  if (receiptsDirectory === undefined) {
+    return homeConfig;
+  }
+  const folderConfigPath = resolve(receiptsDirectory, CONFIG_FILE_NAME);
+  if (folderConfigPath === resolve(homeConfigPath) || !fs.existsSync(folderConfigPath)) {
+    return homeConfig;
+  }
+  return { ...homeConfig, ...readConfigFile(folderConfigPath, { allowDirPath: false }) };
+}
+
+// Starter config written by `config init` - the defaults of every option, so they are easy to change
+function buildStarterConfig(dirPath) {
+  return {
+    ...(dirPath === undefined ? {} : { dirPath }),
+    recursive: false,
+    include: [],
+    exclude: [],
+    'exclude-duplicates': false,
+    'by-category': false,
+    format: 'text',
+    coverage: 'self-only',
+    patterns: []
+  };
+}
+
+// Validate the shared scan flags and build the options for getTotalsByYear
+// Commands without the filter options (tax-report, whose --year is the tax year) pass withFilters: false
+function getScanOptions(argv, { withFilters = true } = {}) {
+  if (argv['max-depth'] !== undefined && (!Number.isInteger(argv['max-depth']) || argv['max-depth'] < 0)) {
+    console.error(colorize('❌ Error: --max-depth must be a non-negative integer', 'red'));
+    process.exit(1);
+  }
+
+  if (argv['catch-up-from'] !== undefined && !Number.isInteger(argv['catch-up-from'])) {
+    console.error(colorize('❌ Error: --catch-up-from must be a year (e.g., 2030)', 'red'));
+    process.exit(1);
+  }
+
+  // Patterns come from the config file and were validated when it was loaded
+  const patterns = (argv.patterns || []).map(compileFileNamePattern);
+  const categoryRules = compileCategoryRules(argv.categories);
+
+  let filters;
+  try {
+    if (withFilters) {
+      filters = compileReceiptFilters({
+        from: argv.from,
+        to: argv.to,
+        years: argv.year,
+        categories: argv.category,
+        persons: argv.person,
+        match: argv.match,
+        minAmount: argv['min-amount'],
+        maxAmount: argv['max-amount'],
+        status: argv.status
+      });
+    }
+  } catch (error) {
+    console.error(colorize(`❌ Error: ${error.message}`, 'red'));
+    process.exit(1);
+  }
+
+  return {
+    recursive: argv.recursive,
+    maxDepth: argv['max-depth'] ?? Infinity,
+    include: argv.include,
+    exclude: argv.exclude,
+    excludeDuplicates: argv['exclude-duplicates'],
+    patterns,
+    categoryRules,
+    filters,
+    contributionSettings: {
+      coverage: argv.coverage,
+      catchUpFrom: argv['catch-up-from'],
+      limits: argv['contribution-limits']
+    }
+  };
+}
+
+// Load the receipt totals, exiting with an error message on failure
+function loadTotals(argv, scanOptions = getScanOptions(argv)) {
+  try {
+    return getTotalsByYear(argv.dirPath, scanOptions);
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot access directory`, 'red'));
+    console.error(colorize(`   ${error.message.replace('Cannot access directory: ', '')}`, 'dim'));
+    process.exit(1);
+  }
+}
+
+// Write CSV (or a report) to a file, or to stdout when no file is given
+function writeOutput(outputPath, content) {
+  if (!outputPath) {
+    process.stdout.write(content);
+    return;
+  }
+  try {
+    fs.writeFileSync(outputPath, content);
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot write ${outputPath}`, 'red'));
+    console.error(colorize(`   ${error.message}`, 'dim'));
+    process.exit(1);
+  }
+}
+
+function runExport(argv) {
+  const { receipts, expensesByCategory, invalidFiles } = loadTotals(argv);
+
+  writeOutput(argv.output, toCsv(RECEIPT_CSV_COLUMNS, buildReceiptRows(receipts)));
+  if (argv['totals-output'] && argv['group-by'].length > 0) {
+    const groupBy = argv['group-by'];
+    const rows = buildGroupTotalsRows(buildGroupTotals(receipts, groupBy), groupBy);
+    writeOutput(argv['totals-output'], toCsv(getGroupTotalsColumns(groupBy), rows));
+  } else if (argv['totals-output']) {
+    writeOutput(argv['totals-output'], toCsv(TOTALS_CSV_COLUMNS, buildTotalsRows(expensesByCategory)));
+  }
+
+  // Status goes to stderr so it doesn't end up in CSV piped from stdout
+  if (argv.output) {
+    console.error(colorize(`✅ Exported ${receipts.length} receipts to ${argv.output}`, 'green'));
+  }
+  if (argv['totals-output']) {
+    console.error(colorize(`✅ Exported totals to ${argv['totals-output']}`, 'green'));
+  }
+  if (invalidFiles.length > 0) {
+    console.error(
+      colorize(`⚠️  Skipped ${invalidFiles.length} files that do not match the expected pattern`, 'yellow')
+    );
+  }
+}
+
+// Print renames as a diff: - old name / + new name
+function printRenames(renames) {
+  for (const { from, to } of renames) {
+    console.log(colorize(`- ${from}`, 'red'));
+    console.log(colorize(`+ ${to}`, 'green'));
+  }
+}
+
+function printSkippedRenames(skipped) {
+  for (const { from, to, reason } of skipped) {
+    console.log(colorize(`⚠️  Skipped ${from} → ${to}: ${reason}`, 'yellow'));
+  }
+}
+
+function printRejectedReceipts(rejected) {
+  for (const { fileName, error } of rejected) {
+    console.log(colorize(`⚠️  Skipped ${fileName}: ${error}`, 'yellow'));
+  }
+}
+
+// Fail the command when some receipts couldn't be marked or unmarked, after the others were renamed
+function exitIfRejected(rejected) {
+  if (rejected.length > 0) {
+    console.error(
+      colorize(`❌ Error: The reimbursed marker of ${rejected.length} receipts could not be updated`, 'red')
+    );
+    process.exit(1);
+  }
+}
+
+async function runFix(argv) {
+  const { invalidFiles, receipts } = loadTotals(argv);
+  const { renames, conflicts, unfixable } = buildFixPlan(
+    invalidFiles,
+    receipts.map(receipt => receipt.relativePath)
+  );
+
+  if (invalidFiles.length === 0) {
+    console.log(colorize('✅ All receipt files match the expected pattern', 'green'));
+    return;
+  }
+
+  if (renames.length > 0) {
+    console.log(colorize(`Suggested renames (${renames.length}):`, 'cyan'));
+    printRenames(renames);
+    console.log();
+  }
+
+  if (conflicts.length > 0) {
+    console.log(colorize(`Suggested renames that would overwrite another file (${conflicts.length}):`, 'yellow'));
+    printRenames(conflicts);
+    console.log();
+  }
+
+  if (unfixable.length > 0) {
+    console.log(colorize(`Files that need to be renamed by hand (${unfixable.length}):`, 'yellow'));
+    for (const { fileName, error } of unfixable) {
+      console.log(`  ${fileName} ${colorize(`(${error})`, 'dim')}`);
+    }
+    console.log();
+  }
+
+  if (renames.length === 0) {
+    return;
+  }
+
+  if (!argv.apply) {
+    console.log(colorize('Dry run - no files were renamed. Run again with --apply to rename these files.', 'dim'));
+    return;
+  }
+
+  await confirmAndApplyRenames(argv, renames, 'fix');
+}
+
+// Ask for confirmation (unless --yes), then rename the files and print the result
+async function confirmAndApplyRenames(argv, renames, command) {
+  if (!argv.yes) {
+    if (!process.stdin.isTTY) {
+      console.error(colorize('❌ Error: Use --yes to apply renames in a non-interactive shell', 'red'));
+      process.exit(1);
+    }
+    if (!(await confirm(`Rename ${renames.length} files?`))) {
+      console.log('No files were renamed.');
+      return;
+    }
+  }
+
+  let result;
+  try {
+    result = applyRenames(argv.dirPath, renames, command);
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot read rename journal`, 'red'));
+    console.error(colorize(`   ${error.message}`, 'dim'));
+    process.exit(1);
+  }
+  const { applied, skipped } = result;
+  printSkippedRenames(skipped);
+  console.log(colorize(`✅ Renamed ${applied.length} files`, 'green'));
+  if (applied.length > 0) {
+    console.log(colorize(`Run "hsa-expense-analyzer undo --dirPath <path>" to revert these renames`, 'dim'));
+  }
+}
+
+// Convert a receipt path given on the command line to a path relative to dirPath
+// Accepts paths relative to the current directory (e.g. receipts/2024/file.pdf) or to dirPath (e.g. 2024/file.pdf)
+function toReceiptPath(dirPath, filePath) {
+  const receiptPath = fs.existsSync(filePath) ? relative(resolve(dirPath), resolve(filePath)) : filePath;
+  return receiptPath.split(sep).join('/');
+}
+
+async function runMarkReimbursed(argv, reimbursed) {
+  const command = reimbursed ? 'mark-reimbursed' : 'unmark';
+  const hasCriteria =
+    argv.paths.length > 0 || argv.date !== undefined || argv.amount !== undefined || argv.description !== undefined;
+  if (!hasCriteria && !argv.interactive) {
+    console.error(
+      colorize('❌ Error: Select receipts by path, --date, --amount or --description, or use --interactive', 'red')
+    );
+    process.exit(1);
+  }
+
+  const scanOptions = getScanOptions(argv);
+  const { receipts, exchangeRates } = loadTotals(argv, scanOptions);
+  const paths = argv.paths.map(filePath => toReceiptPath(argv.dirPath, filePath));
+  const candidates = receipts.filter(receipt => receipt.amount > 0 && receipt.isReimbursement !== reimbursed);
+  let selected = selectReceipts(candidates, {
+    paths,
+    date: argv.date,
+    amount: argv.amount,
+    description: argv.description
+  });
+
+  for (const receiptPath of paths) {
+    if (!selected.some(receipt => receipt.relativePath === receiptPath)) {
+      const reason = receipts.some(receipt => receipt.relativePath === receiptPath)
+        ? `already ${reimbursed ? 'marked' : 'not marked'} as reimbursed`
+        : 'not a valid receipt file';
+      console.log(colorize(`⚠️  Skipped ${receiptPath}: ${reason}`, 'yellow'));
+    }
+  }
+
+  if (selected.length === 0) {
+    console.log(`No receipts to ${reimbursed ? 'mark as reimbursed' : 'unmark'}.`);
+    return;
+  }
+
+  if (argv.interactive) {
+    if (!process.stdin.isTTY) {
+      console.error(colorize('❌ Error: --interactive needs an interactive shell', 'red'));
+      process.exit(1);
+    }
+    for (const [index, receipt] of selected.entries()) {
+      console.log(`${colorize(`${index + 1})`, 'cyan')} ${receipt.relativePath}`);
+    }
+    const indexes = parseSelection(await prompt('Receipts to update (e.g. 1,3-5): '), selected.length);
+    if (!indexes) {
+      console.error(colorize('❌ Error: Invalid selection', 'red'));
+      process.exit(1);
+    }
+    selected = indexes.map(index => selected[index]);
+  }
+
+  const { renames, rejected } = buildReimbursedRenames(selected, reimbursed, scanOptions.patterns, exchangeRates);
+  printRejectedReceipts(rejected);
+  if (renames.length > 0) {
+    printRenames(renames);
+    console.log();
+    if (argv['dry-run']) {
+      console.log(colorize('Dry run - no files were renamed.', 'dim'));
+    } else {
+      await confirmAndApplyRenames(argv, renames, command);
+    }
+  }
+  exitIfRejected(rejected);
+}
+
+async function runPlan(argv) {
+  if (!Number.isFinite(argv.target) || argv.target <= 0) {
+    console.error(colorize('❌ Error: --target must be a positive amount (e.g., 500.00)', 'red'));
+    process.exit(1);
+  }
+
+  const scanOptions = getScanOptions(argv);
+  const { receipts, exchangeRates } = loadTotals(argv, scanOptions);
+  let plan;
+  try {
+    plan = planReimbursement(receipts, argv.target, argv.strategy);
+  } catch (error) {
+    console.error(colorize(`❌ Error: ${error.message}`, 'red'));
+    process.exit(1);
+  }
+
+  const strategyLabel = argv.strategy === 'fewest' ? 'fewest receipts' : 'oldest first';
+  console.log(colorize(`Reimbursement plan for ${formatAmount(argv.target)} (${strategyLabel})`, 'cyan'));
+
+  if (plan.receipts.length === 0) {
+    console.log('No unreimbursed receipts fit within the target amount.');
+    return;
+  }
+
+  const amountWidth = Math.max(...plan.receipts.map(receipt => formatAmount(receipt.amount).length));
+  for (const receipt of plan.receipts) {
+    console.log(`  ${receipt.date}  ${formatAmount(receipt.amount).padStart(amountWidth)}  ${receipt.relativePath}`);
+  }
+
+  const shortfall = plan.remaining > 0 ? `, ${formatAmount(plan.remaining)} short of target` : '';
+  console.log(
+    `${colorize('Total:', 'green')} ${formatAmount(plan.total)} (${plan.receipts.length} receipts)${shortfall}`
+  );
+  console.log();
+
+  if (!argv.mark) {
+    console.log(colorize('Run again with --mark to mark these receipts as reimbursed.', 'dim'));
+    return;
+  }
+
+  const { renames, rejected } = buildReimbursedRenames(plan.receipts, true, scanOptions.patterns, exchangeRates);
+  printRejectedReceipts(rejected);
+  if (renames.length > 0) {
+    await confirmAndApplyRenames(argv, renames, 'plan');
+  }
+  exitIfRejected(rejected);
+}
+
+function runTaxReport(argv) {
+  if (!Number.isInteger(argv.year) || argv.year < 1000 || argv.year > 9999) {
+    console.error(colorize('❌ Error: --year must be a year (e.g., 2024)', 'red'));
+    process.exit(1);
+  }
+
+  // The tax report matches every receipt with the distributions, so --year isn't a receipt filter here
+  const { receipts } = loadTotals(argv, getScanOptions(argv, { withFilters: false }));
+  const { distributions, errors } = readDistributionsFile(argv.dirPath);
+  // Warnings go to stderr so they don't end up in a report piped from stdout
+  for (const { line, error } of errors) {
+    console.error(colorize(`⚠️  Skipped ${DISTRIBUTIONS_FILE_NAME} line ${line}: ${error}`, 'yellow'));
+  }
+
+  const report = buildTaxReport(argv.year, receipts, distributions);
+  writeOutput(argv.output, formatTaxReport(report, argv.reportFormat));
+
+  if (argv.output) {
+    console.error(colorize(`✅ Wrote the ${report.year} tax report to ${argv.output}`, 'green'));
+  }
+  const flagged = report.distributions.filter(distribution => distribution.issues.length > 0).length;
+  if (flagged > 0) {
+    console.error(colorize(`⚠️  ${flagged} distributions need attention (see the warnings in the report)`, 'yellow'));
+  }
+}
+
+function runProject(argv) {
+  if (!Number.isFinite(argv.return) || argv.return <= -100) {
+    console.error(colorize('❌ Error: --return must be an annual return in percent (e.g., 7)', 'red'));
+    process.exit(1);
+  }
+  if (!Number.isInteger(argv.horizon) || argv.horizon < 0 || argv.horizon > 100) {
+    console.error(colorize('❌ Error: --horizon must be a whole number of years between 0 and 100', 'red'));
+    process.exit(1);
+  }
+
+  const totals = loadTotals(argv);
+  const projection = buildGrowthProjection(totals.receipts, {
+    annualReturn: argv.return,
+    horizon: argv.horizon,
+    asOf: new Date().toISOString().slice(0, 10)
+  });
+
+  if (totals.filters.length > 0) {
+    console.log(`${colorize('Filters:', 'yellow')} ${totals.filters.join('; ')}`);
+  }
+  if (projection.rows.length === 0) {
+    console.log('No unreimbursed receipts to project.');
+    return;
+  }
+
+  const count = projection.rows.find(row => row.date === projection.asOf).receipts;
+  console.log(
+    colorize(
+      `📈 Shoebox growth at ${argv.return}% a year (${count} unreimbursed receipts, ${formatAmount(projection.deferred)})`,
+      'cyan'
     )
-    .help()
-    .alias('h', 'help')
-    .alias('v', 'version')
-    .wrap(100).argv;
+  );
+  const table = [
+    ['Year', 'Date', 'Deferred', 'Value', 'Growth', ''],
+    ...projection.rows.map(row => [
+      row.year,
+      row.date,
+      formatAmount(row.deferred),
+      formatAmount(row.value),
+      formatAmount(row.growth),
+      row.date === projection.asOf ? '(today)' : row.projected ? '(projected)' : ''
+    ])
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+  for (const [index, cells] of table.entries()) {
+    const line = cells
+      .map((cell, column) => (column >= 2 && column <= 4 ? cell.padStart(widths[column]) : cell.padEnd(widths[column])))
+      .join('  ')
+      .trimEnd();
+    console.log(index === 0 ? colorize(line, 'cyan') : line);
+  }
+  console.log();
+
+  const chart = new chartscii(
+    projection.rows.map(row => ({ label: row.year, value: row.value })),
+    {
+      width: 20,
+      height: projection.rows.length,
+      title: 'Value of deferred reimbursements by year',
+      fill: '░',
+      valueLabels: true,
+      valueLabelFormat: values => formatAmount(Number(values[0])),
+      valueLabelsFloatingPoint: 2
+    }
+  );
+  console.log(chart.create());
+  console.log();
+
+  const { projected } = projection;
+  console.log(`${colorize('Growth Earned So Far:', 'green')} ${formatAmount(projection.earnedGrowth)}`);
+  console.log(
+    `${colorize(`Projected Growth by ${projected.date}:`, 'green')} ${formatAmount(projected.growth)} (value ${formatAmount(projected.value)})`
+  );
+  console.log(
+    colorize(
+      `The ${formatAmount(projection.deferred)} can still be reimbursed tax-free at any time; leaving it invested keeps the growth tax-free too.`,
+      'dim'
+    )
+  );
+}
+
+function runVerify(argv) {
+  const scanOptions = getScanOptions(argv);
+  let relativePaths;
+  try {
+    relativePaths = listReceiptFiles(argv.dirPath, scanOptions).filter(
+      relativePath => !isFolder(join(argv.dirPath, relativePath))
+    );
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot access directory`, 'red'));
+    console.error(colorize(`   ${error.message}`, 'dim'));
+    process.exit(1);
+  }
+
+  const problems = verifyReceiptFiles(argv.dirPath, relativePaths, argv.extensions);
+  if (problems.length === 0) {
+    console.log(colorize(`✅ All ${relativePaths.length} receipt files are complete documents`, 'green'));
+    return;
+  }
+
+  console.log(colorize('⚠️  WARNING: The following files failed the integrity checks', 'yellow'));
+  printFileErrors(problems);
+  console.log();
+  console.log(colorize(`${problems.length} of ${relativePaths.length} files have problems`, 'yellow'));
+  process.exit(1);
+}
+
+function runLint(argv) {
+  const scanOptions = getScanOptions(argv);
+  const totals = loadTotals(argv, scanOptions);
+  const relativePaths = listReceiptFiles(argv.dirPath, scanOptions);
+  const ledgerFiles = LEDGER_FILE_NAMES.filter(fileName => fs.existsSync(join(argv.dirPath, fileName)));
+
+  const report = buildLintReport({
+    files: [...relativePaths, ...ledgerFiles],
+    invalidFiles: totals.invalidFiles,
+    duplicates: totals.duplicates,
+    integrityProblems: verifyReceiptFiles(argv.dirPath, relativePaths, argv.extensions),
+    ledgerErrors: {
+      [CONTRIBUTIONS_FILE_NAME]: totals.contributionErrors,
+      [DISTRIBUTIONS_FILE_NAME]: readDistributionsFile(argv.dirPath).errors,
+      [EXCHANGE_RATES_FILE_NAME]: totals.exchangeRateErrors
+    }
+  });
+  const { files, problems } = report;
+  const failedFiles = new Set(problems.map(({ path }) => path)).size;
+
+  if (argv.reportFormat === 'text') {
+    if (problems.length === 0) {
+      console.log(colorize(`✅ No problems found in ${files.length} files`, 'green'));
+      return;
+    }
+    console.log(colorize('⚠️  WARNING: The following files have problems', 'yellow'));
+    printFileErrors(
+      problems.map(({ path, line, rule, message }) => ({
+        fileName: line ? `${path}:${line}` : path,
+        error: `${message} [${rule}]`
+      }))
+    );
+    console.log();
+    console.log(colorize(`${problems.length} problems in ${failedFiles} of ${files.length} files`, 'yellow'));
+    process.exit(1);
+  }
+
+  // Paths in the report are relative to the current directory, which is the repository root in CI
+  const basePath = relative(process.cwd(), resolve(argv.dirPath)).split(sep).join('/');
+  writeOutput(argv.output, formatLintReport(report, argv.reportFormat, basePath ? `${basePath}/` : ''));
+
+  // Status goes to stderr so it doesn't end up in a report piped from stdout
+  if (argv.output) {
+    console.error(
+      colorize(`✅ Wrote the ${argv.reportFormat === 'sarif' ? 'SARIF' : 'JUnit'} report to ${argv.output}`, 'green')
+    );
+  }
+  if (problems.length > 0) {
+    console.error(colorize(`⚠️  ${problems.length} problems in ${failedFiles} of ${files.length} files`, 'yellow'));
+    process.exit(1);
+  }
+}
+
+function runUndo(argv) {
+  let result;
+  try {
+    result = undoLastRenames(argv.dirPath);
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot read rename journal`, 'red'));
+    console.error(colorize(`   ${error.message}`, 'dim'));
+    process.exit(1);
+  }
+
+  if (!result) {
+    console.log('Nothing to undo.');
+    return;
+  }
+
+  console.log(colorize(`Reverting ${result.command} from ${result.timestamp}:`, 'cyan'));
+  printRenames(result.restored.map(({ from, to }) => ({ from: to, to: from })));
+  printSkippedRenames(result.skipped);
+  console.log(colorize(`✅ Restored ${result.restored.length} files`, 'green'));
+}
+
+// Write a starter config to --config, ~/.hsarc.json with --global, or .hsarc.json in dirPath
+function runConfigInit(argv) {
+  let configPath = argv.config;
+  if (configPath === undefined && argv.global) {
+    configPath = join(os.homedir(), CONFIG_FILE_NAME);
+  } else if (configPath === undefined) {
+    configPath = join(argv.dirPath, CONFIG_FILE_NAME);
+  }
+
+  if (fs.existsSync(configPath) && !argv.force) {
+    console.error(colorize(`❌ Error: ${configPath} already exists (use --force to overwrite it)`, 'red'));
+    process.exit(1);
+  }
+
+  // Only a home or --config file can point to the receipts folder
+  const dirPath = argv.dirPath === undefined || !(argv.global || argv.config) ? undefined : resolve(argv.dirPath);
+  try {
+    fs.writeFileSync(configPath, `${JSON.stringify(buildStarterConfig(dirPath), null, 2)}\n`);
+  } catch (error) {
+    console.error(colorize(`❌ Error: Cannot write config file ${configPath}`, 'red'));
+    console.error(colorize(`   ${error.message}`, 'dim'));
+    process.exit(1);
+  }
+  console.log(colorize(`✅ Wrote ${configPath}`, 'green'));
+}
+
+// Print the expected file name pattern(s) under an error or warning
+function printExpectedPatterns(patterns, print = console.log) {
+  print(colorize('Expected pattern: <yyyy-mm-dd> - <description> - $<amount>.<ext>', 'dim'));
+  for (const { format, dateFormat } of patterns) {
+    print(colorize(`Custom pattern: ${format} (date: ${dateFormat})`, 'dim'));
+  }
+}
+
+// Contribution totals, the room left in the latest ledger year and any years over the limit
+function printContributionSummary(contributions = {}) {
+  const years = Object.keys(contributions).sort();
+  if (years.length === 0) {
+    return;
+  }
+
+  const sum = field => sumAmounts(years.map(year => contributions[year][field]));
+  console.log(
+    `${colorize('Total Contributions:', 'cyan')} ${formatAmount(sum('total'))} (self ${formatAmount(sum('self'))}, employer ${formatAmount(sum('employer'))})`
+  );
 
-  const dirPath = argv.dirPath;
+  const latestYear = years[years.length - 1];
+  const { limit, remaining, coverage } = contributions[latestYear];
+  if (limit === null) {
+    console.log(
+      `${colorize(`Contribution Room (${latestYear}):`, 'yellow')} unknown - add the ${latestYear} limits to "contribution-limits" in the config file`
+    );
+  } else {
+    console.log(
+      `${colorize(`Contribution Room (${latestYear}):`, 'green')} ${formatAmount(remaining)} of ${formatAmount(limit)} (${coverage})`
+    );
+  }
+
+  const excessYears = years.filter(year => contributions[year].excess > 0);
+  if (excessYears.length > 0) {
+    const details = excessYears.map(year => `${year} ${formatAmount(contributions[year].excess)}`).join(', ');
+    console.log(`${colorize('Excess Contributions:', 'red')} ${details}`);
+  }
+}
+
+// Print a Filename / Error table of problem files
+function printFileErrors(files) {
+  // Calculate dynamic padding based on longest filename + buffer
+  const maxFileNameLength = Math.max(...files.map(f => f.fileName.length));
+  // Subtract padding for no-color (compact), add padding for color (spacing)
+  const extraPadding = process.argv.includes('--no-color') ? -COLUMN_PADDING - 1 : COLUMN_PADDING;
+  const padding = Math.max(maxFileNameLength + extraPadding, 'Filename'.length + extraPadding);
+
+  console.log(
+    `\n${colorize('Filename', 'cyan').padEnd(padding + colors.cyan.length + colors.reset.length)}${colorize('Error', 'cyan')}`
+  );
+  console.log(
+    `${colorize('--------', 'cyan').padEnd(padding + colors.cyan.length + colors.reset.length)}${colorize('-----', 'cyan')}`
+  );
+  for (const { fileName, error } of files) {
+    console.log(
+      `${colorize(fileName, 'yellow').padEnd(padding + colors.yellow.length + colors.reset.length)}${colorize(error, 'red')}`
+    );
+  }
+}
+
+function printSummaryStatistics(years, totals) {
+  console.log('📊 Summary Statistics');
+  console.log('━'.repeat(50));
+
+  const { expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles } = totals;
+  const stats = calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles);
+
+  // State the filters first so a filtered summary (e.g. in a screenshot) isn't read as the full picture
+  if (totals.filters?.length > 0) {
+    console.log(
+      `${colorize('Filters:', 'yellow')} ${totals.filters.join('; ')} (${totals.filteredReceipts} receipts excluded)`
+    );
+  }
+  console.log(`${colorize('Total Receipts Processed:', 'cyan')} ${stats.totalFiles}`);
+  if (stats.totalInvalidFiles > 0) {
+    console.log(
+      `${colorize('Invalid Receipts:', 'yellow')} ${stats.totalInvalidFiles} (${formatPercentage(stats.invalidFilePercentage)})`
+    );
+  }
+  if (totals.informationalFiles.length > 0) {
+    console.log(`${colorize('Informational Documents:', 'cyan')} ${totals.informationalFiles.length}`);
+  }
+  if (totals.duplicates.length > 0) {
+    const excluded = totals.excludedDuplicates > 0 ? ` (${totals.excludedDuplicates} files excluded)` : '';
+    console.log(`${colorize('Possible Duplicates:', 'yellow')} ${totals.duplicates.length} groups${excluded}`);
+  }
+  console.log(`${colorize('Years Covered:', 'cyan')} ${years.length} (${years[0]} - ${years[years.length - 1]})`);
+  console.log(`${colorize('Total Expenses:', 'cyan')} ${formatAmount(stats.totalExpenses)}`);
+  console.log(
+    `${colorize('Total Reimbursements:', 'cyan')} ${formatAmount(stats.totalReimbursements)} (${formatPercentage(stats.reimbursementRate)})`
+  );
+  console.log(
+    `${colorize('Total Reimburseable:', 'green')} ${formatAmount(stats.totalReimburseable)} (${formatPercentage(stats.reimburseableRate)})`
+  );
+  printContributionSummary(totals.contributions);
+  console.log(`${colorize('Average Expenses/Year:', 'cyan')} ${formatAmount(stats.avgExpensePerYear)}`);
+  console.log(`${colorize('Average Receipts/Year:', 'cyan')} ${stats.avgReceiptsPerYear}`);
+
+  if (stats.mostExpensiveYear) {
+    console.log(
+      `${colorize('Most Expensive Year:', 'cyan')} ${stats.mostExpensiveYear} (${formatAmount(stats.mostExpensiveYearAmount)} [${formatPercentage(stats.expensePercentage)}], ${stats.mostExpensiveYearReceipts} receipts [${formatPercentage(stats.receiptPercentage)}])`
+    );
+  }
+}
+
+// Differences between two sets of totals, per year and per category, for highlighting in --watch mode
+function describeTotalsChanges(previous, current) {
+  const changes = [];
+  const delta = (before = {}, after = {}) => ({
+    expenses: toDollars(toCents(after.expenses || 0) - toCents(before.expenses || 0)),
+    reimbursements: toDollars(toCents(after.reimbursements || 0) - toCents(before.reimbursements || 0)),
+    receipts: (after.receipts || 0) - (before.receipts || 0)
+  });
+  const yearTotals = (totals, year) =>
+    totals.receiptCounts[year] === undefined
+      ? undefined
+      : {
+          expenses: totals.expensesByYear[year],
+          reimbursements: totals.reimbursementsByYear[year],
+          receipts: totals.receiptCounts[year]
+        };
+  const categoryTotals = (totals, year, category) => {
+    const data = totals.expensesByCategory[year]?.[category];
+    return data && { expenses: data.expenses, reimbursements: data.reimbursements, receipts: data.count };
+  };
+  const hasChanged = change => change.expenses !== 0 || change.reimbursements !== 0 || change.receipts !== 0;
+
+  const years = [...new Set([...Object.keys(previous.receiptCounts), ...Object.keys(current.receiptCounts)])].sort();
+  for (const year of years) {
+    const yearChange = delta(yearTotals(previous, year), yearTotals(current, year));
+    if (hasChanged(yearChange)) {
+      changes.push({ year, category: null, ...yearChange });
+    }
+
+    const categories = new Set([
+      ...Object.keys(previous.expensesByCategory[year] || {}),
+      ...Object.keys(current.expensesByCategory[year] || {})
+    ]);
+    for (const category of [...categories].sort()) {
+      const categoryChange = delta(categoryTotals(previous, year, category), categoryTotals(current, year, category));
+      if (hasChanged(categoryChange)) {
+        changes.push({ year, category, ...categoryChange });
+      }
+    }
+  }
+  return changes;
+}
+
+function formatChange(change) {
+  const parts = [];
+  if (change.expenses !== 0) parts.push(`${change.expenses > 0 ? '+' : ''}${formatAmount(change.expenses)} expenses`);
+  if (change.reimbursements !== 0) {
+    parts.push(`${change.reimbursements > 0 ? '+' : ''}${formatAmount(change.reimbursements)} reimbursements`);
+  }
+  if (change.receipts !== 0) parts.push(`${change.receipts > 0 ? '+' : ''}${change.receipts} receipts`);
+  return parts.join(', ');
+}
+
+// Redraw the --watch screen: what changed in the last update, the yearly totals and the summary statistics
+function printWatchUpdate(argv, totals, update) {
+  const { added, removed, newInvalidFiles, changes } = update;
+  const years = Object.keys(totals.receiptCounts).sort();
+
+  console.clear();
+  console.log(colorize(`👀 Watching ${argv.dirPath} for changes (Ctrl+C to stop)`, 'cyan'));
+  console.log(colorize(`Last update: ${new Date().toLocaleTimeString()}`, 'dim'));
+  console.log();
 
-  let expensesByYear;
-  let reimbursementsByYear;
-  let receiptCounts;
-  let invalidFiles;
-  let expensesByCategory;
+  if (added.length > 0 || removed.length > 0) {
+    for (const relativePath of removed) {
+      console.log(colorize(`- ${relativePath}`, 'red'));
+    }
+    for (const relativePath of added) {
+      console.log(colorize(`+ ${relativePath}`, 'green'));
+    }
+    console.log();
+  }
+
+  // Show newly invalid names first so they can be fixed right away
+  if (newInvalidFiles.length > 0) {
+    console.log(colorize('⚠️  WARNING: The following files do not match the expected pattern', 'yellow'));
+    for (const { fileName, error } of newInvalidFiles) {
+      console.log(`${colorize(fileName, 'yellow')}  ${colorize(error, 'red')}`);
+    }
+    console.log();
+  }
+
+  for (const year of years) {
+    const line = `${year}: ${formatAmount(totals.expensesByYear[year])} expenses, ${formatAmount(totals.reimbursementsByYear[year])} reimbursements, ${totals.receiptCounts[year]} receipts`;
+    const yearChange = changes.find(change => change.year === year && change.category === null);
+    console.log(
+      yearChange ? `${colorize(line, 'green')} ${colorize(`(${formatChange(yearChange)})`, 'yellow')}` : line
+    );
+    for (const change of changes.filter(({ year: changedYear, category }) => changedYear === year && category)) {
+      console.log(colorize(`  ${change.category}: ${formatChange(change)}`, 'yellow'));
+    }
+  }
+  for (const change of changes.filter(({ year, category }) => category === null && !years.includes(year))) {
+    console.log(colorize(`${change.year}: no receipts left (${formatChange(change)})`, 'yellow'));
+  }
+  console.log();
+
+  if (totals.invalidFiles.length > 0) {
+    console.log(colorize(`⚠️  ${totals.invalidFiles.length} files do not match the expected pattern`, 'yellow'));
+    console.log();
+  }
+
+  if (years.length === 0) {
+    console.log(colorize('No valid receipt files found yet', 'dim'));
+    return;
+  }
+  printSummaryStatistics(years, totals);
+}
+
+// Analyze once, then watch dirPath and only re-parse the files that were added, renamed or changed
+function runWatch(argv) {
+  const scanOptions = getScanOptions(argv);
+  const state = createTotalsState();
+  let isInitialScan = true;
+
+  const update = (changedPaths = []) => {
+    const previous = totalsToDollars(state.totals);
+    let result;
+    try {
+      result = updateTotals(argv.dirPath, state, scanOptions, changedPaths);
+    } catch (error) {
+      console.error(colorize(`❌ Error: ${error.message}`, 'red'));
+      return;
+    }
+
+    const { added, removed, totals } = result;
+    const changedFiles = new Set([...added, ...changedPaths]);
+    // The initial scan shows all invalid files but doesn't list every file as added
+    printWatchUpdate(argv, totals, {
+      added: isInitialScan ? [] : added,
+      removed,
+      newInvalidFiles: totals.invalidFiles.filter(({ fileName }) => changedFiles.has(fileName)),
+      changes: isInitialScan ? [] : describeTotalsChanges(previous, totals)
+    });
+    isInitialScan = false;
+  };
+
+  update();
+
+  // Editors and sync clients fire several events per file - batch them before updating
+  let pending = new Set();
+  let timer = null;
+  const onChange = (eventType, fileName) => {
+    if (fileName) {
+      pending.add(fileName.split(sep).join('/'));
+    }
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changedPaths = [...pending];
+      pending = new Set();
+      update(changedPaths);
+    }, WATCH_DEBOUNCE_MS);
+  };
+
+  // The folder can be deleted while it is watched, and some platforms can't watch recursively
+  const stopWatching = error => {
+    clearTimeout(timer);
+    console.error(colorize(`❌ Error: Cannot watch ${argv.dirPath}: ${error.message}`, 'red'));
+    process.exit(1);
+  };
   try {
-    ({ expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles, expensesByCategory } =
-      getTotalsByYear(dirPath));
+    fs.watch(argv.dirPath, { recursive: argv.recursive }, onChange).on('error', stopWatching);
   } catch (error) {
-    console.error(colorize(`❌ Error: Cannot access directory`, 'red'));
-    console.error(colorize(`   ${error.message.replace('Cannot access directory: ', '')}`, 'dim'));
-    process.exit(1);
+    stopWatching(error);
+  }
+}
+
+function runAnalyze(argv) {
+  if (argv.watch) {
+    if (argv.format === 'json') {
+      console.error(colorize('❌ Error: --watch can only be used with --format text', 'red'));
+      process.exit(1);
+    }
+    runWatch(argv);
+    return;
   }
 
+  const dirPath = argv.dirPath;
+  const scanOptions = getScanOptions(argv);
+  const totals = loadTotals(argv, scanOptions);
+  const { expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles } = totals;
+
   // Check if no valid files were found
   const years = [...new Set([...Object.keys(expensesByYear), ...Object.keys(reimbursementsByYear)])].sort();
+  // Errors go to stderr, so a script reading --format json from stdout never gets a text message
   if (years.length === 0) {
-    console.log(colorize('❌ Error: No valid receipt files found in the specified directory', 'red'));
-    console.log(colorize('Expected pattern: <yyyy-mm-dd> - <description> - $<amount>.<ext>', 'dim'));
+    if (totals.filters.length > 0 && totals.filteredReceipts > 0) {
+      console.error(colorize(`❌ Error: No receipts match the filters (${totals.filters.join('; ')})`, 'red'));
+      process.exit(1);
+    }
+    console.error(colorize('❌ Error: No valid receipt files found in the specified directory', 'red'));
+    printExpectedPatterns(scanOptions.patterns, console.error);
     process.exit(1);
   }
 
+  // JSON output replaces all of the text output below
+  if (argv.format === 'json') {
+    const stats = calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles);
+    const report = buildJsonReport(dirPath, totals, stats, argv['group-by'], argv.period);
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
   // Display any invalid files
   if (invalidFiles.length > 0) {
-    // Calculate dynamic padding based on longest filename + buffer
-    const maxFileNameLength = Math.max(...invalidFiles.map(f => f.fileName.length));
-    // Subtract padding for no-color (compact), add padding for color (spacing)
-    const extraPadding = process.argv.includes('--no-color') ? -COLUMN_PADDING - 1 : COLUMN_PADDING;
-    const padding = Math.max(maxFileNameLength + extraPadding, 'Filename'.length + extraPadding);
-
     console.log(colorize('⚠️  WARNING: The following files do not match the expected pattern', 'yellow'));
-    console.log(colorize('Expected pattern: <yyyy-mm-dd> - <description> - $<amount>.<ext>', 'dim'));
-    console.log(
-      `\n${colorize('Filename', 'cyan').padEnd(padding + colors.cyan.length + colors.reset.length)}${colorize('Error', 'cyan')}`
-    );
-    console.log(
-      `${colorize('--------', 'cyan').padEnd(padding + colors.cyan.length + colors.reset.length)}${colorize('-----', 'cyan')}`
-    );
-    for (const { fileName, error } of invalidFiles) {
-      console.log(
-        `${colorize(fileName, 'yellow').padEnd(padding + colors.yellow.length + colors.reset.length)}${colorize(error, 'red')}`
-      );
+    printExpectedPatterns(scanOptions.patterns);
+    printFileErrors(invalidFiles);
+    console.log();
+  }
+
+  // Display bad rows of the contributions and exchange rate ledgers
+  const ledgerErrors = {
+    [CONTRIBUTIONS_FILE_NAME]: totals.contributionErrors,
+    [EXCHANGE_RATES_FILE_NAME]: totals.exchangeRateErrors
+  };
+  for (const [fileName, errors] of Object.entries(ledgerErrors).filter(([, rows]) => rows.length > 0)) {
+    console.log(colorize(`⚠️  WARNING: Some rows of ${fileName} were skipped`, 'yellow'));
+    for (const { line, error } of errors) {
+      console.log(`${colorize(`  line ${line}:`, 'yellow')} ${colorize(error, 'red')}`);
+    }
+    console.log();
+  }
+
+  // Display $0.00 documents separately - they are valid but don't change any totals
+  if (totals.informationalFiles.length > 0) {
+    console.log(colorize('ℹ️  Informational documents ($0.00, not included in totals):', 'cyan'));
+    for (const { fileName } of totals.informationalFiles) {
+      console.log(colorize(`  ${fileName}`, 'dim'));
+    }
+    console.log();
+  }
+
+  // Display foreign currency receipts with their original amounts - the totals only have the USD amounts
+  const convertedReceipts = totals.receipts.filter(receipt => receipt.currency !== 'USD');
+  if (convertedReceipts.length > 0) {
+    console.log(colorize(`💱 Converted to USD (rates from ${EXCHANGE_RATES_FILE_NAME}):`, 'cyan'));
+    for (const { relativePath, currency, originalAmount, exchangeRate, amount } of convertedReceipts) {
+      const conversion = `${formatAmount(originalAmount, currency)} × ${exchangeRate} = ${formatAmount(amount)}`;
+      console.log(`  ${colorize(relativePath, 'dim')}  ${conversion}`);
+    }
+    console.log();
+  }
+
+  // Display possible duplicates - the first file of each group is the one kept with --exclude-duplicates
+  if (totals.duplicates.length > 0) {
+    const note = argv['exclude-duplicates']
+      ? 'only the first file of each group is included in totals'
+      : 'all included in totals, use --exclude-duplicates to count each once';
+    console.log(colorize(`⚠️  Possible duplicate receipts (${note}):`, 'yellow'));
+    for (const { reasons, files } of totals.duplicates) {
+      console.log(colorize(`  ${reasons.join(', ')}:`, 'cyan'));
+      for (const file of files) {
+        console.log(colorize(`    ${file}`, 'dim'));
+      }
     }
     console.log();
   }
 
+  // With --period month|quarter, the table and charts are keyed by period (2024-03, 2024-Q1) instead of year
+  const period = argv.period;
+  const periodTotals = period === 'year' ? { ...totals, periods: years } : buildPeriodTotals(totals.receipts, period);
+  const { periods } = periodTotals;
+
   const result = buildYearlyResultObject(
-    years,
-    expensesByYear,
-    reimbursementsByYear,
-    receiptCounts,
-    argv['by-category'] ? expensesByCategory : {}
+    periods,
+    periodTotals.expensesByYear,
+    periodTotals.reimbursementsByYear,
+    periodTotals.receiptCounts,
+    argv['by-category'] ? periodTotals.expensesByCategory : {},
+    periodTotals.refundsByYear,
+    argv['group-by'].length > 0
+      ? { fields: argv['group-by'], byYear: buildGroupTotals(periodTotals.receipts, argv['group-by']) }
+      : null
   );
 
   // Show data table and charts unless summary-only mode
@@ -424,25 +3836,43 @@ function main() {
     console.log(prettyjson.render(result));
     console.log();
 
-    const { expenseData, reimbursementData } = prepareChartData(years, expensesByYear, reimbursementsByYear);
+    const withdrawalResult = buildWithdrawalYearResultObject(totals.reimbursementsByWithdrawalYear);
+    if (withdrawalResult) {
+      console.log('Reimbursements by withdrawal year');
+      console.log(prettyjson.render(withdrawalResult));
+      console.log();
+    }
+
+    const contributionResult = buildContributionResultObject(totals.contributions);
+    if (contributionResult) {
+      console.log('Contributions by year');
+      console.log(prettyjson.render(contributionResult));
+      console.log();
+    }
+
+    const { expenseData, reimbursementData } = prepareChartData(
+      periods,
+      periodTotals.expensesByYear,
+      periodTotals.reimbursementsByYear
+    );
 
     const chart = new chartscii(expenseData, {
       width: 20,
-      height: years.length,
-      title: 'Expenses by year',
+      height: periods.length,
+      title: `Expenses by ${period}`,
       fill: '░',
       valueLabels: true,
-      valueLabelFormat: values => `$${values[0]}`,
+      valueLabelFormat: values => formatAmount(Number(values[0])),
       valueLabelsFloatingPoint: 2
     });
 
     const reimbursementChart = new chartscii(reimbursementData, {
       width: 20,
-      height: years.length,
-      title: 'Reimbursements by year',
+      height: periods.length,
+      title: `Reimbursements by ${period}`,
       fill: '░',
       valueLabels: true,
-      valueLabelFormat: values => `$${values[0]}`,
+      valueLabelFormat: values => formatAmount(Number(values[0])),
       valueLabelsFloatingPoint: 2
     });
 
@@ -452,59 +3882,526 @@ function main() {
     console.log();
 
     // Create a manual comparison chart
-    console.log('Expenses vs Reimbursements by year');
-    const maxValue = Math.max(...Object.values(expensesByYear), ...Object.values(reimbursementsByYear));
+    console.log(`Expenses vs Reimbursements by ${period}`);
+    const maxValue = Math.max(
+      ...Object.values(periodTotals.expensesByYear),
+      ...Object.values(periodTotals.reimbursementsByYear)
+    );
 
-    for (const year of years) {
-      const expenseAmount = expensesByYear[year] || 0;
-      const reimbursementAmount = reimbursementsByYear[year] || 0;
+    for (const key of periods) {
+      const expenseAmount = periodTotals.expensesByYear[key] || 0;
+      const reimbursementAmount = periodTotals.reimbursementsByYear[key] || 0;
 
-      const expenseBarLength = Math.floor((expenseAmount / maxValue) * 20);
+      // Refunds can make a year's net expenses negative - draw those as an empty bar
+      const expenseBarLength = Math.max(0, Math.floor((expenseAmount / maxValue) * 20));
       const reimbursementBarLength = Math.floor((reimbursementAmount / maxValue) * 20);
 
       const expenseBar = '█'.repeat(expenseBarLength) + '░'.repeat(20 - expenseBarLength);
       const reimbursementBar = '█'.repeat(reimbursementBarLength) + '░'.repeat(20 - reimbursementBarLength);
 
-      console.log(`${year} Expenses       ╢${expenseBar} $${expenseAmount.toFixed(2)}`);
-      console.log(`${year} Reimbursements ╢${reimbursementBar} $${reimbursementAmount.toFixed(2)}`);
+      console.log(`${key} Expenses       ╢${expenseBar} ${formatAmount(expenseAmount)}`);
+      console.log(`${key} Reimbursements ╢${reimbursementBar} ${formatAmount(reimbursementAmount)}`);
     }
 
-    console.log('                    ╚════════════════════');
+    // Line up the axis with the labels above, which are longer for months and quarters
+    console.log(`${' '.repeat(periods[0].length + 16)}╚════════════════════`);
     console.log();
   }
 
-  // Summary statistics
-  console.log('📊 Summary Statistics');
-  console.log('━'.repeat(50));
+  printSummaryStatistics(years, totals);
+}
 
-  const stats = calculateSummaryStats(years, expensesByYear, reimbursementsByYear, receiptCounts, invalidFiles);
+// --group-by option shared by the analyze and export commands (accepts "person,type" or "person type")
+function groupByOption(command) {
+  return command.option('group-by', {
+    type: 'string',
+    array: true,
+    default: [],
+    choices: GROUP_BY_FIELDS,
+    coerce: fields => fields.flatMap(field => field.split(',')).filter(Boolean),
+    describe: 'Nest yearly totals by these fields (e.g., person,type)'
+  });
+}
 
-  console.log(`${colorize('Total Receipts Processed:', 'cyan')} ${stats.totalFiles}`);
-  if (stats.totalInvalidFiles > 0) {
-    console.log(
-      `${colorize('Invalid Receipts:', 'yellow')} ${stats.totalInvalidFiles} (${stats.invalidFilePercentage}%)`
-    );
-  }
-  console.log(`${colorize('Years Covered:', 'cyan')} ${years.length} (${years[0]} - ${years[years.length - 1]})`);
-  console.log(`${colorize('Total Expenses:', 'cyan')} $${stats.totalExpenses.toFixed(2)}`);
-  console.log(
-    `${colorize('Total Reimbursements:', 'cyan')} $${stats.totalReimbursements.toFixed(2)} (${stats.reimbursementRate}%)`
-  );
-  console.log(
-    `${colorize('Total Reimburseable:', 'green')} $${stats.totalReimburseable.toFixed(2)} (${stats.reimburseableRate}%)`
-  );
-  console.log(`${colorize('Average Expenses/Year:', 'cyan')} $${stats.avgExpensePerYear}`);
-  console.log(`${colorize('Average Receipts/Year:', 'cyan')} ${stats.avgReceiptsPerYear}`);
+// Filters shared by the analyze and export commands - receipts that don't match are left out of all totals
+function filterOptions(command) {
+  return command
+    .option('from', {
+      type: 'string',
+      describe: 'Only include receipts on or after this date (e.g., 2024-03-01)'
+    })
+    .option('to', {
+      type: 'string',
+      describe: 'Only include receipts on or before this date (e.g., 2024-03)'
+    })
+    .option('year', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Only include receipts from these years'
+    })
+    .option('category', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Only include receipts in these categories'
+    })
+    .option('person', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Only include receipts for these people'
+    })
+    .option('match', {
+      type: 'string',
+      describe: 'Only include receipts whose description matches this regex'
+    })
+    .option('min-amount', {
+      type: 'number',
+      describe: 'Only include receipts of at least this amount'
+    })
+    .option('max-amount', {
+      type: 'number',
+      describe: 'Only include receipts of at most this amount'
+    })
+    .option('status', {
+      type: 'string',
+      choices: ['reimbursed', 'unreimbursed'],
+      describe: 'Only include reimbursed or unreimbursed receipts'
+    });
+}
 
-  if (stats.mostExpensiveYear) {
-    console.log(
-      `${colorize('Most Expensive Year:', 'cyan')} ${stats.mostExpensiveYear} ($${stats.mostExpensiveYearAmount.toFixed(2)} [${stats.expensePercentage}%], ${stats.mostExpensiveYearReceipts} receipts [${stats.receiptPercentage}%])`
-    );
+// --extensions option shared by the verify and lint commands
+function extensionsOption(command) {
+  return command.option('extensions', {
+    type: 'string',
+    array: true,
+    default: RECEIPT_EXTENSIONS,
+    coerce: extensions =>
+      extensions
+        .flatMap(extension => extension.split(','))
+        .map(extension => extension.replace(/^\./, '').toLowerCase())
+        .filter(Boolean),
+    describe: 'Allowed receipt file extensions'
+  });
+}
+
+// Options shared by the mark-reimbursed and unmark commands
+function markReimbursedOptions(command) {
+  return command
+    .positional('paths', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Receipt files to update'
+    })
+    .option('date', {
+      type: 'string',
+      describe: 'Select receipts by date or date prefix (e.g., 2024-03-01, 2024-03)'
+    })
+    .option('amount', {
+      type: 'number',
+      describe: 'Select receipts by amount (e.g., 45.00)'
+    })
+    .option('description', {
+      type: 'string',
+      describe: 'Select receipts whose description contains this text'
+    })
+    .option('interactive', {
+      alias: 'i',
+      type: 'boolean',
+      default: false,
+      describe: 'Pick receipts from a list'
+    })
+    .option('dry-run', {
+      type: 'boolean',
+      default: false,
+      describe: 'Show the renames without applying them'
+    })
+    .option('yes', {
+      alias: 'y',
+      type: 'boolean',
+      default: false,
+      describe: 'Skip the confirmation prompt'
+    });
+}
+
+// Main CLI execution
+function main() {
+  const args = hideBin(process.argv);
+
+  // Config files are found from --dirPath/--config, so read those two flags before the full parse
+  const { dirPath, config: configPath } = yargs(args)
+    .option('dirPath', { alias: 'd', type: 'string' })
+    .option('config', { alias: 'c', type: 'string' })
+    .help(false)
+    .version(false)
+    .parseSync();
+  let config = {};
+  // `config init` can replace a broken config, so it doesn't need to read one
+  if (args[0] !== 'config') {
+    try {
+      config = loadConfigFiles({ dirPath, config: configPath });
+    } catch (error) {
+      const [message, ...details] = error.message.split('\n');
+      console.error(colorize(`❌ Error: ${message}`, 'red'));
+      for (const detail of details) {
+        console.error(colorize(`   ${detail}`, 'dim'));
+      }
+      process.exit(1);
+    }
   }
+
+  yargs(args)
+    .scriptName('hsa-expense-analyzer')
+    .version(packageJson.version)
+    .usage('A Node.js CLI tool that analyzes HSA expenses and reimbursements by year from receipt files. 📊\n')
+    .usage('Usage: $0 [command] --dirPath <path>')
+    .command(
+      '$0',
+      'Analyze receipts by year (default)',
+      command =>
+        filterOptions(groupByOption(command))
+          .option('summary-only', {
+            type: 'boolean',
+            default: false,
+            describe: 'Show only summary statistics'
+          })
+          .option('by-category', {
+            type: 'boolean',
+            default: false,
+            describe: 'Show expenses grouped by category (e.g., person)'
+          })
+          .option('format', {
+            alias: 'f',
+            type: 'string',
+            choices: ['text', 'json'],
+            default: 'text',
+            describe: 'Output format'
+          })
+          .option('period', {
+            alias: 'p',
+            type: 'string',
+            choices: ['month', 'quarter', 'year'],
+            default: 'year',
+            describe: 'Show totals and charts per month, quarter or year'
+          })
+          .option('coverage', {
+            type: 'string',
+            choices: COVERAGE_TYPES,
+            default: 'self-only',
+            describe: 'HDHP coverage for the contribution limit'
+          })
+          .option('catch-up-from', {
+            type: 'number',
+            describe: 'First year of the age 55+ catch-up contribution'
+          })
+          .option('watch', {
+            alias: 'w',
+            type: 'boolean',
+            default: false,
+            describe: 'Keep running and update the totals as receipts change'
+          }),
+      runAnalyze
+    )
+    .command(
+      'export',
+      'Export one row per receipt to CSV',
+      command =>
+        filterOptions(groupByOption(command))
+          .option('output', {
+            alias: 'o',
+            type: 'string',
+            describe: 'CSV file to write receipts to (default: stdout)'
+          })
+          .option('totals-output', {
+            type: 'string',
+            describe: 'CSV file to write per-year/per-category totals to'
+          }),
+      runExport
+    )
+    .command(
+      'fix',
+      'Suggest (and apply) renames for invalid receipt files',
+      command =>
+        command
+          .option('apply', {
+            type: 'boolean',
+            default: false,
+            describe: 'Rename the files (default is a dry run)'
+          })
+          .option('yes', {
+            alias: 'y',
+            type: 'boolean',
+            default: false,
+            describe: 'Skip the confirmation prompt when applying'
+          }),
+      runFix
+    )
+    .command('mark-reimbursed [paths..]', 'Add the .reimbursed. marker to receipt files', markReimbursedOptions, argv =>
+      runMarkReimbursed(argv, true)
+    )
+    .command('unmark [paths..]', 'Remove the .reimbursed. marker from receipt files', markReimbursedOptions, argv =>
+      runMarkReimbursed(argv, false)
+    )
+    .command(
+      'plan',
+      'Pick unreimbursed receipts that add up to a withdrawal amount',
+      command =>
+        command
+          .option('target', {
+            alias: 't',
+            type: 'number',
+            demandOption: true,
+            describe: 'Amount to withdraw (e.g., 500.00)'
+          })
+          .option('strategy', {
+            type: 'string',
+            choices: ['oldest', 'fewest'],
+            default: 'oldest',
+            describe: 'Prefer the oldest receipts or the fewest receipts'
+          })
+          .option('mark', {
+            type: 'boolean',
+            default: false,
+            describe: 'Mark the picked receipts as reimbursed'
+          })
+          .option('yes', {
+            alias: 'y',
+            type: 'boolean',
+            default: false,
+            describe: 'Skip the confirmation prompt when marking'
+          }),
+      runPlan
+    )
+    .command(
+      'tax-report',
+      'Summarize a tax year for Form 8889',
+      command =>
+        command
+          .option('year', {
+            type: 'number',
+            demandOption: true,
+            describe: 'Tax year (e.g., 2024)'
+          })
+          // Not --format, so the format config key of the analysis (text or json) doesn't apply to the report
+          .option('report-format', {
+            alias: 'f',
+            type: 'string',
+            choices: ['text', 'markdown'],
+            default: 'text',
+            describe: 'Report format'
+          })
+          .option('output', {
+            alias: 'o',
+            type: 'string',
+            describe: 'File to write the report to (default: stdout)'
+          }),
+      runTaxReport
+    )
+    .command(
+      'project',
+      'Project growth of unreimbursed receipts',
+      command =>
+        filterOptions(command)
+          .option('return', {
+            type: 'number',
+            default: 7,
+            describe: 'Assumed annual return in percent'
+          })
+          .option('horizon', {
+            type: 'number',
+            default: 10,
+            describe: 'Number of years to project'
+          }),
+      runProject
+    )
+    .command('verify', 'Check that receipt files are complete documents', extensionsOption, runVerify)
+    .command(
+      'lint',
+      'Check receipts for CI (exits 1 on problems)',
+      command =>
+        extensionsOption(command)
+          // Not --format, so the format config key of the analysis (text or json) doesn't apply to the report
+          .option('report-format', {
+            alias: 'f',
+            type: 'string',
+            choices: ['text', 'junit', 'sarif'],
+            default: 'text',
+            describe: 'Report format'
+          })
+          .option('output', {
+            alias: 'o',
+            type: 'string',
+            describe: 'File to write the JUnit or SARIF report to (default: stdout)'
+          }),
+      runLint
+    )
+    .command('undo', 'Revert the last batch of renames', () => {}, runUndo)
+    .command('config', 'Manage the config file', command =>
+      command
+        .command(
+          'init',
+          'Write a starter config file',
+          subcommand =>
+            subcommand
+              .option('global', {
+                type: 'boolean',
+                default: false,
+                describe: `Write ~/${CONFIG_FILE_NAME} instead of ${CONFIG_FILE_NAME} in dirPath`
+              })
+              .option('force', {
+                type: 'boolean',
+                default: false,
+                describe: 'Overwrite an existing config file'
+              }),
+          runConfigInit
+        )
+        .demandCommand(1, 'Specify a config command (e.g., config init)')
+    )
+    .option('dirPath', {
+      alias: 'd',
+      type: 'string',
+      describe: `The directory path containing receipt files (required unless set in ~/${CONFIG_FILE_NAME})`
+    })
+    .option('no-color', {
+      type: 'boolean',
+      default: false,
+      describe: 'Disable colored output'
+    })
+    .option('config', {
+      alias: 'c',
+      type: 'string',
+      describe: `Config file (default: ${CONFIG_FILE_NAME} in dirPath and your home directory)`
+    })
+    .option('recursive', {
+      alias: 'r',
+      type: 'boolean',
+      default: false,
+      describe: 'Scan subfolders for receipt files'
+    })
+    .option('max-depth', {
+      type: 'number',
+      describe: 'Maximum subfolder depth for --recursive (0 = top-level only)'
+    })
+    .option('include', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Only analyze files matching glob pattern(s)'
+    })
+    .option('exclude', {
+      type: 'string',
+      array: true,
+      default: [],
+      describe: 'Skip files and folders matching glob pattern(s)'
+    })
+    .option('exclude-duplicates', {
+      type: 'boolean',
+      default: false,
+      describe: 'Count each group of duplicates once'
+    })
+    .option('locale', {
+      type: 'string',
+      default: DEFAULT_LOCALE,
+      describe: 'Locale for amounts in the output (e.g., de-DE)'
+    })
+    .epilogue(
+      `Expected file format:
+  <yyyy-mm-dd> - <description> - $<amount>.<ext>
+  <yyyy-mm-dd> - <description> - $<amount>.reimbursed.<ext>
+  <yyyy-mm-dd> - <description> - $<amount>.reimbursed[-<yyyy-mm-dd>][-$<amount>].<ext>
+  <yyyy-mm-dd> - <description> - -$<amount>.<ext> (or $<amount>.refund.<ext>) for refunds
+  <yyyy-mm-dd> - <description> - $<amount>.contribution.<ext> for HSA contributions
+  <yyyy-mm-dd> - <description> - €<amount>.<ext> (or EUR <amount>) in another currency`
+    )
+    // Options in the config file are used as defaults, so flags on the command line win
+    .config(config)
+    .middleware(argv => {
+      try {
+        setLocale(argv.locale);
+      } catch (error) {
+        console.error(colorize(`❌ Error: ${error.message}`, 'red'));
+        process.exit(1);
+      }
+    })
+    .check(argv => {
+      const isConfigInit = argv._[0] === 'config' && (argv.global || argv.config !== undefined);
+      if (argv.dirPath === undefined && !isConfigInit) {
+        throw new Error(
+          `Missing required argument: dirPath (pass --dirPath or set "dirPath" in ~/${CONFIG_FILE_NAME})`
+        );
+      }
+      return true;
+    })
+    .help()
+    .alias('h', 'help')
+    .alias('v', 'version')
+    .wrap(100)
+    .parse();
 }
 
-// Export functions for testing
-export { parseFileName, getTotalsByYear, colorize, calculateSummaryStats, buildYearlyResultObject, prepareChartData };
+// Export functions for testing and for the library entry point (src/index.js)
+export {
+  CONTRIBUTIONS_FILE_NAME,
+  EXCHANGE_RATES_FILE_NAME,
+  formatAmount,
+  formatPercentage,
+  setLocale,
+  toCents,
+  toDollars,
+  sumAmounts,
+  parseFileName,
+  compileFileNamePattern,
+  listReceiptFiles,
+  matchesGlob,
+  getTotalsByYear,
+  createTotalsState,
+  updateTotals,
+  describeTotalsChanges,
+  colorize,
+  calculateSummaryStats,
+  buildYearlyResultObject,
+  prepareChartData,
+  buildWithdrawalYearResultObject,
+  buildContributionResultObject,
+  buildContributionLedger,
+  buildJsonReport,
+  toCsv,
+  buildReceiptRows,
+  buildTotalsRows,
+  buildGroupTotals,
+  buildGroupTotalsRows,
+  getPeriodKey,
+  listPeriods,
+  buildPeriodTotals,
+  suggestFileNameFix,
+  buildFixPlan,
+  applyRenames,
+  undoLastRenames,
+  addReimbursedMarker,
+  removeReimbursedMarker,
+  selectReceipts,
+  buildReimbursedRenames,
+  parseSelection,
+  planReimbursement,
+  buildTaxReport,
+  buildLintReport,
+  formatLintReport,
+  buildGrowthProjection,
+  formatTaxReport,
+  validateConfig,
+  extractTags,
+  compileCategoryRules,
+  resolveCategory,
+  compileReceiptFilters,
+  parseReceiptFile,
+  loadConfigFiles,
+  findDuplicates,
+  detectFileType,
+  verifyReceiptFile,
+  verifyReceiptFiles
+};
 
 // Only run CLI when executed directly (not when imported as a module)
 // Check if this file is being run directly by comparing resolved paths